@@ -0,0 +1,289 @@
+// Admin dashboard - a thin page over the server's /api/admin endpoints
+//
+// Takes a pasted ADMIN_TOKEN (kept for this tab only), or the session of an admin
+// account signed in on the game page. Everything refreshes every few seconds.
+
+import { AccountClient } from './networking/accounts.js';
+
+const REFRESH_INTERVAL = 3000; // ms
+
+const accounts = new AccountClient();
+let token = null;
+let refreshTimer = null;
+let messageTimer = null;
+
+const elements = {
+    status: document.getElementById('admin-status'),
+    signOut: document.getElementById('sign-out-button'),
+    signInPanel: document.getElementById('sign-in-panel'),
+    signInError: document.getElementById('sign-in-error'),
+    tokenForm: document.getElementById('token-form'),
+    tokenInput: document.getElementById('token-input'),
+    dashboard: document.getElementById('dashboard'),
+    arenaRows: document.getElementById('arena-rows'),
+    playerRows: document.getElementById('player-rows'),
+    banRows: document.getElementById('ban-rows'),
+    violationRows: document.getElementById('violation-rows'),
+    broadcastForm: document.getElementById('broadcast-form'),
+    broadcastInput: document.getElementById('broadcast-input'),
+    broadcastType: document.getElementById('broadcast-type'),
+    message: document.getElementById('admin-message')
+};
+
+document.addEventListener('DOMContentLoaded', () => {
+    elements.tokenForm.addEventListener('submit', (event) => {
+        event.preventDefault();
+        const pasted = elements.tokenInput.value.trim();
+        if (!pasted) return;
+
+        sessionStorage.setItem('adminToken', pasted);
+        elements.tokenInput.value = '';
+        signIn(pasted);
+    });
+
+    elements.signOut.addEventListener('click', signOut);
+
+    elements.broadcastForm.addEventListener('submit', async (event) => {
+        event.preventDefault();
+        const message = elements.broadcastInput.value.trim();
+        if (!message) return;
+
+        const result = await request('POST', '/broadcast', { message: message, type: elements.broadcastType.value });
+        if (result) {
+            elements.broadcastInput.value = '';
+            showMessage(`Sent to ${result.sent} connections`);
+        }
+    });
+
+    // A pasted token wins over the game page's account
+    const saved = sessionStorage.getItem('adminToken') || accounts.token;
+    if (saved) {
+        signIn(saved);
+    }
+});
+
+async function signIn(candidate) {
+    token = candidate;
+    elements.signInError.textContent = '';
+
+    if (!(await refresh())) return;
+
+    elements.status.textContent = token === accounts.token ? 'Signed in with your account' : 'Signed in with the admin token';
+    elements.signOut.classList.remove('hidden');
+    elements.signInPanel.classList.add('hidden');
+    elements.dashboard.classList.remove('hidden');
+
+    clearInterval(refreshTimer);
+    refreshTimer = setInterval(refresh, REFRESH_INTERVAL);
+}
+
+// Forget a pasted token. Signing in on the game page is left alone, so an admin
+// account is used again on the next visit.
+function signOut() {
+    clearInterval(refreshTimer);
+    sessionStorage.removeItem('adminToken');
+    token = null;
+
+    elements.status.textContent = 'Signed out';
+    elements.signOut.classList.add('hidden');
+    elements.signInPanel.classList.remove('hidden');
+    elements.dashboard.classList.add('hidden');
+}
+
+// Call the admin API. Returns the parsed answer (true for an empty one), or null after
+// showing what went wrong.
+async function request(method, path, body) {
+    let response;
+    try {
+        response = await fetch(`/api/admin${path}`, {
+            method: method,
+            headers: {
+                Authorization: `Bearer ${token}`,
+                ...(body ? { 'Content-Type': 'application/json' } : {})
+            },
+            body: body ? JSON.stringify(body) : undefined
+        });
+    } catch (error) {
+        showMessage(`Can't reach the server: ${error.message}`, true);
+        return null;
+    }
+
+    if (response.status === 401) {
+        // A token that stopped working (or never did) goes back to the sign-in panel
+        signOut();
+        elements.signInError.textContent = 'That token is not an admin token, or the account is not an admin.';
+        return null;
+    }
+
+    const result = response.status === 204 ? true : await response.json();
+    if (!response.ok) {
+        showMessage(result.error || `Server answered ${response.status}`, true);
+        return null;
+    }
+    return result;
+}
+
+// Reload every table. Returns false if the token was refused.
+async function refresh() {
+    const arenas = await request('GET', '/arenas');
+    if (!arenas) return false;
+
+    const [players, bans, violations] = await Promise.all([
+        request('GET', '/players'),
+        request('GET', '/bans'),
+        request('GET', '/violations')
+    ]);
+
+    // Don't throw away settings someone is typing in
+    const editing = document.activeElement.tagName === 'INPUT' && elements.arenaRows.contains(document.activeElement);
+    if (!editing) {
+        renderArenas(arenas.arenas);
+    }
+    if (players) renderPlayers(players.players);
+    if (bans) renderBans(bans.bans);
+    if (violations) renderViolations(violations.violations.slice(0, 50));
+    return true;
+}
+
+function renderArenas(arenas) {
+    fillRows(elements.arenaRows, arenas, 9, 'No arenas', (arena) => {
+        const row = createRow([
+            arena.isPrivate ? `${arena.name} (${arena.inviteCode})` : arena.name,
+            arena.modeName,
+            `${arena.players} + ${arena.bots} bots, ${arena.spectators} watching`,
+            arena.food,
+            `${arena.viruses} / ${arena.maxViruses}`
+        ]);
+        row.classList.toggle('paused', arena.paused);
+
+        // Settings are edited in place and saved together
+        const inputs = {};
+        for (const key of ['maxPlayers', 'maxFood', 'foodSpawnRate']) {
+            inputs[key] = document.createElement('input');
+            inputs[key].type = 'number';
+            inputs[key].min = 0;
+            inputs[key].value = arena[key];
+            row.insertCell().appendChild(inputs[key]);
+        }
+
+        const actions = row.insertCell();
+        actions.appendChild(createButton('Save', async () => {
+            const settings = {};
+            for (const [key, input] of Object.entries(inputs)) {
+                if (Number(input.value) !== arena[key]) settings[key] = Number(input.value);
+            }
+            if (Object.keys(settings).length === 0) return;
+
+            if (await request('PATCH', `/arenas/${arena.id}`, settings)) {
+                showMessage(`Saved ${arena.name}`);
+                refresh();
+            }
+        }));
+        actions.appendChild(createButton('+5 viruses', async () => {
+            if (await request('POST', `/arenas/${arena.id}/viruses`, { count: 5 })) refresh();
+        }));
+        actions.appendChild(createButton(arena.paused ? 'Resume' : 'Pause', async () => {
+            if (await request('POST', `/arenas/${arena.id}/${arena.paused ? 'resume' : 'pause'}`)) refresh();
+        }, !arena.paused));
+        return row;
+    });
+}
+
+function renderPlayers(players) {
+    fillRows(elements.playerRows, players, 8, 'Nobody is connected', (player) => {
+        const row = createRow([
+            player.username,
+            player.arena,
+            player.role,
+            player.mass,
+            player.score,
+            player.account || '',
+            player.address || ''
+        ]);
+
+        // Bots have no socket to kick
+        const actions = row.insertCell();
+        if (player.role !== 'bot') {
+            actions.appendChild(createButton('Kick', async () => {
+                if (await request('POST', `/players/${encodeURIComponent(player.id)}/kick`)) {
+                    showMessage(`Kicked ${player.username}`);
+                    refresh();
+                }
+            }));
+            actions.appendChild(createButton('Ban', async () => {
+                const minutes = prompt(`Ban ${player.username} (${player.address}) for how many minutes?`, '30');
+                if (minutes === null) return;
+
+                const result = await request('POST', `/players/${encodeURIComponent(player.id)}/ban`, { minutes: Number(minutes) });
+                if (result) {
+                    showMessage(`Banned ${result.address} for ${result.minutes} minutes`);
+                    refresh();
+                }
+            }, true));
+        }
+        return row;
+    });
+}
+
+function renderBans(bans) {
+    fillRows(elements.banRows, bans, 3, 'No bans', (ban) => {
+        const row = createRow([ban.address, new Date(ban.until).toLocaleString()]);
+        row.insertCell().appendChild(createButton('Unban', async () => {
+            if (await request('DELETE', `/bans/${encodeURIComponent(ban.address)}`)) refresh();
+        }));
+        return row;
+    });
+}
+
+function renderViolations(violations) {
+    fillRows(elements.violationRows, violations, 7, 'No violations', (violation) => createRow([
+        new Date(violation.time).toLocaleTimeString(),
+        violation.socketId,
+        violation.address,
+        violation.event,
+        violation.kind,
+        violation.detail,
+        violation.score
+    ]));
+}
+
+// Replace a table body's rows, with a placeholder row when there's nothing to show
+function fillRows(body, items, columns, emptyText, createItemRow) {
+    body.innerHTML = '';
+    if (items.length === 0) {
+        const cell = body.insertRow().insertCell();
+        cell.colSpan = columns;
+        cell.className = 'empty';
+        cell.textContent = emptyText;
+        return;
+    }
+    for (const item of items) {
+        body.appendChild(createItemRow(item));
+    }
+}
+
+// Names and details come from players, so cells only ever get text
+function createRow(values) {
+    const row = document.createElement('tr');
+    for (const value of values) {
+        row.insertCell().textContent = value;
+    }
+    return row;
+}
+
+function createButton(label, onClick, danger = false) {
+    const button = document.createElement('button');
+    button.textContent = label;
+    button.classList.toggle('danger', danger);
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+function showMessage(text, isError = false) {
+    elements.message.textContent = text;
+    elements.message.classList.toggle('error', isError);
+    elements.message.classList.remove('hidden');
+
+    clearTimeout(messageTimer);
+    messageTimer = setTimeout(() => elements.message.classList.add('hidden'), 4000);
+}
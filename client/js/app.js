@@ -2,10 +2,18 @@
 
 import { Game } from './game/index.js';
 import { SocketManager } from './networking/socket.js';
+import { ReplayPlayer } from './networking/replay.js';
+import { AccountClient } from './networking/accounts.js';
 import { THREE } from './lib/three-instance.js';
+import { UI } from './ui/ui.js';
+import { ChatPanel } from './ui/chat.js';
 
 let game;
+let ui;
+let chat;
 let socketManager;
+let accounts; // Signed-in account, if any
+let replayPlayer; // Set while watching a replay instead of playing
 let animationFrameId; // To store the animation frame ID
 let lastTimestamp = 0;
 let frameCount = 0;
@@ -18,16 +26,46 @@ document.addEventListener('DOMContentLoaded', () => {
 
 // Initialize all components
 function init() {
+    ui = new UI();
+    accounts = new AccountClient();
+    chat = new ChatPanel();
+    
     // Handle start button click
     document.getElementById('start-button').addEventListener('click', () => {
         const username = document.getElementById('username-input').value.trim();
         if (username) {
-            startGame(username);
+            startGame(username, getArenaChoice());
         } else {
             alert('Enter your gamertag');
         }
     });
 
+    // Watch the picked arena without playing
+    document.getElementById('spectate-button').addEventListener('click', () => {
+        startSpectating(getArenaChoice());
+    });
+    
+    // Sign in, or see the career stats of the signed-in account
+    document.getElementById('profile-button').addEventListener('click', openProfile);
+    refreshAccount();
+    
+    // Create a private room and start in it
+    document.getElementById('create-room-button').addEventListener('click', createPrivateRoom);
+    
+    // List the public arenas to pick from
+    loadArenas();
+    
+    // High-score boards, today's first
+    document.querySelectorAll('.highscore-tab').forEach((tab) => {
+        tab.addEventListener('click', () => loadHighScores(tab.dataset.board));
+    });
+    loadHighScores('daily');
+    
+    // Watch a recorded match instead of playing
+    document.getElementById('watch-replay-button').addEventListener('click', watchReplay);
+    setupReplayControls();
+    loadReplays();
+    
     // Handle window resize
     window.addEventListener('resize', onWindowResize);
     
@@ -67,6 +105,12 @@ function gameLoop(timestamp) {
         }
     }
     
+    // Replays feed the game before it updates, like socket events would
+    if (replayPlayer) {
+        replayPlayer.update();
+        updateReplayControls();
+    }
+    
     if (game) {
         game.update();
         game.render();
@@ -97,13 +141,332 @@ function updateServerTime() {
     document.getElementById('server-time').textContent = `${hours}:${minutes}:${seconds} ${ampm}`;
 }
 
-// Start the game with the given username
-function startGame(username) {
+// Fill the arena picker from the lobby listing
+async function loadArenas() {
+    const select = document.getElementById('arena-select');
+    
+    try {
+        const response = await fetch('/api/arenas');
+        const { arenas } = await response.json();
+        
+        // Keep the auto-join option, replace the rest
+        select.length = 1;
+        arenas.forEach((arena) => {
+            const option = document.createElement('option');
+            option.value = arena.id;
+            // Full arenas can still be spectated, players get sent to another one
+            const full = arena.players >= arena.maxPlayers ? ' - full' : '';
+            const watching = arena.spectators > 0 ? `, ${arena.spectators} watching` : '';
+            option.textContent = `${arena.name} - ${arena.modeName} (${arena.players}/${arena.maxPlayers}${watching})${full}`;
+            select.appendChild(option);
+        });
+    } catch (error) {
+        console.warn('Could not load the arena list:', error);
+    }
+}
+
+// Show one of the high-score boards (daily, weekly or alltime) on the start screen
+async function loadHighScores(board) {
+    document.querySelectorAll('.highscore-tab').forEach((tab) => {
+        tab.classList.toggle('active', tab.dataset.board === board);
+    });
+    
+    const list = document.getElementById('highscore-list');
+    
+    try {
+        const response = await fetch(`/api/highscores/${board}?limit=10`);
+        const { entries } = await response.json();
+        
+        list.innerHTML = '';
+        if (entries.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'empty';
+            empty.textContent = 'No scores yet - be the first!';
+            list.appendChild(empty);
+        }
+        
+        // Names are user input, so they go in as text
+        entries.forEach((entry) => {
+            const listItem = document.createElement('li');
+            listItem.title = `${formatDuration(entry.timeAlive)} alive, ${new Date(entry.time).toLocaleString()}`;
+            
+            const name = document.createElement('span');
+            name.textContent = entry.name;
+            listItem.appendChild(name);
+            
+            // Scores set while signed in to an account
+            if (entry.signedIn) {
+                const signedIn = document.createElement('span');
+                signedIn.className = 'signed-in';
+                signedIn.textContent = '✔';
+                signedIn.title = 'Signed in';
+                listItem.appendChild(signedIn);
+            }
+            
+            const score = document.createElement('span');
+            score.className = 'score';
+            score.textContent = entry.score;
+            
+            const mass = document.createElement('span');
+            mass.className = 'mass';
+            mass.textContent = `${entry.mass} mass`;
+            
+            listItem.append(score, mass);
+            list.appendChild(listItem);
+        });
+    } catch (error) {
+        console.warn('Could not load the high scores:', error);
+    }
+}
+
+// An invite code wins over the picked arena
+function getArenaChoice() {
+    const invite = document.getElementById('invite-input').value.trim().toUpperCase();
+    if (invite) {
+        return { invite: invite };
+    }
+    
+    const arena = document.getElementById('arena-select').value;
+    return arena === 'auto' ? {} : { arena: arena };
+}
+
+async function createPrivateRoom() {
+    const username = document.getElementById('username-input').value.trim();
+    if (!username) {
+        alert('Enter your gamertag');
+        return;
+    }
+    
+    const button = document.getElementById('create-room-button');
+    button.disabled = true;
+    
+    try {
+        const response = await fetch('/api/arenas', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                name: `${username}'s room`,
+                mode: document.getElementById('room-mode-select').value
+            })
+        });
+        const arena = await response.json();
+        
+        if (!response.ok) {
+            alert(arena.error || 'Could not create a private room');
+            return;
+        }
+        
+        startGame(username, { invite: arena.inviteCode });
+    } catch (error) {
+        console.error('Failed to create a private room:', error);
+        alert('Could not create a private room');
+    } finally {
+        button.disabled = false;
+    }
+}
+
+// Check the stored sign-in is still good and show who is playing
+async function refreshAccount() {
+    try {
+        await accounts.fetchProfile();
+    } catch (error) {
+        console.warn('Could not load the profile:', error);
+    }
+    updateAccountStatus();
+}
+
+function updateAccountStatus() {
+    const status = document.getElementById('account-status');
+    const button = document.getElementById('profile-button');
+    
+    if (accounts.profile) {
+        status.textContent = `Signed in as ${accounts.profile.name}`;
+        button.textContent = 'Profile';
+    } else {
+        status.textContent = 'Playing as a guest';
+        button.textContent = 'Sign in';
+    }
+}
+
+async function openProfile() {
+    if (!accounts.isSignedIn()) {
+        ui.showSignIn(async (register, name, password) => {
+            const profile = register
+                ? await accounts.register(name, password)
+                : await accounts.login(name, password);
+            
+            // Play under the account name unless another one was typed in
+            const usernameInput = document.getElementById('username-input');
+            if (!usernameInput.value.trim()) {
+                usernameInput.value = profile.name;
+            }
+            
+            updateAccountStatus();
+            ui.showProfile(profile, signOut);
+        });
+        return;
+    }
+    
+    // Fresh stats - the last game may have changed them
+    try {
+        const profile = await accounts.fetchProfile();
+        updateAccountStatus();
+        if (profile) {
+            ui.showProfile(profile, signOut);
+        } else {
+            openProfile();
+        }
+    } catch (error) {
+        console.error('Failed to load the profile:', error);
+        alert('Could not load your profile');
+    }
+}
+
+async function signOut() {
+    try {
+        await accounts.logout();
+    } catch (error) {
+        console.warn('Could not sign out on the server:', error);
+    }
+    updateAccountStatus();
+}
+
+// Fill the replay picker with the matches the server recorded
+async function loadReplays() {
+    const select = document.getElementById('replay-select');
+    
+    try {
+        const response = await fetch('/api/replays');
+        const { replays } = await response.json();
+        
+        select.length = 1;
+        replays.forEach((replay) => {
+            const option = document.createElement('option');
+            option.value = replay.file;
+            option.textContent = `${replay.file.replace('.replay.gz', '')} (${Math.ceil(replay.size / 1024)} KB)`;
+            select.appendChild(option);
+        });
+    } catch (error) {
+        console.warn('Could not load the replay list:', error);
+    }
+}
+
+// A picked file wins over the server's list
+async function watchReplay() {
+    const file = document.getElementById('replay-file').files[0];
+    const recorded = document.getElementById('replay-select').value;
+    if (!file && !recorded) {
+        alert('Pick a recorded match or a replay file');
+        return;
+    }
+    
+    const button = document.getElementById('watch-replay-button');
+    button.disabled = true;
+    
+    try {
+        let buffer;
+        if (file) {
+            buffer = await file.arrayBuffer();
+        } else {
+            const response = await fetch(`/api/replays/${encodeURIComponent(recorded)}`);
+            if (!response.ok) {
+                throw new Error(`Server answered ${response.status}`);
+            }
+            buffer = await response.arrayBuffer();
+        }
+        
+        const replay = new ReplayPlayer();
+        await replay.load(buffer);
+        startReplay(replay);
+    } catch (error) {
+        console.error('Failed to load the replay:', error);
+        alert('Could not load that replay');
+    } finally {
+        button.disabled = false;
+    }
+}
+
+// Watch a loaded replay - the game runs on it exactly as on a connection
+function startReplay(replay) {
+    document.getElementById('start-screen').style.display = 'none';
+    document.getElementById('game-ui').style.display = 'block';
+    document.getElementById('replay-controls').classList.remove('hidden');
+    document.getElementById('spectator-hud').classList.add('hidden');
+    
+    replayPlayer = replay;
+    socketManager = replay;
+    chat.attach(null);
+    setupSocketListeners();
+    
+    game = new Game({
+        containerId: 'game-container',
+        socketManager: replay,
+        username: 'Spectator',
+        replay: true
+    });
+    
+    document.getElementById('replay-seek').max = replay.getDuration();
+    document.getElementById('replay-speed').value = String(replay.speed);
+    replay.start();
+    
+    animationFrameId = requestAnimationFrame(gameLoop);
+}
+
+function setupReplayControls() {
+    const seek = document.getElementById('replay-seek');
+    
+    document.getElementById('replay-play').addEventListener('click', () => {
+        if (replayPlayer) {
+            replayPlayer.togglePlay();
+            updateReplayControls();
+        }
+    });
+    
+    // Seek as the slider moves, and don't let playback move it back while dragging
+    seek.addEventListener('input', () => {
+        seek.dataset.dragging = 'true';
+        if (replayPlayer) {
+            replayPlayer.seek(Number(seek.value));
+        }
+    });
+    seek.addEventListener('change', () => {
+        delete seek.dataset.dragging;
+    });
+    
+    document.getElementById('replay-speed').addEventListener('change', (event) => {
+        if (replayPlayer) {
+            replayPlayer.setSpeed(Number(event.target.value));
+        }
+    });
+}
+
+function updateReplayControls() {
+    const seek = document.getElementById('replay-seek');
+    if (!seek.dataset.dragging) {
+        seek.value = replayPlayer.getTime();
+    }
+    
+    document.getElementById('replay-play').textContent = replayPlayer.playing ? 'Pause' : 'Play';
+    document.getElementById('replay-time').textContent =
+        `${formatClock(replayPlayer.getTime())} / ${formatClock(replayPlayer.getDuration())}`;
+}
+
+// Seconds as "3:07"
+function formatClock(totalSeconds) {
+    const seconds = Math.floor(totalSeconds);
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+// Start the game with the given username, in the arena picked on the start screen
+function startGame(username, arenaChoice = {}) {
     // Hide start screen
     document.getElementById('start-screen').style.display = 'none';
     
     // Show game UI
     document.getElementById('game-ui').style.display = 'block';
+    document.getElementById('replay-controls').classList.add('hidden');
+    document.getElementById('spectator-hud').classList.add('hidden');
+    replayPlayer = null;
     
     console.log('Starting game with username:', username);
     
@@ -112,17 +475,22 @@ function startGame(username) {
     
     // Initialize socket manager first to ensure connection
     socketManager = new SocketManager();
-    socketManager.connect();
+    socketManager.connect({ ...arenaChoice, token: accounts.token });
+    chat.attach(socketManager);
     
     // Set up basic socket event listeners
     setupSocketListeners();
     
+    // Remote players are drawn this many ms behind the server, ?interpDelay= overrides it
+    const interpDelay = new URLSearchParams(window.location.search).get('interpDelay');
+    
     // Create game instance with socket manager
     game = new Game({
         containerId: 'game-container',
         socketManager: socketManager,
         username: username,
-        playerColor: playerColor.getHex()
+        playerColor: playerColor.getHex(),
+        interpolationDelay: interpDelay !== null ? Number(interpDelay) : undefined
     });
     
     // When socket is connected, join the game
@@ -139,11 +507,47 @@ function startGame(username) {
     animationFrameId = requestAnimationFrame(gameLoop);
 }
 
+// Watch an arena without a cell - full arenas let spectators in too
+function startSpectating(arenaChoice = {}) {
+    document.getElementById('start-screen').style.display = 'none';
+    document.getElementById('game-ui').style.display = 'block';
+    document.getElementById('replay-controls').classList.add('hidden');
+    document.getElementById('spectator-hud').classList.remove('hidden');
+    replayPlayer = null;
+    
+    const username = document.getElementById('username-input').value.trim();
+    
+    socketManager = new SocketManager();
+    socketManager.connect({ ...arenaChoice, spectate: true, token: accounts.token });
+    chat.attach(socketManager);
+    setupSocketListeners();
+    
+    game = new Game({
+        containerId: 'game-container',
+        socketManager: socketManager,
+        username: username,
+        spectator: true
+    });
+    
+    // Otherwise the connect handler asks to spectate
+    if (socketManager.connected) {
+        socketManager.spectateGame({ username: username || undefined });
+    }
+    
+    animationFrameId = requestAnimationFrame(gameLoop);
+}
+
 // Set up socket event listeners
 function setupSocketListeners() {
     socketManager.on('connect', () => {
         console.log('Connected to server with ID:', socketManager.id);
         
+        // Spectators watch instead of joining
+        if (game && game.isSpectator) {
+            socketManager.spectateGame({ username: game.username || undefined });
+            return;
+        }
+        
         // If game exists, join game with username
         if (game && game.username) {
             socketManager.joinGame({
@@ -165,10 +569,16 @@ function setupSocketListeners() {
         `;
     });
     
+    // Show where we ended up, with the code to share for private rooms
+    socketManager.on('arenaJoined', (arena) => {
+        document.getElementById('arena-name').textContent = arena.isPrivate
+            ? `${arena.name} - invite code ${arena.inviteCode}`
+            : arena.name;
+    });
+    
     // Player count updates
     socketManager.on('playerCount', (data) => {
         document.getElementById('players-count').textContent = data.count;
-        console.log(`Player count updated: ${data.count}/${data.max}`);
     });
     
     // Handle leaderboard updates
@@ -176,6 +586,45 @@ function setupSocketListeners() {
         updateLeaderboard(leaderboardData);
     });
     
+    // Our last cell was eaten - the game spectates the killer behind the summary
+    socketManager.on('playerDied', (summary) => {
+        ui.showGameOver({
+            mass: summary.mass,
+            rank: summary.rank,
+            timeSurvived: formatDuration(summary.timeAlive),
+            playersEaten: summary.playersEaten,
+            killerName: summary.killerName
+        }, () => {
+            game.respawn();
+        });
+    });
+    
+    // Chat lines, including replies to /commands
+    socketManager.on('chatMessage', (message) => {
+        chat.addMessage(message);
+    });
+    
+    // Game mode - round clock and team standings, winner screen between rounds
+    socketManager.on('worldConfig', (config) => {
+        ui.updateModeInfo(config.mode);
+        chat.setTeamChat(Boolean(config.mode && config.mode.teams));
+    });
+    
+    socketManager.on('modeState', (state) => {
+        ui.updateModeInfo(state);
+    });
+    
+    socketManager.on('roundEnded', (result) => {
+        ui.showRoundResult(result, game.localPlayerId);
+    });
+    
+    // Everyone starts over, the dead included
+    socketManager.on('roundStarted', (state) => {
+        ui.hideRoundResult();
+        ui.hideGameOver();
+        ui.updateModeInfo(state);
+    });
+    
     // Note: Other game-specific events like playerJoined, playerLeft, gameState
     // are now handled directly in the Game class setupSocketEvents method
 }
@@ -185,8 +634,6 @@ function updateLeaderboard(leaderboardData) {
     const leaderboardList = document.getElementById('leaderboard-list');
     if (!leaderboardList) return;
     
-    console.log('Updating leaderboard with data:', leaderboardData);
-    
     // Clear existing entries
     leaderboardList.innerHTML = '';
     
@@ -205,13 +652,19 @@ function updateLeaderboard(leaderboardData) {
             ? originalUsername.substring(0, originalUsername.length - 2) 
             : originalUsername;
         
-        console.log(`Player: ${originalUsername} -> ${displayUsername}`);
-        
         // Create username span
         const usernameSpan = document.createElement('span');
         usernameSpan.className = 'username';
         usernameSpan.textContent = displayUsername;
         
+        // Server-side bots are marked so nobody mistakes them for people
+        if (player.isBot) {
+            const botTag = document.createElement('span');
+            botTag.className = 'bot-tag';
+            botTag.textContent = 'BOT';
+            usernameSpan.appendChild(botTag);
+        }
+        
         // Create score span
         const scoreSpan = document.createElement('span');
         scoreSpan.className = 'score';
@@ -225,6 +678,13 @@ function updateLeaderboard(leaderboardData) {
     });
 }
 
+// Seconds as "1m 05s" (or just "42s")
+function formatDuration(totalSeconds) {
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return minutes > 0 ? `${minutes}m ${String(seconds).padStart(2, '0')}s` : `${seconds}s`;
+}
+
 function onWindowResize() {
     if (game) {
         game.onWindowResize();
@@ -21,6 +21,7 @@ export class CameraController {
         
         // Camera mode
         this.mode = 'follow'; // 'follow', 'firstPerson', 'orbit'
+        this.modeLocked = false; // Set while a spectator view picks the mode, so C doesn't cycle it
         
         // Add camera shake properties
         this.shakeIntensity = 0;
@@ -58,7 +59,8 @@ export class CameraController {
     }
     
     requestPointerLock() {
-        if (!this.isPointerLocked) {
+        // Orbit controls drag with the mouse, they need it free
+        if (!this.isPointerLocked && !this.controls) {
             this.domElement.requestPointerLock();
         }
     }
@@ -113,6 +115,12 @@ export class CameraController {
         this.pitchAngle = Math.max(this.minPitchAngle, Math.min(this.maxPitchAngle, this.pitchAngle));
     }
     
+    // Pitch to steer up and down with. Only pointer-lock mouse look sets it,
+    // positive when looking down at the player.
+    getPitch() {
+        return this.isPointerLocked ? this.pitchAngle : 0;
+    }
+    
     onKeyDown(event) {
         // Toggle pointer lock with 'L' key
         if (event.key === 'l' || event.key === 'L') {
@@ -124,7 +132,7 @@ export class CameraController {
         }
         
         // Toggle camera mode with 'C' key
-        if (event.key === 'c' || event.key === 'C') {
+        if ((event.key === 'c' || event.key === 'C') && !this.modeLocked) {
             this.cycleCameraMode();
         }
     }
@@ -200,15 +208,15 @@ export class CameraController {
         this.zoomFactor = Math.max(0.5, Math.min(3.0, this.zoomFactor + zoomDelta));
     }
     
-    setOrbitControls(renderer) {
-        // Optional: Add orbit controls for debugging
+    setOrbitControls(renderer, options = {}) {
+        // Optional: Add orbit controls for debugging, or as the free camera of replays
         this.controls = new OrbitControls(this.camera, renderer.domElement);
         this.controls.enableDamping = true;
         this.controls.dampingFactor = 0.05;
-        this.controls.screenSpacePanning = false;
-        this.controls.minDistance = 1;
-        this.controls.maxDistance = 50;
-        this.controls.maxPolarAngle = Math.PI / 2;
+        this.controls.screenSpacePanning = options.screenSpacePanning || false;
+        this.controls.minDistance = options.minDistance || 1;
+        this.controls.maxDistance = options.maxDistance || 50;
+        this.controls.maxPolarAngle = options.maxPolarAngle || Math.PI / 2;
         
         // Disable orbit controls when pointer is locked
         window.addEventListener('pointerlockchange', () => {
@@ -224,8 +232,17 @@ export class CameraController {
         }
     }
     
-    // Set camera type based on player size or game state
-    setCameraMode(mode, playerScale) {
+    // Fly the orbit camera: moves the camera and the point it orbits together
+    moveFreeCamera(movement) {
+        this.camera.position.add(movement);
+        if (this.controls) {
+            this.controls.target.add(movement);
+        }
+    }
+    
+    // Set camera type based on player size or game state. height raises the top-down
+    // view, high enough to overlook a whole arena.
+    setCameraMode(mode, playerScale, height) {
         this.currentCameraMode = mode;
         
         switch (mode) {
@@ -236,7 +253,7 @@ export class CameraController {
                 
             case 'top':
                 // Top-down view
-                this.offset.set(0, 30, 0);
+                this.offset.set(0, height || 30, 0);
                 break;
                 
             case 'firstPerson':
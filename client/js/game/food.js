@@ -8,11 +8,17 @@ export class Food {
         this.position = config.position || new THREE.Vector3(0, 0, 0);
         // Make food smaller with varying sizes
         this.mass = config.mass || (Math.random() * 2 + 1); // Random mass between 1 and 3
-        this.radius = 0.3 + (this.mass * 0.1); // Small radius based on mass
+        this.radius = config.scale ? config.scale.x : 0.3 + (this.mass * 0.1); // The server sizes food by its scale
         this.scale = config.scale || new THREE.Vector3(this.radius, this.radius, this.radius);
         this.color = config.color || this.getRandomFoodColor();
         this.rotationSpeed = Math.random() * 2 - 1; // Random rotation speed
         
+        // Optimistic eat animation, played before the server confirms
+        this.eatTarget = null; // Player the food is shrinking into
+        this.eatProgress = 0;
+        this.eatDuration = 0.15; // Seconds
+        this.eatenAt = 0; // performance.now() when the eat started
+        
         // Create mesh
         this.createMesh();
     }
@@ -51,6 +57,15 @@ export class Food {
     }
     
     update(deltaTime) {
+        // Shrink into the eater, then stay hidden until the server removes us or we're put back
+        if (this.eatTarget) {
+            this.eatProgress = Math.min(1, this.eatProgress + deltaTime / this.eatDuration);
+            this.mesh.position.lerpVectors(this.position, this.eatTarget.position, this.eatProgress);
+            this.mesh.scale.copy(this.scale).multiplyScalar(1 - this.eatProgress);
+            this.mesh.visible = this.eatProgress < 1;
+            return;
+        }
+        
         // Rotate the food for visual interest
         this.mesh.rotation.x += this.rotationSpeed * deltaTime;
         this.mesh.rotation.y += this.rotationSpeed * 0.8 * deltaTime;
@@ -61,6 +76,25 @@ export class Food {
         this.mesh.position.y = this.position.y + Math.sin(time * 2) * 0.05; // Reduced hovering
     }
     
+    startEat(player) {
+        this.eatTarget = player;
+        this.eatProgress = 0;
+        this.eatenAt = performance.now();
+    }
+    
+    // The server didn't agree - put the food back where it was
+    cancelEat() {
+        this.eatTarget = null;
+        this.eatProgress = 0;
+        this.mesh.position.copy(this.position);
+        this.mesh.scale.copy(this.scale);
+        this.mesh.visible = true;
+    }
+    
+    isBeingEaten() {
+        return this.eatTarget !== null;
+    }
+    
     updateFromServer(position, scale) {
         // Update position from server
         const positionArray = position;
@@ -6,6 +6,8 @@ import { PhysicsSystem } from './physics.js';
 import { RenderSystem } from './rendering.js';
 import { Virus } from './virus.js';
 import { MassOrb } from './mass.js';
+import { LocalPrediction } from './prediction.js';
+import { InterpolationBuffer } from '../networking/interpolation.js';
 
 export class Game {
     constructor(config) {
@@ -14,30 +16,76 @@ export class Game {
         this.socketManager = config.socketManager;
         this.username = config.username;
         
+        // Watching a recorded match - a ReplayPlayer stands in for the socket manager,
+        // there is no local player and the camera flies freely
+        this.isReplay = config.replay === true;
+        
+        // Watching a live arena without a cell - follow a player, fly a free camera or
+        // look down on the whole arena (see setSpectatorView)
+        this.isSpectator = config.spectator === true;
+        this.spectatorView = 'follow'; // 'follow', 'free' or 'overview'
+        this.spectateTopCount = 10; // Leaderboard places the follow camera cycles through
+        this.leaderboard = []; // Latest leaderboard from the server, best first
+        this.arenaCenter = { position: new THREE.Vector3(), rotation: new THREE.Euler() }; // What the overview looks down on
+        this.freeCameraSpeed = 80; // Units per second the free camera flies
+        this.freeCameraReportInterval = 0.1; // Seconds between telling the server where the free camera is
+        this.freeCameraReportTimer = 0;
+        this.freeCameraReported = new THREE.Vector3(); // Position the server last heard about
+        this.spectatorStatus = document.getElementById('spectator-status');
+        
         // Game state
         this.players = new Map(); // Map of player id -> Player instance
         this.foods = new Map();   // Map of food id -> Food instance
         this.localPlayerId = null;
         this.localPlayer = null;
         this.isRunning = false;
+        
+        // After our last cell is eaten we spectate until the server respawns us
+        this.isDead = false;
+        this.spectateTargetId = null; // Player the camera follows while dead or spectating
+        this.spectateTargetName = null;
         this.lastTime = 0;
         
+        // Game mode state from the server (rounds, teams), and how much of the world is open
+        this.modeState = null;
+        this.boundsScale = 1;
+        
         // Input state
         this.keys = {};
         this.mousePosition = new THREE.Vector2();
         this.mouseMovement = new THREE.Vector2();
         this.pointerLocked = false;
         
+        // Input commands are sent at a fixed rate since the server simulates one per tick
+        this.inputRate = 60;
+        this.inputAccumulator = 0;
+        this.inputSequence = 0;
+        this.moveDirection = new THREE.Vector3();
+        this.pendingBoost = false; // One-shot actions ride along with the next input
+        this.pendingSplit = false;
+        this.planarMovement = false; // The server says whether play is planar (y=0) or uses the whole volume
+        
+        // The local cell is predicted from our own inputs, remote players are drawn
+        // `interpolationDelay` ms in the past between buffered snapshots
+        this.prediction = new LocalPrediction({ tickDelta: 1 / this.inputRate });
+        this.interpolation = new InterpolationBuffer({
+            delay: config.interpolationDelay !== undefined ? config.interpolationDelay : 100
+        });
+        
         // Add viruses collection
         this.viruses = new Map();
         
         // Add mass orbs collection
         this.massOrbs = new Map();
         
-        // Game configuration
-        this.worldSize = 100; // Size of the game world - this value is used for boundaries
-        this.maxFood = 100;   // Maximum number of food items
-        this.minFood = 50;    // Minimum number of food items
+        // Game configuration - defaults until the server sends its world config
+        this.worldConfig = null;
+        this.worldSize = { x: 500, y: 500, z: 500 }; // World size per axis, centered on the origin
+        
+        // Food only ever comes from the server. Food our cell touches is eaten right away
+        // and put back if the server hasn't removed it within this many ms.
+        this.pendingFoodEats = new Set(); // Ids of food eaten locally but not yet by the server
+        this.foodConfirmTimeout = 1000;
         
         // Escape menu state
         this.escapeMenuActive = false;
@@ -64,13 +112,6 @@ export class Game {
         // Add UI indicator for mouse capture
         this.createMouseCaptureIndicator();
         
-        // Spawn initial viruses and food
-        this.spawnInitialViruses(10);
-        this.spawnInitialFood(this.minFood);
-        
-        // Log the number of viruses and food spawned
-        console.log(`Game initialized with ${this.viruses.size} viruses and ${this.foods.size} food items`);
-        
         // Start the game
         this.isRunning = true;
     }
@@ -130,9 +171,6 @@ export class Game {
             this.camera = new THREE.PerspectiveCamera(75, width / height, 0.1, 1000);
             this.camera.position.set(0, 10, 10);
             this.camera.lookAt(0, 0, 0);
-            
-            // Add camera controller
-            this.cameraController = new CameraController(this.camera, this.renderer.domElement);
         } catch (e) {
             console.error('Error initializing WebGL renderer:', e);
             const warning = document.createElement('div');
@@ -153,18 +191,31 @@ export class Game {
         this.cameraController = new CameraController(this.camera, this.renderer.domElement);
         this.cameraController.setCameraMode('follow');
         
+        // Replays orbit around the world instead of following a cell
+        if (this.isReplay) {
+            this.cameraController.setOrbitControls(this.renderer, {
+                maxDistance: 1000,
+                maxPolarAngle: Math.PI
+            });
+            this.camera.position.set(0, 250, 400);
+        }
+        
+        // Spectators orbit only in the free view, and not much further out than the
+        // server sends entities around the camera
+        if (this.isSpectator) {
+            this.cameraController.setOrbitControls(this.renderer, {
+                maxDistance: 120,
+                maxPolarAngle: Math.PI
+            });
+            this.cameraController.controls.enabled = false;
+        }
+        
         // Physics system for collision detection and movement
         this.physicsSystem = new PhysicsSystem();
         
         // Rendering system for visual effects
         this.renderSystem = new RenderSystem(this.scene, this.renderer);
         
-        // Define the world size property for boundaries and spawning
-        this.worldSize = 500; // Full world size (matches the grid helper)
-        
-        // Initialize viruses - fixed the spawnInitialViruses method to use the proper world size
-        this.spawnInitialViruses(15); // Spawn 15 initial viruses
-        
         // Create boundaries
         this.createBoundaries();
     }
@@ -228,6 +279,9 @@ export class Game {
     }
     
     initLocalPlayer() {
+        // Nobody plays in a replay, spectators watch without a cell
+        if (this.isReplay || this.isSpectator) return;
+        
         // Create local player and send join request to server
         this.localPlayerId = this.socketManager.id;
         this.localPlayer = new Player({
@@ -259,42 +313,86 @@ export class Game {
     }
     
     createBoundaries() {
-        // Create a visual representation of the world boundaries
-        // Using a much larger world size to allow unrestricted movement
-        const worldSize = this.worldSize * 10; // Make the world 10x larger
+        // Outline the box the server keeps every cell inside, rebuilt when the world config arrives
+        if (this.boundaries) {
+            this.scene.remove(this.boundaries);
+            this.boundaries.traverse(object => {
+                if (object.geometry) object.geometry.dispose();
+                if (object.material) object.material.dispose();
+            });
+        }
+        
+        // Planar worlds only need low walls around the ground plane
+        const height = this.planarMovement ? 5 : this.worldSize.y;
+        const box = new THREE.BoxGeometry(this.worldSize.x, height, this.worldSize.z);
         
-        // Create boundary walls - now at a much greater distance
-        const wallGeometry = new THREE.BoxGeometry(1, 5, worldSize * 2);
-        const wallMaterial = new THREE.MeshBasicMaterial({ 
+        this.boundaries = new THREE.Group();
+        
+        // Faint walls, drawn from the inside
+        this.boundaries.add(new THREE.Mesh(box, new THREE.MeshBasicMaterial({
             color: 0x8888ff,
             transparent: true,
-            opacity: 0.1 // Make them more transparent
-        });
+            opacity: 0.1,
+            side: THREE.BackSide,
+            depthWrite: false
+        })));
         
-        // East wall
-        const eastWall = new THREE.Mesh(wallGeometry, wallMaterial);
-        eastWall.position.set(worldSize, 2.5, 0);
-        this.scene.add(eastWall);
+        // Brighter edges so the corners read from far away
+        this.boundaries.add(new THREE.LineSegments(
+            new THREE.EdgesGeometry(box),
+            new THREE.LineBasicMaterial({ color: 0x8888ff, transparent: true, opacity: 0.5 })
+        ));
         
-        // West wall
-        const westWall = new THREE.Mesh(wallGeometry, wallMaterial);
-        westWall.position.set(-worldSize, 2.5, 0);
-        this.scene.add(westWall);
+        this.boundaries.position.y = this.planarMovement ? height / 2 : 0;
+        this.scene.add(this.boundaries);
+    }
+    
+    // The server's world config is authoritative - size and tune everything from it
+    applyWorldConfig(config) {
+        this.worldConfig = config;
+        this.worldSize = { ...config.worldSize };
+        this.planarMovement = config.movementMode === 'planar';
         
-        // North wall (rotated)
-        const northWall = new THREE.Mesh(wallGeometry, wallMaterial);
-        northWall.rotation.y = Math.PI / 2;
-        northWall.position.set(0, 2.5, -worldSize);
-        this.scene.add(northWall);
+        // One input per server tick
+        this.inputRate = config.tickRate;
+        this.prediction.configure(config);
         
-        // South wall (rotated)
-        const southWall = new THREE.Mesh(wallGeometry, wallMaterial);
-        southWall.rotation.y = Math.PI / 2;
-        southWall.position.set(0, 2.5, worldSize);
-        this.scene.add(southWall);
+        this.renderSystem.configureWorld(this.worldSize);
+        this.createBoundaries();
+        this.applyModeState(config.mode);
+        
+        // Keep the far side of the world in view
+        this.camera.far = Math.max(1000, Math.hypot(this.worldSize.x, this.worldSize.y, this.worldSize.z));
+        this.camera.updateProjectionMatrix();
+        if (this.isReplay) {
+            this.cameraController.controls.maxDistance = this.camera.far / 2;
+        }
         
-        // No physics boundaries - player can move freely
-        console.log('Physics boundaries removed - player can move freely across the entire map');
+        console.log(`World config: ${this.worldSize.x} x ${this.worldSize.y} x ${this.worldSize.z}, ${config.movementMode}, ${config.tickRate}Hz`);
+    }
+    
+    // Mirror the parts of the game mode that affect movement - the open part of the
+    // world shrinks in battle royale
+    applyModeState(state) {
+        if (!state) return;
+        
+        this.modeState = state;
+        this.boundsScale = state.boundsScale !== undefined ? state.boundsScale : 1;
+        this.updateWorldBounds();
+    }
+    
+    // Clamp local physics and prediction to the open part of the world, like the server
+    updateWorldBounds() {
+        const scale = this.boundsScale;
+        const halfX = this.worldSize.x / 2 * scale;
+        const halfY = this.planarMovement ? 0 : this.worldSize.y / 2 * scale;
+        const halfZ = this.worldSize.z / 2 * scale;
+        this.physicsSystem.setBoundaries(-halfX, halfX, -halfZ, halfZ, -halfY, halfY);
+        this.prediction.boundsScale = scale;
+        
+        if (this.boundaries) {
+            this.boundaries.scale.set(scale, this.planarMovement ? 1 : scale, scale);
+        }
     }
     
     addTestObject() {
@@ -315,8 +413,8 @@ export class Game {
         // Update player input
         this.updatePlayerInput(deltaTime);
         
-        // Update physics and get foods to remove
-        const foodsToRemove = this.physicsSystem.update(
+        // Update physics and get the food our cell is touching
+        const touchedFoods = this.physicsSystem.update(
             deltaTime,
             this.players,
             this.foods,
@@ -324,19 +422,12 @@ export class Game {
             this.viruses
         );
         
-        // Remove consumed foods
-        if (foodsToRemove && foodsToRemove.length > 0) {
-            foodsToRemove.forEach(foodId => {
-                this.removeFood(foodId);
-                
-                // Spawn a new food item to replace the consumed one after a delay
-                setTimeout(() => {
-                    if (this.foods.size < this.maxFood) {
-                        this.spawnNewFood();
-                    }
-                }, Math.random() * 2000 + 1000); // Random delay between 1-3 seconds
-            });
-        }
+        // Eat it right away, the server confirms by removing it
+        touchedFoods.forEach(food => this.predictFoodEaten(food));
+        this.rollbackUnconfirmedFood(now);
+        
+        // Move remote players along their interpolated snapshots
+        this.updateRemotePlayers();
         
         // Update players
         this.players.forEach(player => {
@@ -355,52 +446,27 @@ export class Game {
             });
         }
         
-        // Check if we need to spawn more food
-        if (this.foods.size < this.minFood) {
-            // Spawn new food at a rate of about 1 per second
-            if (Math.random() < deltaTime) {
-                this.spawnNewFood();
-            }
-        }
-        
-        // Update viruses
+        // Update viruses (popping happens on the server)
         this.viruses.forEach(virus => {
             virus.update(deltaTime);
-            
-            // Check for collisions with the local player
-            if (this.localPlayer && virus.checkCollision(this.localPlayer)) {
-                if (virus.onCollision(this.localPlayer, this)) {
-                    this.removeVirus(virus.id);
-                    // Spawn a new virus elsewhere after a delay
-                    setTimeout(() => this.spawnNewVirus(), 5000);
-                }
-            }
-            
-            // Check for collisions with other players
-            this.players.forEach(player => {
-                if (virus.checkCollision(player)) {
-                    if (virus.onCollision(player, this)) {
-                        this.removeVirus(virus.id);
-                        // Spawn a new virus elsewhere after a delay
-                        setTimeout(() => this.spawnNewVirus(), 5000);
-                    }
-                }
-            });
         });
         
-        // Send player position and rotation to server
-        this.socketManager.emit('updatePosition', {
-            position: this.localPlayer.position.toArray(),
-            rotation: this.localPlayer.rotation.toArray(),
-            scale: this.localPlayer.scale.toArray()
-        });
+        // Send input commands to the server
+        this.sendPlayerInput(deltaTime);
         
-        // Update camera to follow player
-        this.cameraController.followPlayer(
-            this.localPlayer.position, 
-            this.localPlayer.rotation,
-            deltaTime
-        );
+        // Update camera to follow player (or whoever we spectate), or fly freely in a replay
+        const cameraTarget = this.getCameraTarget();
+        if (cameraTarget) {
+            this.cameraController.followPlayer(
+                cameraTarget.position,
+                cameraTarget.rotation,
+                deltaTime
+            );
+        } else if (this.isReplay) {
+            this.cameraController.updateOrbitControls();
+        } else if (this.isSpectator && this.spectatorView === 'free') {
+            this.updateFreeCamera(deltaTime);
+        }
         
         // Update player fragments with ejection physics
         this.players.forEach(player => {
@@ -425,10 +491,11 @@ export class Game {
         if (!this.isRunning) return;
         
         // Simplified camera update
-        if (this.localPlayer) {
+        const cameraTarget = this.getCameraTarget();
+        if (cameraTarget) {
             this.cameraController.followPlayer(
-                this.localPlayer.position,
-                this.localPlayer.rotation,
+                cameraTarget.position,
+                cameraTarget.rotation,
                 deltaTime
             );
         }
@@ -441,6 +508,138 @@ export class Game {
         }
     }
     
+    // The camera follows our own cell, or while dead or spectating the player we watch.
+    // The spectator overview looks down on the middle of the arena instead.
+    getCameraTarget() {
+        if (this.localPlayer) return this.localPlayer;
+        if (this.spectatorView === 'free') return null;
+        if (this.spectatorView === 'overview') return this.arenaCenter;
+        return this.players.get(this.spectateTargetId) || null;
+    }
+    
+    // Switch how a spectator watches. The server sends what the new view can see:
+    // around the followed player, around the free camera, or the whole arena.
+    setSpectatorView(view, target = null) {
+        const controller = this.cameraController;
+        
+        // The free camera starts out orbiting whatever the camera looked at
+        if (view === 'free' && this.spectatorView !== 'free') {
+            const cameraTarget = this.getCameraTarget();
+            if (cameraTarget) {
+                controller.controls.target.copy(cameraTarget.position);
+            }
+        }
+        
+        if (view === 'overview') {
+            controller.setCameraMode('top', null, this.getOverviewHeight());
+        } else if (this.spectatorView === 'overview') {
+            controller.setCameraMode('follow');
+        }
+        this.spectatorView = view;
+        controller.controls.enabled = view === 'free';
+        controller.modeLocked = view !== 'follow';
+        
+        const message = { view: view };
+        if (view === 'follow' && target) {
+            this.spectateTargetId = target.id;
+            this.spectateTargetName = target.username;
+            message.targetId = target.id;
+        } else if (view === 'free') {
+            this.freeCameraReported.copy(controller.controls.target);
+            message.position = controller.controls.target.toArray();
+        }
+        this.socketManager.setSpectatorView(message);
+        
+        this.updateSpectatorStatus();
+    }
+    
+    // V switches view, arrows step through the top players, number keys follow a place
+    handleSpectatorKey(key) {
+        if (key === 'v' || key === 'V') {
+            const views = ['follow', 'free', 'overview'];
+            this.setSpectatorView(views[(views.indexOf(this.spectatorView) + 1) % views.length]);
+        } else if (key === 'ArrowRight' || key === 'ArrowLeft') {
+            this.cycleSpectateTarget(key === 'ArrowRight' ? 1 : -1);
+        } else if (/^[0-9]$/.test(key)) {
+            this.followRank(key === '0' ? 10 : Number(key));
+        }
+    }
+    
+    // Step through the top of the leaderboard. From anyone not on it, start at the
+    // top going forward and at the bottom going back.
+    cycleSpectateTarget(step) {
+        const candidates = this.leaderboard.slice(0, this.spectateTopCount);
+        if (candidates.length === 0) return;
+        
+        const index = candidates.findIndex(entry => entry.id === this.spectateTargetId);
+        const next = index === -1
+            ? (step > 0 ? 0 : candidates.length - 1)
+            : (index + step + candidates.length) % candidates.length;
+        
+        this.setSpectatorView('follow', candidates[next]);
+    }
+    
+    followRank(rank) {
+        const entry = this.leaderboard.slice(0, this.spectateTopCount)[rank - 1];
+        if (entry) {
+            this.setSpectatorView('follow', entry);
+        }
+    }
+    
+    // High enough above the middle for the whole arena to fit the view
+    getOverviewHeight() {
+        const halfFov = THREE.MathUtils.degToRad(this.camera.fov / 2);
+        return Math.max(this.worldSize.x, this.worldSize.z) / 2 / Math.tan(halfFov) + this.worldSize.y / 2;
+    }
+    
+    // WASD flies the free camera along the view, R and F go straight up and down
+    updateFreeCamera(deltaTime) {
+        const controller = this.cameraController;
+        
+        const forward = new THREE.Vector3();
+        this.camera.getWorldDirection(forward);
+        const right = new THREE.Vector3().crossVectors(forward, this.camera.up).normalize();
+        
+        const movement = new THREE.Vector3();
+        if (this.keys['w']) movement.add(forward);
+        if (this.keys['s']) movement.sub(forward);
+        if (this.keys['d']) movement.add(right);
+        if (this.keys['a']) movement.sub(right);
+        if (this.keys['r']) movement.y += 1;
+        if (this.keys['f']) movement.y -= 1;
+        
+        if (movement.lengthSq() > 0) {
+            controller.moveFreeCamera(movement.normalize().multiplyScalar(this.freeCameraSpeed * deltaTime));
+        }
+        controller.updateOrbitControls();
+        
+        // Tell the server where the camera went, at most a few times a second
+        this.freeCameraReportTimer += deltaTime;
+        if (this.freeCameraReportTimer >= this.freeCameraReportInterval &&
+            this.freeCameraReported.distanceToSquared(controller.controls.target) > 1) {
+            this.freeCameraReportTimer = 0;
+            this.freeCameraReported.copy(controller.controls.target);
+            this.socketManager.setSpectatorView({
+                view: 'free',
+                position: controller.controls.target.toArray()
+            });
+        }
+    }
+    
+    updateSpectatorStatus() {
+        if (!this.spectatorStatus) return;
+        
+        if (this.spectatorView === 'free') {
+            this.spectatorStatus.textContent = 'Free camera';
+        } else if (this.spectatorView === 'overview') {
+            this.spectatorStatus.textContent = 'Arena overview';
+        } else {
+            this.spectatorStatus.textContent = this.spectateTargetName
+                ? `Following ${this.spectateTargetName}`
+                : 'Following the leader';
+        }
+    }
+    
     updatePlayerInput(deltaTime) {
         if (!this.localPlayer) return;
 
@@ -464,20 +663,92 @@ export class Game {
         // Add horizontal adjustment based on mouse x position
         moveDirection.addScaledVector(cameraRight, this.mousePosition.x);
         
+        // In volumetric play the mouse-look pitch steers up and down - looking
+        // down at the cell dives, looking up climbs
+        if (!this.planarMovement && moveDirection.lengthSq() > 0) {
+            const pitch = this.cameraController.getPitch();
+            moveDirection.normalize().multiplyScalar(Math.cos(pitch));
+            moveDirection.y = -Math.sin(pitch);
+        }
+        
         // Normalize the direction vector
         if (moveDirection.lengthSq() > 0) {
             moveDirection.normalize();
         }
         
-        // Move the player in this direction
-        this.localPlayer.move(moveDirection, deltaTime);
+        // Face this direction - movement itself comes from the predicted inputs
         this.localPlayer.lookAt(moveDirection);
+        
+        // Remember the direction for the next input command
+        this.moveDirection.copy(moveDirection);
+    }
+    
+    sendPlayerInput(deltaTime) {
+        // Nothing to steer while spectating or watching a replay
+        if (this.isDead || this.isReplay || this.isSpectator) return;
+        
+        const interval = 1 / this.inputRate;
+        
+        // Don't flood the server with catch-up inputs after a long stall
+        this.inputAccumulator = Math.min(this.inputAccumulator + deltaTime, interval * 5);
+        
+        while (this.inputAccumulator >= interval) {
+            this.inputAccumulator -= interval;
+            
+            const input = {
+                seq: ++this.inputSequence,
+                direction: this.moveDirection.clone(),
+                boost: this.pendingBoost,
+                split: this.pendingSplit
+            };
+            
+            this.socketManager.sendInput({ ...input, direction: input.direction.toArray() });
+            
+            // Simulate it right away instead of waiting for the server
+            this.prediction.applyInput(input);
+            
+            this.pendingBoost = false;
+            this.pendingSplit = false;
+        }
+        
+        if (this.localPlayer) {
+            this.localPlayer.position.copy(this.prediction.position);
+        }
+    }
+    
+    // Rewind the local cell to the server's state and replay unacknowledged inputs
+    reconcileLocalPlayer(playerData) {
+        if (!playerData.position) return;
+        
+        const position = this.prediction.reconcile(playerData);
+        this.localPlayer.position.copy(position);
+    }
+    
+    updateRemotePlayers() {
+        const now = performance.now();
+        
+        this.players.forEach((player, id) => {
+            if (id === this.localPlayerId) return;
+            
+            const state = this.interpolation.sample(id, now);
+            if (state) {
+                player.updateFromServer(state.position, state.rotation, state.scale);
+            }
+        });
     }
     
     // Event handlers
     handleKeyDown(event) {
         this.keys[event.key] = true;
         
+        // Spectators have no cell to steer, their keys pick what to watch
+        if (this.isSpectator) {
+            if (!event.repeat) {
+                this.handleSpectatorKey(event.key);
+            }
+            if (event.key !== 'Escape' && event.key !== 'l') return;
+        }
+        
         // Handle special key presses
         if (event.key === 'w' && !event.repeat) {
             // W for boost
@@ -486,14 +757,19 @@ export class Game {
                 const boostSuccess = this.localPlayer.boost();
                 
                 if (boostSuccess) {
-                    // Send boost command to server
-                    this.socketManager.emit('boostPlayer');
-                    console.log('Boost command sent to server');
+                    // Send boost with the next input
+                    this.pendingBoost = true;
                     
                     // Add boost particles for visual effect
                     this.addBoostParticles(this.localPlayer.position, this.localPlayer.color);
                 }
             }
+        } else if (event.key === ' ' && !event.repeat) {
+            // Space to split, sent with the next input - unless we're too small to split
+            const minSplitMass = this.worldConfig ? this.worldConfig.split.minMass : 0;
+            if (this.localPlayer && this.localPlayer.mass >= minSplitMass) {
+                this.pendingSplit = true;
+            }
         } else if (event.key === 'c' && !event.repeat) {
             this.cameraController.toggleCameraMode();
         } else if ((event.key === 'l' || event.key === 'Escape') && !event.repeat) {
@@ -563,7 +839,7 @@ export class Game {
         
         // Handle player boost on right click
         if (event.button === 2) { // Right click
-            this.socketManager.emit('boostPlayer');
+            this.pendingBoost = true;
             
             // Prevent context menu
             event.preventDefault();
@@ -594,7 +870,6 @@ export class Game {
         for (const [playerId, player] of this.players.entries()) {
             if (!currentPlayerIds.has(playerId) && playerId !== this.localPlayerId) {
                 // Player is not in the current game state and is not the local player
-                console.log('Player no longer in game state, removing:', playerId);
                 this.removePlayer(playerId);
             }
         }
@@ -632,14 +907,11 @@ export class Game {
         if (this.players.has(id)) {
             // Update existing player
             const player = this.players.get(id);
-            if (id !== this.localPlayerId) { // Don't override local player's position
-                // Ensure player is not below the floor (minimum Y = 0)
-                const adjustedPosition = position ? [...position] : null;
-                if (adjustedPosition && adjustedPosition[1] < 0) {
-                    adjustedPosition[1] = 0; // Set Y to floor level if below
-                }
-                
-                player.updateFromServer(adjustedPosition, rotation, scale);
+            if (id === this.localPlayerId) {
+                this.reconcileLocalPlayer(playerData);
+            } else {
+                // Buffered and applied in updateRemotePlayers
+                this.interpolation.push(id, { position, rotation, scale });
             }
             
             // Update mass and score for all players, including local player
@@ -655,10 +927,6 @@ export class Game {
         } else {
             // Create new player
             const newPosition = new THREE.Vector3().fromArray(position);
-            // Ensure player is not below the floor (minimum Y = 0)
-            if (newPosition.y < 0) {
-                newPosition.y = 0; // Set Y to floor level if below
-            }
             
             const newPlayer = new Player({
                 id,
@@ -678,6 +946,17 @@ export class Game {
             }
             
             this.players.set(id, newPlayer);
+            
+            if (id === this.localPlayerId) {
+                // We respawned - predict the new cell from where the server put it
+                this.localPlayer = newPlayer;
+                this.isDead = false;
+                this.spectateTargetId = null;
+                this.inputAccumulator = 0;
+                this.reconcileLocalPlayer(playerData);
+            } else if (rotation && scale) {
+                this.interpolation.push(id, { position: newPosition.toArray(), rotation, scale });
+            }
         }
     }
     
@@ -694,7 +973,8 @@ export class Game {
                 id,
                 position: new THREE.Vector3().fromArray(position),
                 scale: new THREE.Vector3().fromArray(scale),
-                color: new THREE.Color(color)
+                color: new THREE.Color(color),
+                mass: foodData.value
             });
             this.scene.add(newFood.mesh);
             this.foods.set(id, newFood);
@@ -719,7 +999,11 @@ export class Game {
                 this.scene.remove(player.label);
             }
             
+            // Free its geometry, materials and label texture
+            player.dispose();
+            
             this.players.delete(id);
+            this.interpolation.remove(id);
         }
     }
     
@@ -735,6 +1019,29 @@ export class Game {
             this.scene.remove(food.mesh);
             this.foods.delete(id);
         }
+        this.pendingFoodEats.delete(id);
+    }
+    
+    // Our cell touched this food - play the eat animation now instead of a round trip later
+    predictFoodEaten(food) {
+        if (!this.localPlayer) return;
+        
+        food.startEat(this.localPlayer);
+        this.pendingFoodEats.add(food.id);
+    }
+    
+    // Put back food the server still has after the timeout - it disagreed (someone
+    // else got there first, or our cell wasn't where we predicted)
+    rollbackUnconfirmedFood(now) {
+        for (const id of this.pendingFoodEats) {
+            const food = this.foods.get(id);
+            if (!food) {
+                this.pendingFoodEats.delete(id);
+            } else if (now - food.eatenAt > this.foodConfirmTimeout) {
+                food.cancelEat();
+                this.pendingFoodEats.delete(id);
+            }
+        }
     }
     
     // Utility functions
@@ -782,32 +1089,13 @@ export class Game {
         }
     }
     
-    // Method to spawn initial viruses
-    spawnInitialViruses(count) {
-        console.log(`Spawning ${count} initial viruses`);
-        
-        for (let i = 0; i < count; i++) {
-            // Create random positions within 90% of world bounds to avoid edge spawning
-            // Use the boundaries defined in createBoundaries
-            const position = new THREE.Vector3(
-                (Math.random() * this.worldSize * 1.8) - this.worldSize * 0.9,
-                0, // Keep on the ground plane
-                (Math.random() * this.worldSize * 1.8) - this.worldSize * 0.9
-            );
-            
-            // Create the virus with a unique ID
-            const virusId = 'virus_' + crypto.randomUUID();
-            this.addVirus({
-                id: virusId,
-                position: position
-            });
-            
-            console.log(`Spawned virus ${virusId} at position:`, position);
-        }
-    }
-    
     // Add a virus to the game
     addVirus(virusData) {
+        // Already known (e.g. sent again after a reconnect)
+        if (this.viruses.has(virusData.id)) {
+            return this.viruses.get(virusData.id);
+        }
+        
         // Convert position array to Vector3 if needed
         let position = virusData.position;
         if (Array.isArray(position)) {
@@ -818,7 +1106,9 @@ export class Game {
         const virus = new Virus({
             id: virusData.id,
             position: position,
-            radius: virusData.radius || 2.5
+            radius: virusData.radius || 2.5,
+            velocity: virusData.velocity ? new THREE.Vector3().fromArray(virusData.velocity) : undefined,
+            damping: virusData.damping
         });
         
         // Add to the viruses collection
@@ -827,7 +1117,6 @@ export class Game {
         // Add to the scene
         this.scene.add(virus.mesh);
         
-        console.log(`Added virus ${virus.id} to game`);
         return virus;
     }
     
@@ -841,29 +1130,21 @@ export class Game {
         }
     }
     
-    // Spawn a new virus at a random position
-    spawnNewVirus() {
-        // Use the same boundary calculation as initial spawning
-        const position = new THREE.Vector3(
-            (Math.random() * this.worldSize * 1.8) - this.worldSize * 0.9,
-            0,
-            (Math.random() * this.worldSize * 1.8) - this.worldSize * 0.9
-        );
-        
-        this.addVirus({
-            id: 'virus_' + Date.now(),
-            position: position
-        });
-    }
-    
     // Add method for player fragments (for virus popping)
     addPlayerFragment(fragmentConfig) {
+        // Snapshots may have brought it into view already
+        if (this.players.has(fragmentConfig.id)) {
+            return this.players.get(fragmentConfig.id);
+        }
+        
         // Create a new player instance for the fragment
         const fragment = new Player(fragmentConfig);
         
-        // Add it to the scene
+        // Add it to the scene, with its name label like any other cell
         this.scene.add(fragment.mesh);
-        this.scene.add(fragment.label);
+        if (fragment.label) {
+            this.scene.add(fragment.label);
+        }
         
         // Add to players collection
         this.players.set(fragment.id, fragment);
@@ -879,6 +1160,21 @@ export class Game {
         return fragment;
     }
     
+    // A virus grew from feeding, shrank after shooting, or came to rest
+    updateVirus(virusData) {
+        const virus = this.viruses.get(virusData.id);
+        if (!virus) {
+            this.addVirus(virusData);
+            return;
+        }
+        
+        virus.updateFromServer(
+            new THREE.Vector3().fromArray(virusData.position),
+            virusData.velocity ? new THREE.Vector3().fromArray(virusData.velocity) : null
+        );
+        virus.setRadius(virusData.radius);
+    }
+    
     // Handle virus updates from server if needed
     updateViruses(virusData) {
         virusData.forEach(data => {
@@ -913,7 +1209,6 @@ export class Game {
         // Add to the scene
         this.scene.add(orb.mesh);
         
-        console.log(`Added mass orb ${orb.id} to game`);
         return orb;
     }
     
@@ -961,15 +1256,40 @@ export class Game {
     setupSocketEvents() {
         // Player connection events
         this.socketManager.on('playerJoined', (data) => {
-            console.log('Player joined the game:', data);
             this.addPlayer(data);
         });
         
+        this.socketManager.on('worldConfig', (config) => {
+            this.applyWorldConfig(config);
+        });
+        
+        // Food outside of snapshots - new food near us, and food someone ate
+        this.socketManager.on('foodSpawned', (foodData) => {
+            this.addFood(foodData);
+        });
+        
+        this.socketManager.on('foodConsumed', (data) => {
+            this.removeFood(data.foodId);
+        });
+        
         this.socketManager.on('playerLeft', (id) => {
-            console.log('Player left the game:', id);
             this.removePlayer(id);
         });
         
+        // Authoritative state rebuilt from snapshots
+        this.socketManager.on('gameState', (gameState) => {
+            this.updateGameState(gameState);
+        });
+        
+        // Entities moving into or out of our view radius
+        this.socketManager.on('entitiesEntered', (entities) => {
+            this.handleEntitiesEntered(entities);
+        });
+        
+        this.socketManager.on('entitiesLeft', (entities) => {
+            this.handleEntitiesLeft(entities);
+        });
+        
         // Handle player split event
         this.socketManager.on('playerSplit', (data) => {
             this.handlePlayerSplit(data);
@@ -998,6 +1318,53 @@ export class Game {
             this.removeVirus(id);
         });
         
+        this.socketManager.on('virusUpdated', (virusData) => {
+            this.updateVirus(virusData);
+        });
+        
+        this.socketManager.on('playerPopped', (data) => {
+            this.handlePlayerPopped(data);
+        });
+        
+        // Death and spectating
+        this.socketManager.on('playerDied', (summary) => {
+            this.handlePlayerDied(summary);
+        });
+        
+        // Round clocks, team scores and shrinking bounds
+        this.socketManager.on('modeState', (state) => {
+            this.applyModeState(state);
+        });
+        
+        this.socketManager.on('roundStarted', (state) => {
+            this.applyModeState(state);
+        });
+        
+        // A replay jumped to another point in time and resends the whole world
+        this.socketManager.on('replayReset', () => {
+            this.clearWorld();
+        });
+        
+        this.socketManager.on('spectateTarget', (target) => {
+            // Our killer died too, the server moved us on to someone else
+            this.spectateTargetId = target.id;
+            this.spectateTargetName = target.username;
+            this.updateSpectatorStatus();
+        });
+        
+        // The server took us on as a spectator. After a reconnect it starts over
+        // following the leader, so ask for the view we had again.
+        this.socketManager.on('spectating', () => {
+            this.setSpectatorView(this.spectatorView, this.players.has(this.spectateTargetId)
+                ? { id: this.spectateTargetId, username: this.spectateTargetName }
+                : null);
+        });
+        
+        // Spectators follow players by their leaderboard place
+        this.socketManager.on('leaderboard', (leaderboard) => {
+            this.leaderboard = leaderboard;
+        });
+        
         // Display server messages in the UI
         this.socketManager.on('serverMessage', (message) => {
             this.displayServerMessage(message);
@@ -1006,6 +1373,40 @@ export class Game {
         // Handle other socket events as needed
     }
     
+    // Drop every entity, ours included
+    clearWorld() {
+        Array.from(this.players.keys()).forEach(id => this.removePlayer(id));
+        Array.from(this.foods.keys()).forEach(id => this.removeFood(id));
+        Array.from(this.viruses.keys()).forEach(id => this.removeVirus(id));
+        Array.from(this.massOrbs.keys()).forEach(id => this.removeMassOrb(id));
+        this.interpolation.clear();
+    }
+    
+    // Add entities that came into view
+    handleEntitiesEntered(entities) {
+        (entities.players || []).forEach(playerData => this.addPlayer(playerData));
+        (entities.foods || []).forEach(foodData => this.addFood(foodData));
+        (entities.massOrbs || []).forEach(orbData => {
+            if (!this.massOrbs.has(orbData.id)) {
+                this.addMassOrb(orbData);
+            }
+        });
+        (entities.viruses || []).forEach(virusData => this.updateVirus(virusData));
+    }
+    
+    // Drop entities that went out of view (or no longer exist)
+    handleEntitiesLeft(entities) {
+        (entities.players || []).forEach(id => {
+            // Never remove ourselves, the server always keeps us in view
+            if (id !== this.localPlayerId) {
+                this.removePlayer(id);
+            }
+        });
+        (entities.foods || []).forEach(id => this.removeFood(id));
+        (entities.massOrbs || []).forEach(id => this.removeMassOrb(id));
+        (entities.viruses || []).forEach(id => this.removeVirus(id));
+    }
+    
     // Display server messages in the UI
     displayServerMessage(message) {
         const messagesElement = document.getElementById('messages');
@@ -1028,19 +1429,19 @@ export class Game {
     handlePlayerSplit(data) {
         const { parentId, fragment } = data;
         
-        // Get the parent player that split
+        // A parent out of our view is normal - the fragment comes in with the snapshots
+        // once it is close enough
         const parentPlayer = this.players.get(parentId);
-        if (!parentPlayer) {
-            console.error('Parent player not found for split:', parentId);
-            return;
-        }
+        if (!parentPlayer) return;
         
-        // Create a new player for the fragment
-        const fragmentPlayer = new Player({
+        // Never leave a stale cell with the same id behind in the scene
+        this.removePlayer(fragment.id);
+        
+        this.addPlayerFragment({
             id: fragment.id,
             username: fragment.username,
             position: new THREE.Vector3().fromArray(fragment.position),
-            color: new THREE.Color(parseInt(fragment.color, 16)),
+            color: new THREE.Color(fragment.color),
             mass: fragment.mass,
             radius: Math.cbrt(fragment.mass),
             // Set fragment properties to enable visual effects
@@ -1049,10 +1450,6 @@ export class Game {
             ejectionForce: 25 // Increase force for more dramatic effect
         });
         
-        // Add the fragment to the scene and player list
-        this.scene.add(fragmentPlayer.mesh);
-        this.players.set(fragment.id, fragmentPlayer);
-        
         // Add particle effect at split point for visual flair
         this.addSplitParticles(parentPlayer.position.clone(), parentPlayer.color);
         
@@ -1060,8 +1457,36 @@ export class Game {
         if (parentId === this.localPlayerId) {
             this.cameraController.addShake(0.3, 0.2); // intensity, duration
         }
+    }
+    
+    // Handle a player bursting on a virus - the server already created the pieces
+    handlePlayerPopped(data) {
+        const { playerId, mass, fragments } = data;
+        
+        const player = this.players.get(playerId);
+        if (player) {
+            player.mass = mass;
+            player.updateSize();
+            this.addSplitParticles(player.position.clone(), player.color);
+        }
         
-        console.log(`Player ${parentId} split, created fragment ${fragment.id}`);
+        fragments.forEach(fragment => {
+            this.addPlayerFragment({
+                id: fragment.id,
+                username: fragment.username,
+                position: new THREE.Vector3().fromArray(fragment.position),
+                color: new THREE.Color(fragment.color),
+                mass: fragment.mass,
+                radius: Math.cbrt(fragment.mass),
+                isFragment: true,
+                ejectionDirection: new THREE.Vector3().fromArray(fragment.velocity).normalize(),
+                ejectionForce: 25
+            });
+        });
+        
+        if (playerId === this.localPlayerId) {
+            this.cameraController.addShake(0.5, 0.3); // intensity, duration
+        }
     }
     
     // Add a particle effect when a player splits
@@ -1172,44 +1597,6 @@ export class Game {
         return direction.normalize();
     }
 
-    // Method to spawn initial food
-    spawnInitialFood(count) {
-        console.log(`Spawning ${count} initial food items`);
-        
-        for (let i = 0; i < count; i++) {
-            this.spawnNewFood();
-        }
-    }
-    
-    // Spawn a new food item at a random position
-    spawnNewFood() {
-        // Create random position within 80% of world bounds to avoid edge spawning
-        const position = new THREE.Vector3(
-            (Math.random() - 0.5) * this.worldSize * 0.8,
-            0, // Keep on the ground plane
-            (Math.random() - 0.5) * this.worldSize * 0.8
-        );
-        
-        // Create a new food item with random properties
-        const foodId = 'food_' + crypto.randomUUID();
-        const mass = Math.random() * 2 + 1; // Random mass between 1 and 3
-        const radius = 0.3 + (mass * 0.1); // Small radius based on mass
-        
-        const newFood = new Food({
-            id: foodId,
-            position: position,
-            mass: mass
-        });
-        
-        // Add to the foods collection
-        this.foods.set(foodId, newFood);
-        
-        // Add to the scene
-        this.scene.add(newFood.mesh);
-        
-        return newFood;
-    }
-
     addBoostParticles(position, color) {
         // Create a particle system for the boost effect
         const particleCount = 50;
@@ -1328,6 +1715,31 @@ export class Game {
         }
     }
 
+    // Our last cell was eaten - drop it and watch the killer until we respawn
+    handlePlayerDied(summary) {
+        this.isDead = true;
+        this.spectateTargetId = summary.killerId;
+        
+        this.removePlayer(this.localPlayerId);
+        this.localPlayer = null;
+        this.prediction.reset();
+        this.pendingBoost = false;
+        this.pendingSplit = false;
+        
+        // Free the mouse for the game over screen
+        if (document.pointerLockElement === this.renderer.domElement) {
+            document.exitPointerLock();
+        }
+    }
+    
+    // Rejoin on the same connection. The local player comes back with the first
+    // snapshot that contains our cell again.
+    respawn() {
+        if (!this.isDead) return;
+        
+        this.socketManager.respawn({ username: this.username });
+    }
+    
     // Toggle the escape menu
     toggleEscapeMenu() {
         this.escapeMenuActive = !this.escapeMenuActive;
@@ -1351,8 +1763,10 @@ export class Game {
         this.escapeMenuActive = false;
         this.escapeMenu.classList.add('hidden');
         
-        // Re-lock the pointer
-        this.renderer.domElement.requestPointerLock();
+        // Re-lock the pointer - replays and spectators keep the mouse for the orbit camera
+        if (!this.cameraController.controls) {
+            this.renderer.domElement.requestPointerLock();
+        }
     }
     
     // Disconnect from the game and return to start screen
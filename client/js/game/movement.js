@@ -0,0 +1,72 @@
+// Cell movement rules
+//
+// Shared by the server (require) and the client (side-effect import, exposed as
+// self.Agar3DMovement) so client-side prediction runs exactly the same math as the
+// authoritative simulation. Like the codec it's UMD, so keep it free of
+// import/export syntax and of any THREE dependency - it only touches x/y/z fields.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Agar3DMovement = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const MOVEMENT = {
+        baseSpeed: 10,        // Speed of the smallest cells
+        massTierSize: 10,     // Cells slow down in steps of this much mass
+        massTierSlowdown: 0.3, // Extra slowdown per mass tier
+        drag: 0.95,           // Velocity kept per tick
+        boostForce: 20,       // Impulse added by a boost
+        boostCost: 3,         // Mass spent per boost
+        boostSpeedFactor: 2.5 // Boost impulses are capped at this many times move speed
+    };
+
+    function getMoveSpeed(mass) {
+        // 1-10 mass = tier 0, 11-20 = tier 1, etc.
+        const massTier = Math.floor(mass / MOVEMENT.massTierSize);
+        return MOVEMENT.baseSpeed / (1 + massTier * MOVEMENT.massTierSlowdown);
+    }
+
+    // Advance one tick. `cell` needs position, velocity and mass; direction is the
+    // normalized input direction (zero to stand still).
+    function step(cell, direction, deltaTime) {
+        const moveSpeed = getMoveSpeed(cell.mass);
+        const position = cell.position;
+        const velocity = cell.velocity;
+
+        // Steer along the input direction, plus any impulse (boost, split, bounces)
+        position.x += (direction.x * moveSpeed + velocity.x) * deltaTime;
+        position.y += (direction.y * moveSpeed + velocity.y) * deltaTime;
+        position.z += (direction.z * moveSpeed + velocity.z) * deltaTime;
+
+        // Apply drag to gradually slow down
+        velocity.x *= MOVEMENT.drag;
+        velocity.y *= MOVEMENT.drag;
+        velocity.z *= MOVEMENT.drag;
+    }
+
+    // Add a boost impulse along `forward`. The caller has already paid the mass cost,
+    // so the cap uses the post-boost mass.
+    function applyBoost(cell, forward) {
+        const velocity = cell.velocity;
+        velocity.x += forward.x * MOVEMENT.boostForce;
+        velocity.y += forward.y * MOVEMENT.boostForce;
+        velocity.z += forward.z * MOVEMENT.boostForce;
+
+        const maxSpeed = getMoveSpeed(cell.mass) * MOVEMENT.boostSpeedFactor;
+        const speed = Math.sqrt(velocity.x * velocity.x + velocity.y * velocity.y + velocity.z * velocity.z);
+        if (speed > maxSpeed) {
+            const scale = maxSpeed / speed;
+            velocity.x *= scale;
+            velocity.y *= scale;
+            velocity.z *= scale;
+        }
+    }
+
+    function canBoost(mass) {
+        return mass > MOVEMENT.boostCost;
+    }
+
+    return { MOVEMENT, getMoveSpeed, step, applyBoost, canBoost };
+});
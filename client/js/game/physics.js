@@ -8,32 +8,39 @@ export class PhysicsSystem {
         this.tempVector = new THREE.Vector3();
         this.boundarySize = 250; // Default boundary size
         
-        // World boundaries (will be set by the game)
+        // World boundaries (set by the game from the server's world config)
         this.minX = -this.boundarySize;
         this.maxX = this.boundarySize;
+        this.minY = -this.boundarySize;
+        this.maxY = this.boundarySize;
         this.minZ = -this.boundarySize;
         this.maxZ = this.boundarySize;
     }
     
-    // Method to set the world boundaries
-    setBoundaries(minX, maxX, minZ, maxZ) {
+    // Method to set the world boundaries. Y is optional for callers that only care about the plane.
+    setBoundaries(minX, maxX, minZ, maxZ, minY = this.minY, maxY = this.maxY) {
         this.minX = minX;
         this.maxX = maxX;
+        this.minY = minY;
+        this.maxY = maxY;
         this.minZ = minZ;
         this.maxZ = maxZ;
-        console.log(`Physics boundaries set to: X(${minX}, ${maxX}), Z(${minZ}, ${maxZ})`);
+        console.log(`Physics boundaries set to: X(${minX}, ${maxX}), Y(${minY}, ${maxY}), Z(${minZ}, ${maxZ})`);
+    }
+    
+    clampToBoundaries(position) {
+        position.x = Math.max(this.minX, Math.min(this.maxX, position.x));
+        position.y = Math.max(this.minY, Math.min(this.maxY, position.y));
+        position.z = Math.max(this.minZ, Math.min(this.maxZ, position.z));
     }
     
     update(deltaTime, players, foods, localPlayerId, viruses) {
         // Check for collisions between the local player and food
-        const foodsToRemove = this.checkPlayerFoodCollisions(players, foods, localPlayerId);
+        const touchedFoods = this.checkPlayerFoodCollisions(players, foods, localPlayerId);
         
         // Check for collisions between players
         this.checkPlayerPlayerCollisions(players, localPlayerId);
         
-        // Check for collisions between the local player and viruses
-        this.checkPlayerVirusCollisions(players, viruses, localPlayerId);
-        
         // Enforce world boundaries for all players
         players.forEach(player => {
             this.enforceBoundary(player);
@@ -44,33 +51,29 @@ export class PhysicsSystem {
             this.enforceEntityBoundary(virus);
         });
         
-        // Return the list of foods to remove
-        return foodsToRemove;
+        // Return the food the local player is touching
+        return touchedFoods;
     }
     
+    // Food the local player overlaps, by the same rule the server eats it with. Only a
+    // prediction - growth always comes from the server.
     checkPlayerFoodCollisions(players, foods, localPlayerId) {
         const localPlayer = players.get(localPlayerId);
-        if (!localPlayer) return;
+        if (!localPlayer) return [];
         
-        const foodsToRemove = [];
+        const touchedFoods = [];
         
-        foods.forEach((food, foodId) => {
-            // Simple distance-based collision detection
-            const distance = localPlayer.position.distanceTo(food.mesh.position);
+        foods.forEach(food => {
+            // Already being eaten, waiting for the server
+            if (food.isBeingEaten()) return;
             
-            // If the player's radius is greater than the distance to the food center plus the food radius,
-            // they are colliding
-            if (distance < (localPlayer.radius + food.radius * 0.5)) {
-                // Consume the food - add its mass to the player
-                localPlayer.grow(food.mass);
-                
-                // Mark food for removal
-                foodsToRemove.push(foodId);
+            const distance = localPlayer.position.distanceTo(food.position);
+            if (distance < localPlayer.radius + food.radius) {
+                touchedFoods.push(food);
             }
         });
         
-        // Return the list of foods to remove
-        return foodsToRemove;
+        return touchedFoods;
     }
     
     checkPlayerPlayerCollisions(players, localPlayerId) {
@@ -107,30 +110,19 @@ export class PhysicsSystem {
         });
     }
     
-    checkPlayerVirusCollisions(players, viruses, localPlayerId) {
-        const localPlayer = players.get(localPlayerId);
-        if (!localPlayer) return;
-        
-        viruses.forEach((virus, virusId) => {
-            // Use the virus's own collision detection method
-            if (virus.checkCollision(localPlayer)) {
-                // The virus's onCollision method will handle the player popping
-                // and other effects. The game class will handle removing the virus
-                // if necessary.
-            }
-        });
-    }
-    
     enforceEntityBoundary(entity) {
-        // Boundary restrictions removed - player can move freely across the entire map
-        // Just update the mesh position to match the entity position
+        // Same bounds as the server, so nothing is drawn outside the world
+        this.clampToBoundaries(entity.position);
+        
+        // Update the mesh position to match the entity position
         if (entity.mesh) {
             entity.mesh.position.copy(entity.position);
         }
     }
     
     enforceBoundary(player) {
-        // No boundary enforcement - player can move freely
+        // Same bounds as the server, so nothing is drawn outside the world
+        this.clampToBoundaries(player.position);
         
         // Update the player's mesh and label if they exist
         if (player.mesh) {
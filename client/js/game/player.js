@@ -312,18 +312,18 @@ export class Player {
     }
     
     updateFromServer(position, rotation, scale) {
-        // Update position from server (with interpolation for smoothness)
+        // Applied as-is - remote players are already smoothed by the interpolation buffer
         const serverPosition = position instanceof THREE.Vector3 ? position : new THREE.Vector3().fromArray(position);
-        this.position.lerp(serverPosition, 0.3); // Smooth interpolation
+        this.position.copy(serverPosition);
         
         // Update rotation from server
         const serverRotation = rotation instanceof THREE.Quaternion ? rotation : new THREE.Quaternion().fromArray(rotation);
-        this.rotation.slerp(serverRotation, 0.3); // Smooth interpolation
+        this.rotation.copy(serverRotation);
         this.mesh.quaternion.copy(this.rotation);
         
         // Update scale from server
         const serverScale = scale instanceof THREE.Vector3 ? scale : new THREE.Vector3().fromArray(scale);
-        this.scale.lerp(serverScale, 0.3); // Smooth interpolation
+        this.scale.copy(serverScale);
         
         // Update physics values based on scale
         this.radius = this.scale.x; // Assuming uniform scaling
@@ -0,0 +1,124 @@
+// Client-side prediction for the local cell
+//
+// Inputs are simulated as soon as they're sent, with the same movement rules the
+// server uses. When an authoritative state arrives we rewind to it and replay every
+// input the server hasn't simulated yet, so the cell only moves on a real mismatch.
+
+import { THREE } from '../lib/three-instance.js';
+import './movement.js'; // UMD module shared with the server, registers self.Agar3DMovement
+
+const Movement = self.Agar3DMovement;
+
+export class LocalPrediction {
+    constructor(config = {}) {
+        // Each input covers one server tick
+        this.tickDelta = config.tickDelta || 1 / 60;
+
+        // Inputs sent but not yet simulated by the server. Bounded so a dead
+        // connection can't grow it forever.
+        this.pendingInputs = [];
+        this.maxPendingInputs = config.maxPendingInputs || 120;
+
+        // Predicted state
+        this.position = new THREE.Vector3();
+        this.velocity = new THREE.Vector3();
+        this.mass = 1;
+        this.facing = new THREE.Vector3(0, 0, -1); // Boosts go where the cell last headed
+
+        this.lastError = 0; // Distance the last reconciliation moved the cell, for debugging
+
+        // World bounds the server clamps cells to (full size per axis), none until configured
+        this.worldSize = null;
+        this.planar = false;
+        this.boundsScale = 1; // Fraction of the world the game mode keeps open
+    }
+
+    // Take tick length, bounds and movement tuning from the server's world config
+    configure(worldConfig) {
+        this.tickDelta = 1 / worldConfig.tickRate;
+        this.worldSize = { ...worldConfig.worldSize };
+        this.planar = worldConfig.movementMode === 'planar';
+
+        // The server's tuning wins over the defaults both sides ship with
+        Object.assign(Movement.MOVEMENT, worldConfig.movement);
+    }
+
+    // Simulate a freshly sent input and remember it for replay
+    applyInput(input) {
+        this.simulate(input);
+
+        this.pendingInputs.push(input);
+        if (this.pendingInputs.length > this.maxPendingInputs) {
+            this.pendingInputs.shift();
+        }
+    }
+
+    // Mirrors GameServer.processPlayerInputs followed by ServerPlayer.update
+    simulate(input) {
+        if (input.direction.lengthSq() > 0) {
+            this.facing.copy(input.direction);
+        }
+
+        if (input.boost && Movement.canBoost(this.mass)) {
+            this.mass -= Movement.MOVEMENT.boostCost;
+            Movement.applyBoost(this, this.facing);
+        }
+
+        Movement.step(this, input.direction, this.tickDelta);
+        this.constrainToWorld();
+    }
+
+    // Mirrors the server's PhysicsSystem.constrainToWorld
+    constrainToWorld() {
+        if (!this.worldSize) return;
+
+        const position = this.position;
+        const velocity = this.velocity;
+        const half = {
+            x: this.worldSize.x / 2 * this.boundsScale,
+            y: this.planar ? 0 : this.worldSize.y / 2 * this.boundsScale,
+            z: this.worldSize.z / 2 * this.boundsScale
+        };
+
+        for (const axis of ['x', 'y', 'z']) {
+            position[axis] = Math.max(-half[axis], Math.min(half[axis], position[axis]));
+            if (position[axis] === -half[axis] || position[axis] === half[axis]) {
+                velocity[axis] = 0;
+            }
+        }
+    }
+
+    // Rewind to the server's state for our cell and replay what it hasn't seen yet
+    reconcile(state) {
+        const acknowledged = state.inputSequence || 0;
+        this.pendingInputs = this.pendingInputs.filter(input => input.seq > acknowledged);
+
+        const previous = this.position.clone();
+
+        this.position.fromArray(state.position);
+        if (state.velocity) {
+            this.velocity.fromArray(state.velocity);
+        } else {
+            this.velocity.set(0, 0, 0);
+        }
+        if (state.mass !== undefined) {
+            this.mass = state.mass;
+        }
+        if (state.rotation) {
+            this.facing.set(0, 0, -1).applyQuaternion(new THREE.Quaternion().fromArray(state.rotation));
+        }
+
+        for (const input of this.pendingInputs) {
+            this.simulate(input);
+        }
+
+        this.lastError = previous.distanceTo(this.position);
+        return this.position;
+    }
+
+    reset() {
+        this.pendingInputs = [];
+        this.velocity.set(0, 0, 0);
+        this.lastError = 0;
+    }
+}
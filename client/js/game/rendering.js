@@ -78,6 +78,7 @@ export class RenderSystem {
         // Add directional light with shadows
         if (this.qualityLevel !== 'low') {
             const dirLight = new THREE.DirectionalLight(0xffffff, 0.8);
+            this.dirLight = dirLight; // Shadow bounds are resized in configureWorld
             dirLight.position.set(10, 30, 10);
             dirLight.castShadow = true;
             dirLight.shadow.camera.near = 0.1;
@@ -102,6 +103,21 @@ export class RenderSystem {
         }
     }
     
+    // Fit world-sized rendering settings to the server's world ({ x, y, z } full sizes)
+    configureWorld(worldSize) {
+        if (!this.dirLight) return;
+        
+        // Cast shadows across the whole floor instead of just around the origin
+        const halfExtent = Math.max(worldSize.x, worldSize.z) / 2;
+        const shadowCamera = this.dirLight.shadow.camera;
+        shadowCamera.left = -halfExtent;
+        shadowCamera.right = halfExtent;
+        shadowCamera.top = halfExtent;
+        shadowCamera.bottom = -halfExtent;
+        shadowCamera.far = Math.hypot(worldSize.x, worldSize.y, worldSize.z) + this.dirLight.position.length();
+        shadowCamera.updateProjectionMatrix();
+    }
+    
     createPlayerMaterial(color) {
         // Create a material for players with visual enhancements
         const material = new THREE.MeshPhongMaterial({
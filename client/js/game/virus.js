@@ -1,5 +1,6 @@
 // Virus class for Agar3D
-// Viruses are green spiky entities that cause players to split when consumed
+// Viruses are green spiky entities that cause players to split when consumed.
+// Collisions and popping are simulated by the server, this is only the visual.
 
 import { THREE } from '../lib/three-instance.js';
 
@@ -12,6 +13,11 @@ export class Virus {
         this.spikeCount = 20; // REDUCED number of spikes
         this.spikeHeight = 0.5; // Height of the spikes
         this.mass = 100; // Mass affects how it interacts with players
+        this.baseRadius = this.radius; // Geometry is built at this size, growth scales the mesh
+        
+        // Shot viruses slide to a stop, using the server's damping so they land in the same place
+        this.velocity = config.velocity || new THREE.Vector3(0, 0, 0);
+        this.damping = config.damping || 3;
         
         // Create the virus mesh
         this.createMesh();
@@ -116,85 +122,29 @@ export class Virus {
         // Viruses can have subtle animations or movements here
         // For example, gentle rotation or floating movement
         this.spikeGroup.rotation.y += deltaTime * 0.1;
-    }
-    
-    // Collision detection with players
-    checkCollision(player) {
-        // Simple sphere collision detection
-        const distance = this.position.distanceTo(player.position);
-        // A player can consume a virus if it's large enough
-        const canConsume = player.radius > this.radius * 0.8;
         
-        if (distance < (player.radius + this.radius * 0.7) && canConsume) {
-            return true; // Collision detected
+        // Slide along after being shot - the server sends the resting position when it stops
+        if (this.velocity.lengthSq() > 0) {
+            this.position.addScaledVector(this.velocity, deltaTime);
+            this.velocity.multiplyScalar(Math.exp(-this.damping * deltaTime));
+            this.mesh.position.copy(this.position);
         }
-        return false;
     }
     
-    // Method called when a player touches this virus
-    onCollision(player, gameWorld) {
-        // If player is big enough, it consumes the virus and splits
-        if (player.radius > this.radius) {
-            // Trigger the player to split into smaller pieces
-            this.popPlayer(player, gameWorld);
-            
-            // Remove the virus
-            this.dispose();
-            
-            // Signal to the game world that this virus should be removed
-            return true;
-        }
-        return false;
-    }
-    
-    // Method to cause the player to "pop" into smaller cells
-    popPlayer(player, gameWorld) {
-        // Calculate how many pieces to split into (maximum 15)
-        const numPieces = Math.min(15, Math.floor(player.mass / 20));
-        
-        if (numPieces <= 1) return; // Not enough mass to split
-        
-        // Calculate new mass for each piece
-        const newMass = player.mass / numPieces;
+    // Update position from server data
+    updateFromServer(position, velocity) {
+        this.position.copy(position);
+        this.mesh.position.copy(this.position);
         
-        // Create smaller pieces and add them to the game
-        for (let i = 0; i < numPieces - 1; i++) { // -1 because we keep the original player
-            // Calculate random ejection direction
-            const angle = (Math.PI * 2) * (i / (numPieces - 1));
-            const ejectionForce = player.radius * 0.8;
-            
-            const direction = new THREE.Vector3(
-                Math.cos(angle),
-                0,
-                Math.sin(angle)
-            );
-            
-            // Create a new player piece with reduced mass
-            const newPieceConfig = {
-                id: player.id + '_piece_' + i,
-                username: player.username,
-                position: new THREE.Vector3().copy(player.position),
-                color: player.color,
-                mass: newMass,
-                radius: Math.cbrt(newMass), // Radius scales with cubic root of mass
-                isFragment: true,
-                ejectionDirection: direction,
-                ejectionForce: ejectionForce
-            };
-            
-            // Add the new piece to the game world
-            gameWorld.addPlayerFragment(newPieceConfig);
+        if (velocity) {
+            this.velocity.copy(velocity);
         }
-        
-        // Reduce the original player's mass
-        player.mass = newMass;
-        player.updateSize();
     }
     
-    // Update position from server data
-    updateFromServer(position) {
-        this.position.copy(position);
-        this.mesh.position.copy(this.position);
+    // Viruses grow as they're fed
+    setRadius(radius) {
+        this.radius = radius;
+        this.mesh.scale.setScalar(radius / this.baseRadius);
     }
     
     // Clean up resources
@@ -0,0 +1,80 @@
+// Player accounts - sign in, sign out and career stats over the server's REST API
+//
+// The session token is kept in localStorage, so a player stays signed in across visits.
+// The socket hands it to the server when connecting, which is how lives count towards
+// the account.
+
+export class AccountClient {
+    constructor() {
+        this.token = localStorage.getItem('accountToken');
+        this.profile = null; // Profile of the signed-in account, once fetched
+    }
+
+    isSignedIn() {
+        return Boolean(this.token);
+    }
+
+    register(name, password) {
+        return this.signIn('/api/accounts', name, password);
+    }
+
+    login(name, password) {
+        return this.signIn('/api/sessions', name, password);
+    }
+
+    async signIn(url, name, password) {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name: name, password: password })
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || `Server answered ${response.status}`);
+        }
+
+        this.setToken(result.token);
+        this.profile = result.profile;
+        return this.profile;
+    }
+
+    async logout() {
+        const token = this.token;
+        this.setToken(null);
+        this.profile = null;
+
+        await fetch('/api/sessions', {
+            method: 'DELETE',
+            headers: { Authorization: `Bearer ${token}` }
+        });
+    }
+
+    // Fresh stats of the signed-in account. A token the server no longer knows signs out.
+    async fetchProfile() {
+        if (!this.token) return null;
+
+        const response = await fetch('/api/profile', {
+            headers: { Authorization: `Bearer ${this.token}` }
+        });
+        if (response.status === 401) {
+            this.setToken(null);
+            this.profile = null;
+            return null;
+        }
+        if (!response.ok) {
+            throw new Error(`Server answered ${response.status}`);
+        }
+
+        this.profile = await response.json();
+        return this.profile;
+    }
+
+    setToken(token) {
+        this.token = token;
+        if (token) {
+            localStorage.setItem('accountToken', token);
+        } else {
+            localStorage.removeItem('accountToken');
+        }
+    }
+}
@@ -0,0 +1,385 @@
+// Binary wire format for snapshots and player inputs
+//
+// Shared by the server (require) and the client (side-effect import, exposed as
+// self.Agar3DCodec). It's written as UMD because the server is CommonJS and the
+// client is ES modules, so keep it free of import/export syntax.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Agar3DCodec = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    // Bump whenever the layout changes - mismatched clients fall back to JSON
+    const CODEC_VERSION = 4;
+
+    const WIRE_FORMATS = ['binary', 'json'];
+
+    const MESSAGE_SNAPSHOT = 1;
+    const MESSAGE_INPUT = 2;
+
+    const INT16_MAX = 32767;
+    const SQRT2 = Math.sqrt(2);
+
+    // Snapshot channels in wire order, with the fields each record can carry.
+    // Mask bit N means field N is present, the top bit flags a JSON blob with any
+    // fields missing from the schema so new server fields still reach clients.
+    const SNAPSHOT_SCHEMAS = {
+        players: [
+            ['position', 'position'],
+            ['rotation', 'quaternion'],
+            ['scale', 'scale'],
+            ['mass', 'mass'],
+            ['score', 'mass'],
+            ['username', 'string'],
+            ['color', 'json'],
+            ['inputSequence', 'uint32'],
+            ['velocity', 'velocity'],
+            ['ownerId', 'string']
+        ],
+        foods: [
+            ['position', 'position'],
+            ['scale', 'scale'],
+            ['value', 'mass'],
+            ['color', 'json']
+        ],
+        massOrbs: [
+            ['position', 'position'],
+            ['velocity', 'velocity'],
+            ['mass', 'mass'],
+            ['radius', 'mass'],
+            ['ownerId', 'string'],
+            ['color', 'json'],
+            ['type', 'string'],
+            ['creationTime', 'float64'],
+            ['lifespan', 'uint32']
+        ]
+    };
+    const SNAPSHOT_CHANNELS = ['players', 'foods', 'massOrbs'];
+    const EXTRA_FIELDS_BIT = 1 << 15;
+
+    const INPUT_BOOST = 1;
+    const INPUT_SPLIT = 2;
+
+    const textEncoder = new TextEncoder();
+    const textDecoder = new TextDecoder();
+
+    // Growable little-endian byte buffer
+    class ByteWriter {
+        constructor(initialSize = 1024) {
+            this.buffer = new ArrayBuffer(initialSize);
+            this.view = new DataView(this.buffer);
+            this.offset = 0;
+        }
+
+        ensure(bytes) {
+            if (this.offset + bytes <= this.buffer.byteLength) return;
+
+            let size = this.buffer.byteLength * 2;
+            while (size < this.offset + bytes) size *= 2;
+
+            const buffer = new ArrayBuffer(size);
+            new Uint8Array(buffer).set(new Uint8Array(this.buffer, 0, this.offset));
+            this.buffer = buffer;
+            this.view = new DataView(buffer);
+        }
+
+        uint8(value) { this.ensure(1); this.view.setUint8(this.offset, value); this.offset += 1; }
+        uint16(value) { this.ensure(2); this.view.setUint16(this.offset, value, true); this.offset += 2; }
+        int16(value) { this.ensure(2); this.view.setInt16(this.offset, value, true); this.offset += 2; }
+        uint32(value) { this.ensure(4); this.view.setUint32(this.offset, value, true); this.offset += 4; }
+        int32(value) { this.ensure(4); this.view.setInt32(this.offset, value, true); this.offset += 4; }
+        float64(value) { this.ensure(8); this.view.setFloat64(this.offset, value, true); this.offset += 8; }
+
+        string(value) {
+            const bytes = textEncoder.encode(String(value));
+            this.uint16(bytes.length);
+            this.ensure(bytes.length);
+            new Uint8Array(this.buffer, this.offset, bytes.length).set(bytes);
+            this.offset += bytes.length;
+        }
+
+        finish() {
+            return this.buffer.slice(0, this.offset);
+        }
+    }
+
+    class ByteReader {
+        constructor(data) {
+            // Accept ArrayBuffer (browser) as well as Buffer/typed arrays (Node)
+            if (data instanceof ArrayBuffer) {
+                this.view = new DataView(data);
+            } else {
+                this.view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+            }
+            this.offset = 0;
+        }
+
+        uint8() { const v = this.view.getUint8(this.offset); this.offset += 1; return v; }
+        uint16() { const v = this.view.getUint16(this.offset, true); this.offset += 2; return v; }
+        int16() { const v = this.view.getInt16(this.offset, true); this.offset += 2; return v; }
+        uint32() { const v = this.view.getUint32(this.offset, true); this.offset += 4; return v; }
+        int32() { const v = this.view.getInt32(this.offset, true); this.offset += 4; return v; }
+        float64() { const v = this.view.getFloat64(this.offset, true); this.offset += 8; return v; }
+
+        string() {
+            const length = this.uint16();
+            const bytes = new Uint8Array(this.view.buffer, this.view.byteOffset + this.offset, length);
+            this.offset += length;
+            return textDecoder.decode(bytes);
+        }
+    }
+
+    class WireCodec {
+        constructor(options = {}) {
+            // Largest absolute coordinate that has to survive quantization. Positions
+            // are int16, so precision is positionRange / 32767 world units.
+            this.positionRange = options.positionRange || 512;
+            this.velocityRange = options.velocityRange || 128;
+            this.scaleStep = options.scaleStep || 0.01; // scale is uint16 in these steps
+            this.massStep = options.massStep || 0.01;   // mass/score are uint32 in these steps
+        }
+
+        encodeSnapshot(message) {
+            const writer = new ByteWriter();
+            writer.uint8(MESSAGE_SNAPSHOT);
+            writer.uint32(message.seq);
+            writer.int32(message.baseline === null ? -1 : message.baseline);
+
+            for (const channel of SNAPSHOT_CHANNELS) {
+                const delta = message[channel] || { updated: [], removed: [] };
+
+                writer.uint32(delta.updated.length);
+                for (const record of delta.updated) {
+                    writer.string(record.id);
+                    this.writeRecord(writer, SNAPSHOT_SCHEMAS[channel], record);
+                }
+
+                writer.uint32(delta.removed.length);
+                for (const id of delta.removed) {
+                    writer.string(id);
+                }
+            }
+
+            return writer.finish();
+        }
+
+        decodeSnapshot(data) {
+            const reader = new ByteReader(data);
+            if (reader.uint8() !== MESSAGE_SNAPSHOT) {
+                throw new Error('Not a snapshot message');
+            }
+
+            const message = { seq: reader.uint32() };
+            const baseline = reader.int32();
+            message.baseline = baseline === -1 ? null : baseline;
+
+            for (const channel of SNAPSHOT_CHANNELS) {
+                const updated = [];
+                const updatedCount = reader.uint32();
+                for (let i = 0; i < updatedCount; i++) {
+                    const record = { id: reader.string() };
+                    this.readRecord(reader, SNAPSHOT_SCHEMAS[channel], record);
+                    updated.push(record);
+                }
+
+                const removed = [];
+                const removedCount = reader.uint32();
+                for (let i = 0; i < removedCount; i++) {
+                    removed.push(reader.string());
+                }
+
+                message[channel] = { updated, removed };
+            }
+
+            return message;
+        }
+
+        // Input: sequence, unit move direction and one-shot action flags (12 bytes)
+        encodeInput(input) {
+            const writer = new ByteWriter(16);
+            writer.uint8(MESSAGE_INPUT);
+            writer.uint32(input.seq);
+            for (let i = 0; i < 3; i++) writer.int16(this.quantize(input.direction[i], 1));
+            writer.uint8((input.boost ? INPUT_BOOST : 0) | (input.split ? INPUT_SPLIT : 0));
+            return writer.finish();
+        }
+
+        decodeInput(data) {
+            const reader = new ByteReader(data);
+            if (reader.uint8() !== MESSAGE_INPUT) {
+                throw new Error('Not an input message');
+            }
+
+            const seq = reader.uint32();
+            const direction = [0, 1, 2].map(() => this.dequantize(reader.int16(), 1));
+            const flags = reader.uint8();
+
+            return {
+                seq: seq,
+                direction: direction,
+                boost: (flags & INPUT_BOOST) !== 0,
+                split: (flags & INPUT_SPLIT) !== 0
+            };
+        }
+
+        writeRecord(writer, schema, record) {
+            let mask = 0;
+            schema.forEach(([field], index) => {
+                if (record[field] !== undefined) mask |= 1 << index;
+            });
+
+            let extras = null;
+            for (const field in record) {
+                if (field === 'id' || record[field] === undefined) continue;
+                if (!schema.some(([name]) => name === field)) {
+                    if (!extras) extras = {};
+                    extras[field] = record[field];
+                }
+            }
+            if (extras) mask |= EXTRA_FIELDS_BIT;
+
+            writer.uint16(mask);
+
+            schema.forEach(([field, type], index) => {
+                if (mask & (1 << index)) {
+                    this.writeValue(writer, type, record[field]);
+                }
+            });
+
+            if (extras) {
+                writer.string(JSON.stringify(extras));
+            }
+        }
+
+        readRecord(reader, schema, record) {
+            const mask = reader.uint16();
+
+            schema.forEach(([field, type], index) => {
+                if (mask & (1 << index)) {
+                    record[field] = this.readValue(reader, type);
+                }
+            });
+
+            if (mask & EXTRA_FIELDS_BIT) {
+                Object.assign(record, JSON.parse(reader.string()));
+            }
+
+            return record;
+        }
+
+        writeValue(writer, type, value) {
+            switch (type) {
+                case 'position':
+                    for (let i = 0; i < 3; i++) writer.int16(this.quantize(value[i], this.positionRange));
+                    break;
+                case 'velocity':
+                    for (let i = 0; i < 3; i++) writer.int16(this.quantize(value[i], this.velocityRange));
+                    break;
+                case 'quaternion':
+                    this.writeQuaternion(writer, value);
+                    break;
+                case 'scale':
+                    for (let i = 0; i < 3; i++) writer.uint16(this.clamp(Math.round(value[i] / this.scaleStep), 0, 0xffff));
+                    break;
+                case 'mass':
+                    writer.uint32(this.clamp(Math.round(value / this.massStep), 0, 0xffffffff));
+                    break;
+                case 'uint32':
+                    writer.uint32(this.clamp(Math.round(value), 0, 0xffffffff));
+                    break;
+                case 'float64':
+                    writer.float64(value);
+                    break;
+                case 'string':
+                    writer.string(value);
+                    break;
+                case 'json':
+                    writer.string(JSON.stringify(value));
+                    break;
+                default:
+                    throw new Error(`Unknown field type: ${type}`);
+            }
+        }
+
+        readValue(reader, type) {
+            switch (type) {
+                case 'position':
+                    return [0, 1, 2].map(() => this.dequantize(reader.int16(), this.positionRange));
+                case 'velocity':
+                    return [0, 1, 2].map(() => this.dequantize(reader.int16(), this.velocityRange));
+                case 'quaternion':
+                    return this.readQuaternion(reader);
+                case 'scale':
+                    return [0, 1, 2].map(() => reader.uint16() * this.scaleStep);
+                case 'mass':
+                    return reader.uint32() * this.massStep;
+                case 'uint32':
+                    return reader.uint32();
+                case 'float64':
+                    return reader.float64();
+                case 'string':
+                    return reader.string();
+                case 'json':
+                    return JSON.parse(reader.string());
+                default:
+                    throw new Error(`Unknown field type: ${type}`);
+            }
+        }
+
+        // "Smallest three" encoding: drop the largest component (it can be rebuilt
+        // from the unit length) and store the other three, which are within +/-1/sqrt(2)
+        writeQuaternion(writer, q) {
+            let largest = 0;
+            for (let i = 1; i < 4; i++) {
+                if (Math.abs(q[i]) > Math.abs(q[largest])) largest = i;
+            }
+
+            // q and -q are the same rotation, keep the dropped component positive
+            const sign = q[largest] < 0 ? -1 : 1;
+            const length = Math.hypot(q[0], q[1], q[2], q[3]) || 1;
+
+            writer.uint8(largest);
+            for (let i = 0; i < 4; i++) {
+                if (i === largest) continue;
+                const component = (q[i] * sign) / length;
+                writer.int16(this.clamp(Math.round(component * SQRT2 * INT16_MAX), -INT16_MAX, INT16_MAX));
+            }
+        }
+
+        readQuaternion(reader) {
+            const largest = reader.uint8();
+            const q = [0, 0, 0, 0];
+            let sumSquares = 0;
+
+            for (let i = 0; i < 4; i++) {
+                if (i === largest) continue;
+                q[i] = reader.int16() / (SQRT2 * INT16_MAX);
+                sumSquares += q[i] * q[i];
+            }
+
+            q[largest] = Math.sqrt(Math.max(0, 1 - sumSquares));
+            return q;
+        }
+
+        quantize(value, range) {
+            return this.clamp(Math.round((value / range) * INT16_MAX), -INT16_MAX, INT16_MAX);
+        }
+
+        dequantize(value, range) {
+            return (value / INT16_MAX) * range;
+        }
+
+        clamp(value, min, max) {
+            return Math.max(min, Math.min(max, value));
+        }
+    }
+
+    // Binary payloads arrive as ArrayBuffer in the browser and Buffer in Node
+    function isBinary(data) {
+        return data instanceof ArrayBuffer || ArrayBuffer.isView(data);
+    }
+
+    return { WireCodec, WIRE_FORMATS, CODEC_VERSION, isBinary };
+});
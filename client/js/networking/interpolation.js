@@ -0,0 +1,86 @@
+// Snapshot interpolation for remote entities
+//
+// Remote players are drawn a fixed delay in the past, between the two snapshots
+// around that time. Snapshots arrive with jitter, so rendering them as they come
+// in stutters - the delay keeps a couple of them buffered to blend between.
+
+import { THREE } from '../lib/three-instance.js';
+
+export class InterpolationBuffer {
+    constructor(config = {}) {
+        // How far behind real time remote entities are drawn, in milliseconds.
+        // Should cover a few snapshot intervals plus typical jitter.
+        this.delay = config.delay !== undefined ? config.delay : 100;
+        this.maxSamples = config.maxSamples || 60;
+
+        this.entities = new Map(); // Map of entity id -> { samples: [], output }
+    }
+
+    // Record a server state ({ position, rotation, scale } arrays) received at `time`
+    push(id, state, time = performance.now()) {
+        let entity = this.entities.get(id);
+        if (!entity) {
+            entity = {
+                samples: [],
+                output: {
+                    position: new THREE.Vector3(),
+                    rotation: new THREE.Quaternion(),
+                    scale: new THREE.Vector3(1, 1, 1)
+                }
+            };
+            this.entities.set(id, entity);
+        }
+
+        // Partial states fill in from the previous sample
+        const previous = entity.samples[entity.samples.length - 1];
+        if (!previous && !(state.position && state.rotation && state.scale)) return;
+
+        entity.samples.push({
+            time,
+            position: state.position ? new THREE.Vector3().fromArray(state.position) : previous.position,
+            rotation: state.rotation ? new THREE.Quaternion().fromArray(state.rotation) : previous.rotation,
+            scale: state.scale ? new THREE.Vector3().fromArray(state.scale) : previous.scale
+        });
+
+        if (entity.samples.length > this.maxSamples) {
+            entity.samples.shift();
+        }
+    }
+
+    // State to draw at `time`, or null if nothing was received for this entity.
+    // The returned object is reused between calls.
+    sample(id, time = performance.now()) {
+        const entity = this.entities.get(id);
+        if (!entity || entity.samples.length === 0) return null;
+
+        const samples = entity.samples;
+        const renderTime = time - this.delay;
+
+        // Drop samples we've fully moved past, keeping the one just before renderTime
+        while (samples.length > 2 && samples[1].time <= renderTime) {
+            samples.shift();
+        }
+
+        const from = samples[0];
+        const to = samples.length > 1 ? samples[1] : from;
+        const output = entity.output;
+
+        // Hold the nearest sample rather than extrapolating past either end
+        const span = to.time - from.time;
+        const t = span > 0 ? Math.max(0, Math.min(1, (renderTime - from.time) / span)) : 1;
+
+        output.position.lerpVectors(from.position, to.position, t);
+        output.rotation.slerpQuaternions(from.rotation, to.rotation, t);
+        output.scale.lerpVectors(from.scale, to.scale, t);
+
+        return output;
+    }
+
+    remove(id) {
+        this.entities.delete(id);
+    }
+
+    clear() {
+        this.entities.clear();
+    }
+}
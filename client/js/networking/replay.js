@@ -0,0 +1,315 @@
+// Plays a recorded match back into Game in place of the SocketManager
+//
+// The replay file (see server/game/replayRecorder.js) is a header line followed by
+// frames of events, cell position samples and periodic keyframes. The player keeps
+// its own copy of the world, hands Game the same events and gameState updates a live
+// connection would, and rebuilds the world from the nearest keyframe to seek.
+
+// Events that change the world the player keeps, beyond being passed on to Game
+const WORLD_EVENTS = {
+    playerJoined: (world, data) => world.players.set(data.id, data),
+    playerLeft: (world, id) => world.players.delete(id),
+    foodSpawned: (world, data) => world.foods.set(data.id, data),
+    foodConsumed: (world, data) => world.foods.delete(data.foodId),
+    massEjected: (world, data) => world.massOrbs.set(data.id, data),
+    massConsumed: (world, id) => world.massOrbs.delete(id),
+    virusSpawned: (world, data) => world.viruses.set(data.id, data),
+    virusUpdated: (world, data) => world.viruses.set(data.id, data),
+    virusConsumed: (world, id) => world.viruses.delete(id)
+};
+
+export class ReplayPlayer {
+    constructor() {
+        // Same surface as SocketManager - there's no connection and no local player
+        this.id = null;
+        this.connected = false;
+        this.eventListeners = {};
+
+        // Replay file
+        this.header = null;
+        this.frames = []; // Every frame line, in tick order
+        this.keyframes = []; // Indices into frames of the keyframes
+
+        // Playback
+        this.playing = false;
+        this.speed = 1; // Replay seconds per real second
+        this.tick = 0; // Current replay position in server ticks (fractional)
+        this.frameIndex = 0; // Next frame to apply
+        this.lastUpdate = null;
+
+        // The world as of the last applied frame
+        this.world = null;
+        this.modeState = null;
+        this.leaderboard = null;
+    }
+
+    // Parse a replay file, gzipped as the server writes it or already unpacked
+    async load(buffer) {
+        const lines = (await readReplayText(buffer)).split('\n').filter(line => line.trim());
+        if (lines.length < 2) {
+            throw new Error('Not a replay file');
+        }
+
+        this.header = JSON.parse(lines[0]);
+        if (!this.header.worldConfig) {
+            throw new Error('Not a replay file');
+        }
+
+        this.frames = lines.slice(1).map(line => JSON.parse(line));
+        this.keyframes = [];
+        this.frames.forEach((frame, index) => {
+            if (frame.k) this.keyframes.push(index);
+        });
+
+        if (this.keyframes.length === 0) {
+            throw new Error('Replay has no keyframe to start from');
+        }
+    }
+
+    // Configure the game like a fresh connection would, then play from the start
+    start() {
+        this.triggerEvent('worldConfig', this.header.worldConfig);
+        this.triggerEvent('arenaJoined', {
+            id: this.header.arena,
+            name: `Replay of ${this.header.arena}`,
+            isPrivate: false
+        });
+
+        this.seek(0);
+        this.play();
+    }
+
+    getTickRate() {
+        return this.header.worldConfig.tickRate;
+    }
+
+    getStartTick() {
+        return this.frames[this.keyframes[0]].t;
+    }
+
+    getEndTick() {
+        return this.frames[this.frames.length - 1].t;
+    }
+
+    // Length and position in seconds
+    getDuration() {
+        return (this.getEndTick() - this.getStartTick()) / this.getTickRate();
+    }
+
+    getTime() {
+        return (this.tick - this.getStartTick()) / this.getTickRate();
+    }
+
+    play() {
+        // Playing again from the end starts over
+        if (this.tick >= this.getEndTick()) {
+            this.seek(0);
+        }
+
+        this.playing = true;
+        this.lastUpdate = null;
+    }
+
+    pause() {
+        this.playing = false;
+    }
+
+    togglePlay() {
+        if (this.playing) {
+            this.pause();
+        } else {
+            this.play();
+        }
+    }
+
+    setSpeed(speed) {
+        this.speed = speed;
+    }
+
+    // Jump to a time in seconds: rebuild the world from the last keyframe before it,
+    // fast-forward without effects, then hand Game the result in one go
+    seek(seconds) {
+        const target = this.getStartTick() + Math.max(0, Math.min(seconds, this.getDuration())) * this.getTickRate();
+
+        let keyframeIndex = this.keyframes[0];
+        for (const index of this.keyframes) {
+            if (this.frames[index].t > target) break;
+            keyframeIndex = index;
+        }
+
+        this.frameIndex = keyframeIndex;
+        while (this.frameIndex < this.frames.length && this.frames[this.frameIndex].t <= target) {
+            this.applyFrame(this.frames[this.frameIndex], false);
+            this.frameIndex++;
+        }
+
+        this.tick = target;
+        this.syncGame();
+    }
+
+    // Advance by the real time since the last call, scaled by the playback speed
+    update(now = performance.now()) {
+        const deltaTime = this.lastUpdate !== null ? Math.min((now - this.lastUpdate) / 1000, 0.1) : 0;
+        this.lastUpdate = now;
+
+        if (!this.playing) return;
+
+        this.tick = Math.min(this.tick + deltaTime * this.getTickRate() * this.speed, this.getEndTick());
+
+        while (this.frameIndex < this.frames.length && this.frames[this.frameIndex].t <= this.tick) {
+            this.applyFrame(this.frames[this.frameIndex], true);
+            this.frameIndex++;
+        }
+
+        if (this.tick >= this.getEndTick()) {
+            this.pause();
+            this.triggerEvent('replayEnded');
+        }
+    }
+
+    // Apply one frame to the world. Live frames are passed on to Game as they
+    // happen; while seeking only the world is updated.
+    applyFrame(frame, live) {
+        if (frame.k) {
+            this.loadKeyframe(frame.k);
+            if (live) {
+                this.triggerEvent('gameState', this.toGameState());
+            }
+            return;
+        }
+
+        for (const [name, data] of frame.e || []) {
+            if (WORLD_EVENTS[name]) {
+                WORLD_EVENTS[name](this.world, data);
+            } else if (name === 'modeState' || name === 'roundStarted') {
+                this.modeState = data;
+            } else if (name === 'leaderboard') {
+                this.leaderboard = data;
+            }
+
+            if (live) {
+                this.triggerEvent(name, data);
+            }
+        }
+
+        if (frame.s) {
+            this.applyStateSample(frame.s);
+            if (live) {
+                this.triggerEvent('gameState', this.toGameState());
+            }
+        }
+    }
+
+    loadKeyframe(keyframe) {
+        this.world = {
+            players: new Map(keyframe.players.map(player => [player.id, player])),
+            foods: new Map(keyframe.foods.map(food => [food.id, food])),
+            viruses: new Map(keyframe.viruses.map(virus => [virus.id, virus])),
+            massOrbs: new Map(keyframe.massOrbs.map(massOrb => [massOrb.id, massOrb]))
+        };
+        this.modeState = keyframe.mode || this.modeState;
+    }
+
+    // A sample lists every cell and mass orb there is. Cells seen before only carry
+    // their position, mass and scale.
+    applyStateSample(sample) {
+        const players = new Map();
+        for (const cell of sample.p) {
+            if (!Array.isArray(cell)) {
+                players.set(cell.id, cell);
+                continue;
+            }
+
+            const [id, x, y, z, mass, scale] = cell;
+            const previous = this.world.players.get(id);
+            if (previous) {
+                players.set(id, { ...previous, position: [x, y, z], mass: mass, scale: [scale, scale, scale] });
+            }
+        }
+        this.world.players = players;
+
+        const massOrbs = new Map();
+        for (const [id, x, y, z] of sample.o) {
+            const previous = this.world.massOrbs.get(id);
+            if (previous) {
+                massOrbs.set(id, { ...previous, position: [x, y, z] });
+            }
+        }
+        this.world.massOrbs = massOrbs;
+    }
+
+    toGameState() {
+        return {
+            players: Array.from(this.world.players.values()),
+            foods: Array.from(this.world.foods.values()),
+            massOrbs: Array.from(this.world.massOrbs.values())
+        };
+    }
+
+    // Replace whatever Game shows with the world as it is now
+    syncGame() {
+        this.triggerEvent('replayReset');
+
+        this.triggerEvent('entitiesEntered', this.toGameState());
+        this.world.viruses.forEach(virus => this.triggerEvent('virusSpawned', virus));
+
+        if (this.modeState) {
+            this.triggerEvent('modeState', this.modeState);
+        }
+        if (this.leaderboard) {
+            this.triggerEvent('leaderboard', this.leaderboard);
+        }
+
+        this.triggerEvent('gameState', this.toGameState());
+    }
+
+    // Nothing is sent anywhere during a replay
+    joinGame() {}
+    respawn() {}
+    sendInput() {}
+    emit() {}
+
+    // Event listener management, as in SocketManager
+    on(event, callback) {
+        if (!this.eventListeners[event]) {
+            this.eventListeners[event] = [];
+        }
+        this.eventListeners[event].push(callback);
+    }
+
+    off(event, callback) {
+        if (!this.eventListeners[event]) return;
+
+        if (callback) {
+            this.eventListeners[event] = this.eventListeners[event].filter(
+                (cb) => cb !== callback
+            );
+        } else {
+            delete this.eventListeners[event];
+        }
+    }
+
+    triggerEvent(event, data) {
+        if (!this.eventListeners[event]) return;
+
+        for (const callback of this.eventListeners[event]) {
+            callback(data);
+        }
+    }
+
+    // Leaving the replay stops playback
+    disconnect() {
+        this.pause();
+        this.eventListeners = {};
+    }
+}
+
+// Replay files are gzipped on the server, DecompressionStream unpacks them
+async function readReplayText(buffer) {
+    const bytes = new Uint8Array(buffer);
+    if (bytes[0] === 0x1f && bytes[1] === 0x8b) {
+        const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip'));
+        return new Response(stream).text();
+    }
+    return new TextDecoder().decode(bytes);
+}
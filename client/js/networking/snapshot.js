@@ -0,0 +1,94 @@
+// Rebuilds full game state from the server's delta-compressed snapshots
+
+// Must match SNAPSHOT_CHANNELS on the server
+const SNAPSHOT_CHANNELS = ['players', 'foods', 'massOrbs'];
+
+export class SnapshotReceiver {
+    constructor(maxSnapshots = 120) {
+        this.maxSnapshots = maxSnapshots;
+        this.snapshots = new Map(); // Map of sequence -> { players: Map, foods: Map, massOrbs: Map }
+        this.latestSequence = null;
+        this.awaitingResync = false;
+    }
+
+    // Apply a snapshot message. Returns the rebuilt snapshot, or null if it
+    // couldn't be applied (stale, or its baseline is missing).
+    apply(message) {
+        // Ignore anything older than what we already have
+        if (this.latestSequence !== null && message.seq <= this.latestSequence) {
+            return null;
+        }
+
+        let baseline = null;
+        if (message.baseline !== null) {
+            baseline = this.snapshots.get(message.baseline);
+            if (!baseline) {
+                return null;
+            }
+        }
+
+        const snapshot = {};
+        for (const channel of SNAPSHOT_CHANNELS) {
+            const delta = message[channel] || { updated: [], removed: [] };
+            const records = baseline ? new Map(baseline[channel]) : new Map();
+
+            for (const id of delta.removed) {
+                records.delete(id);
+            }
+
+            // Partial records only carry changed fields, merge them over the baseline
+            for (const update of delta.updated) {
+                const existing = records.get(update.id);
+                records.set(update.id, existing ? Object.assign({}, existing, update) : update);
+            }
+
+            snapshot[channel] = records;
+        }
+
+        this.snapshots.set(message.seq, snapshot);
+        this.latestSequence = message.seq;
+
+        if (message.baseline === null) {
+            this.awaitingResync = false;
+        }
+
+        this.prune(message.baseline);
+
+        return snapshot;
+    }
+
+    // True when a message references a baseline we don't have. Only reports
+    // once per resync so in-flight deltas don't trigger a request each.
+    needsResync(message) {
+        if (message.baseline === null || this.snapshots.has(message.baseline) || this.awaitingResync) {
+            return false;
+        }
+
+        this.awaitingResync = true;
+        return true;
+    }
+
+    // The server only ever moves the baseline forward, so older snapshots are dead
+    prune(baselineSequence) {
+        for (const seq of this.snapshots.keys()) {
+            if ((baselineSequence !== null && seq < baselineSequence) || this.snapshots.size > this.maxSnapshots) {
+                this.snapshots.delete(seq);
+            }
+        }
+    }
+
+    // Convert a rebuilt snapshot into the array-based gameState format
+    toGameState(snapshot) {
+        const gameState = {};
+        for (const channel of SNAPSHOT_CHANNELS) {
+            gameState[channel] = Array.from(snapshot[channel].values());
+        }
+        return gameState;
+    }
+
+    reset() {
+        this.snapshots.clear();
+        this.latestSequence = null;
+        this.awaitingResync = false;
+    }
+}
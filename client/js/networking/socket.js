@@ -1,6 +1,11 @@
 // Socket.io client setup
 // No import needed - we're using the global io object from the CDN
 
+import { SnapshotReceiver } from './snapshot.js';
+import './codec.js'; // UMD module shared with the server, registers self.Agar3DCodec
+
+const { WireCodec, CODEC_VERSION, isBinary } = self.Agar3DCodec;
+
 export class SocketManager {
     constructor() {
         this.socket = null;
@@ -9,6 +14,17 @@ export class SocketManager {
         this.eventListeners = {};
         this.reconnectionAttempts = 0;
         this.maxReconnectionAttempts = 10;
+        this.snapshotReceiver = new SnapshotReceiver();
+        
+        // Wire format - binary by default, ?wire=json (or localStorage.wireFormat)
+        // switches to readable JSON for debugging. The server has the final say.
+        const urlFormat = new URLSearchParams(window.location.search).get('wire');
+        this.preferredWireFormat = urlFormat || localStorage.getItem('wireFormat') || 'binary';
+        this.wireFormat = 'json'; // Until the server confirms
+        this.codec = null;
+        
+        // ?debug (or localStorage.debug) logs every game event the server sends
+        this.debug = new URLSearchParams(window.location.search).has('debug') || localStorage.getItem('debug') !== null;
         // Use the proxied path instead of direct server URL
         this.serverUrl = '/socket.io';
         console.log('SocketManager initialized with server URL:', this.serverUrl);
@@ -34,7 +50,10 @@ export class SocketManager {
         return `${protocol}//${host}:${serverPort}`;
     }
     
-    connect() {
+    // arena picks a public arena by id, invite joins a private one by code. Without
+    // either the server auto-joins the busiest arena with room left. Spectators are
+    // let into full arenas too.
+    connect({ arena, invite, spectate, token } = {}) {
         // Initialize socket connection with more resilient configuration
         console.log("Attempting to connect to socket.io through proxy");
         
@@ -46,15 +65,28 @@ export class SocketManager {
         // Store session ID in localStorage
         localStorage.setItem('socketSessionId', sessionId);
         
+        const query = {
+            sessionId: sessionId,
+            wireFormat: this.preferredWireFormat,
+            wireVersion: CODEC_VERSION
+        };
+        if (invite) {
+            query.invite = invite;
+        } else if (arena) {
+            query.arena = arena;
+        }
+        if (spectate) {
+            query.spectate = '1';
+        }
+        
         this.socket = io({
             transports: ['websocket', 'polling'],
             reconnectionAttempts: 10,
             reconnectionDelay: 1000,
             timeout: 20000,
             autoConnect: true,
-            query: {
-                sessionId: sessionId
-            },
+            query: query,
+            auth: token ? { token: token } : {}, // Signed-in account, kept out of the URL
             withCredentials: true,
             forceNew: false
         });
@@ -92,6 +124,9 @@ export class SocketManager {
             this.reconnectionAttempts = 0;
             console.log('Connected to server with ID:', this.id);
             
+            // A new connection starts from a full snapshot
+            this.snapshotReceiver.reset();
+            
             // Trigger event listeners
             this.triggerEvent('connect', this.id);
         });
@@ -111,26 +146,54 @@ export class SocketManager {
     setupGameEvents() {
         // Server -> Client events
         
+        // Wire format agreed during the handshake
+        this.socket.on('wireFormat', (info) => {
+            this.wireFormat = info.format;
+            this.codec = new WireCodec({ positionRange: info.positionRange });
+            console.log(`Using ${info.format} wire format (codec v${info.version})`);
+        });
+        
+        // The arena the server put us in (may differ from the one asked for)
+        this.socket.on('arenaJoined', (arena) => {
+            console.log('Joined arena:', arena);
+            this.triggerEvent('arenaJoined', arena);
+        });
+        
         // Player events
         this.socket.on('playerJoined', (data) => {
-            console.log('Player joined:', data);
+            this.log('Player joined:', data);
             this.triggerEvent('playerJoined', data);
         });
         
         this.socket.on('playerLeft', (id) => {
-            console.log('Player left:', id);
+            this.log('Player left:', id);
             this.triggerEvent('playerLeft', id);
         });
         
         // Player count update
+        // Authoritative world size and rules, sent once on connect
+        this.socket.on('worldConfig', (config) => {
+            console.log('World config:', config);
+            this.triggerEvent('worldConfig', config);
+        });
+        
         this.socket.on('playerCount', (data) => {
-            console.log('Player count update:', data);
+            this.log('Player count update:', data);
             this.triggerEvent('playerCount', data);
         });
         
-        // Game state update (positions, sizes, etc.)
-        this.socket.on('gameState', (gameState) => {
-            this.triggerEvent('gameState', gameState);
+        // Game state update (positions, sizes, etc.), delta-compressed against our last ack
+        this.socket.on('snapshot', (message) => {
+            this.handleSnapshot(message);
+        });
+        
+        // Interest management - entities crossing this client's view radius
+        this.socket.on('entitiesEntered', (entities) => {
+            this.triggerEvent('entitiesEntered', entities);
+        });
+        
+        this.socket.on('entitiesLeft', (entities) => {
+            this.triggerEvent('entitiesLeft', entities);
         });
         
         // Food events
@@ -139,7 +202,7 @@ export class SocketManager {
         });
         
         this.socket.on('foodConsumed', (data) => {
-            this.triggerEvent('foodConsumed', data.foodId);
+            this.triggerEvent('foodConsumed', data);
             
             // If the local player consumed the food, trigger growth event
             if (data.playerId === this.id) {
@@ -167,34 +230,101 @@ export class SocketManager {
             this.triggerEvent('serverMessage', message);
         });
         
+        // Chat - messages, whispers, announcements and command replies
+        this.socket.on('chatMessage', (message) => {
+            this.triggerEvent('chatMessage', message);
+        });
+        
         // Virus events
         this.socket.on('virusSpawned', (virusData) => {
-            console.log('Virus spawned:', virusData);
+            this.log('Virus spawned:', virusData);
             this.triggerEvent('virusSpawned', virusData);
         });
         
         this.socket.on('virusConsumed', (data) => {
-            console.log('Virus consumed:', data);
+            this.log('Virus consumed:', data);
             this.triggerEvent('virusConsumed', data);
         });
         
+        this.socket.on('virusUpdated', (virusData) => {
+            this.triggerEvent('virusUpdated', virusData);
+        });
+        
         this.socket.on('playerPopped', (data) => {
-            console.log('Player popped:', data);
+            this.log('Player popped:', data);
             this.triggerEvent('playerPopped', data);
         });
         
+        // Death and spectating
+        this.socket.on('playerDied', (summary) => {
+            this.log('Player died:', summary);
+            this.triggerEvent('playerDied', summary);
+        });
+        
+        this.socket.on('spectateTarget', (target) => {
+            this.triggerEvent('spectateTarget', target);
+        });
+        
+        this.socket.on('spectating', (data) => {
+            this.log('Spectating:', data);
+            this.triggerEvent('spectating', data);
+        });
+        
+        // Game mode - round clock, team scores, shrinking bounds and round results
+        this.socket.on('modeState', (state) => {
+            this.triggerEvent('modeState', state);
+        });
+        
+        this.socket.on('roundEnded', (result) => {
+            this.log('Round ended:', result);
+            this.triggerEvent('roundEnded', result);
+        });
+        
+        this.socket.on('roundStarted', (state) => {
+            this.log('Round started:', state);
+            this.triggerEvent('roundStarted', state);
+        });
+        
         // Mass orb events
         this.socket.on('massEjected', (massData) => {
-            console.log('Mass ejected:', massData);
+            this.log('Mass ejected:', massData);
             this.triggerEvent('massEjected', massData);
         });
         
         this.socket.on('massConsumed', (massId) => {
-            console.log('Mass consumed:', massId);
+            this.log('Mass consumed:', massId);
             this.triggerEvent('massConsumed', massId);
         });
     }
     
+    // Per-event logging, off unless debugging
+    log(...args) {
+        if (this.debug) {
+            console.log(...args);
+        }
+    }
+    
+    // Rebuild full state from a snapshot delta, acknowledge it and pass it on as gameState
+    handleSnapshot(message) {
+        if (isBinary(message)) {
+            if (!this.codec) return;
+            message = this.codec.decodeSnapshot(message);
+        }
+        
+        const snapshot = this.snapshotReceiver.apply(message);
+        
+        if (!snapshot) {
+            if (this.snapshotReceiver.needsResync(message)) {
+                console.warn(`Missing snapshot baseline ${message.baseline}, requesting full resync`);
+                this.socket.emit('snapshotResync');
+            }
+            return;
+        }
+        
+        this.socket.emit('snapshotAck', message.seq);
+        this.triggerEvent('gameState', this.snapshotReceiver.toGameState(snapshot));
+    }
+    
     // Client -> Server events
     
     // Join the game
@@ -203,21 +333,40 @@ export class SocketManager {
         this.socket.emit('joinGame', playerData);
     }
     
-    // Update player position and rotation
-    updatePosition(positionData) {
+    // Rejoin after dying, on the same connection
+    respawn(playerData) {
+        if (!this.connected) return;
+        this.socket.emit('respawn', playerData);
+    }
+    
+    // Watch without a cell
+    spectateGame(data) {
         if (!this.connected) return;
-        this.socket.emit('updatePosition', positionData);
+        this.socket.emit('spectateGame', data);
     }
     
-    // Player actions
-    splitPlayer() {
+    // { view: 'follow', targetId } / { view: 'free', position } / { view: 'overview' }
+    setSpectatorView(data) {
         if (!this.connected) return;
-        this.socket.emit('splitPlayer');
+        this.socket.emit('spectatorView', data);
     }
     
-    boostPlayer() {
+    // Say something to the arena ('room') or the team ('team'), or run a /command
+    sendChat(text, scope = 'room') {
         if (!this.connected) return;
-        this.socket.emit('boostPlayer');
+        this.socket.emit('chatMessage', { text: text, scope: scope });
+    }
+    
+    // Send an input command ({ seq, direction, boost, split }) - the server simulates
+    // movement, boosting and splitting from these alone
+    sendInput(input) {
+        if (!this.connected) return;
+        
+        if (this.wireFormat === 'binary' && this.codec) {
+            this.socket.emit('playerInput', this.codec.encodeInput(input));
+        } else {
+            this.socket.emit('playerInput', input);
+        }
     }
     
     // Generic event emitter
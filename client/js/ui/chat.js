@@ -0,0 +1,124 @@
+// Chat panel, next to the messages area
+//
+// Enter starts typing and Enter again sends; Escape leaves the input. While the input
+// has focus its keys stay out of the game, so typing never steers or splits.
+
+export class ChatPanel {
+    constructor() {
+        this.elements = {
+            panel: document.getElementById('chat-panel'),
+            log: document.getElementById('chat-log'),
+            input: document.getElementById('chat-input'),
+            scope: document.getElementById('chat-scope')
+        };
+
+        this.socketManager = null; // Set while connected, null when there is nobody to talk to
+        this.scope = 'room'; // 'room' or 'team'
+        this.maxLines = 100; // Older lines are dropped from the log
+
+        this.elements.input.addEventListener('keydown', this.onInputKeyDown.bind(this));
+        this.elements.input.addEventListener('keyup', event => event.stopPropagation());
+        this.elements.scope.addEventListener('click', () => {
+            this.setScope(this.scope === 'room' ? 'team' : 'room');
+        });
+        window.addEventListener('keydown', this.onWindowKeyDown.bind(this));
+    }
+
+    // Talk through this connection. Replays pass null: their chat is read only.
+    attach(socketManager) {
+        this.socketManager = socketManager;
+        this.elements.log.innerHTML = '';
+        this.elements.input.disabled = !socketManager;
+        this.elements.input.placeholder = socketManager ? 'Press Enter to chat' : 'Replay chat';
+        this.setTeamChat(false);
+    }
+
+    // Team modes get a button to switch between talking to everyone and the team
+    setTeamChat(available) {
+        available = available && Boolean(this.socketManager);
+        this.elements.scope.classList.toggle('hidden', !available);
+        if (!available) {
+            this.setScope('room');
+        }
+    }
+
+    setScope(scope) {
+        this.scope = scope;
+        this.elements.scope.textContent = scope === 'team' ? 'Team' : 'All';
+    }
+
+    addMessage(message) {
+        const line = document.createElement('div');
+        line.className = `chat-line ${message.scope}`;
+
+        // Names and text are user input, so they go in as text
+        if (message.from) {
+            const name = document.createElement('span');
+            name.className = 'chat-name';
+            if (message.scope === 'whisper') {
+                name.textContent = `${message.from.name} to ${message.to}:`;
+            } else if (message.scope === 'announcement') {
+                name.textContent = `[${message.from.name}]`;
+            } else {
+                name.textContent = `${message.from.name}:`;
+            }
+            if (message.from.color !== null && message.from.color !== undefined && message.scope !== 'whisper') {
+                name.style.color = typeof message.from.color === 'number'
+                    ? `#${message.from.color.toString(16).padStart(6, '0')}`
+                    : message.from.color;
+            }
+            line.appendChild(name);
+        }
+        line.appendChild(document.createTextNode(message.text));
+
+        // Stay at the bottom unless the player scrolled up to read
+        const log = this.elements.log;
+        const atBottom = log.scrollTop + log.clientHeight >= log.scrollHeight - 5;
+
+        log.appendChild(line);
+        while (log.children.length > this.maxLines) {
+            log.removeChild(log.firstChild);
+        }
+
+        if (atBottom) {
+            log.scrollTop = log.scrollHeight;
+        }
+    }
+
+    focus() {
+        // Free the mouse so the player can click around the panel
+        if (document.pointerLockElement) {
+            document.exitPointerLock();
+        }
+        this.elements.input.focus();
+    }
+
+    send() {
+        const text = this.elements.input.value.trim();
+        this.elements.input.value = '';
+        if (text && this.socketManager) {
+            this.socketManager.sendChat(text, this.scope);
+        }
+    }
+
+    onInputKeyDown(event) {
+        // Keys typed into the chat are not game controls
+        event.stopPropagation();
+
+        if (event.key === 'Enter') {
+            this.send();
+            this.elements.input.blur();
+        } else if (event.key === 'Escape') {
+            this.elements.input.blur();
+        }
+    }
+
+    // Enter anywhere in the game starts typing
+    onWindowKeyDown(event) {
+        if (event.key !== 'Enter' || !this.socketManager) return;
+        if (this.elements.panel.offsetParent === null || document.activeElement === this.elements.input) return;
+
+        event.preventDefault();
+        this.focus();
+    }
+}
@@ -17,8 +17,13 @@ export class UI {
     }
     
     createUIElements() {
+        // Pages that ship their own markup also ship its stylesheet, so the
+        // fallback styles below are only added for elements created here
+        let created = false;
+        
         // Create start screen if it doesn't exist
         if (!this.elements.startScreen) {
+            created = true;
             this.elements.startScreen = document.createElement('div');
             this.elements.startScreen.id = 'start-screen';
             this.elements.startScreen.classList.add('screen');
@@ -49,6 +54,7 @@ export class UI {
         
         // Create game UI if it doesn't exist
         if (!this.elements.gameUI) {
+            created = true;
             this.elements.gameUI = document.createElement('div');
             this.elements.gameUI.id = 'game-ui';
             this.elements.gameUI.classList.add('game-ui');
@@ -77,7 +83,9 @@ export class UI {
         }
         
         // Add basic styles
-        this.addStyles();
+        if (created) {
+            this.addStyles();
+        }
     }
     
     addStyles() {
@@ -301,7 +309,11 @@ export class UI {
         document.getElementById('player-rank').textContent = rank;
     }
     
-    showGameOver(stats) {
+    // Without an onPlayAgain callback, Play Again goes back to the start screen
+    showGameOver(stats, onPlayAgain) {
+        // Only ever one game over screen
+        this.hideGameOver();
+        
         // Create game over screen
         const gameOverScreen = document.createElement('div');
         gameOverScreen.id = 'game-over-screen';
@@ -309,7 +321,7 @@ export class UI {
         gameOverScreen.innerHTML = `
             <div class="start-container">
                 <h1>Game Over</h1>
-                <p>You were eaten!</p>
+                <p class="killer"></p>
                 <div class="stats-summary">
                     <p>Final Mass: ${stats.mass}</p>
                     <p>Final Rank: ${stats.rank}</p>
@@ -319,12 +331,236 @@ export class UI {
                 <button id="play-again-button">Play Again</button>
             </div>
         `;
+        
+        // The killer's name is user input, so it goes in as text
+        gameOverScreen.querySelector('.killer').textContent = stats.killerName
+            ? `You were eaten by ${stats.killerName}!`
+            : 'You were eaten!';
+        
         document.body.appendChild(gameOverScreen);
         
         // Add event listener to play again button
         document.getElementById('play-again-button').addEventListener('click', () => {
+            this.hideGameOver();
+            if (onPlayAgain) {
+                onPlayAgain();
+            } else {
+                this.showStartScreen();
+            }
+        });
+    }
+    
+    hideGameOver() {
+        const gameOverScreen = document.getElementById('game-over-screen');
+        if (gameOverScreen) {
             gameOverScreen.remove();
-            this.showStartScreen();
+        }
+    }
+    
+    // Mode name, round clock and team standings above the leaderboard
+    updateModeInfo(state) {
+        const modeName = document.getElementById('mode-name');
+        const roundInfo = document.getElementById('round-info');
+        const teamList = document.getElementById('team-list');
+        if (!modeName || !state) return;
+        
+        modeName.textContent = state.name;
+        
+        if (state.round !== undefined) {
+            const minutes = Math.floor(state.timeLeft / 60);
+            const seconds = String(state.timeLeft % 60).padStart(2, '0');
+            const clock = state.phase === 'playing'
+                ? `Round ${state.round} - ${minutes}:${seconds} left`
+                : `Next round in ${state.timeLeft}s`;
+            roundInfo.textContent = state.alive !== undefined && state.phase === 'playing'
+                ? `${clock} - ${state.alive} alive`
+                : clock;
+        } else {
+            roundInfo.textContent = '';
+        }
+        
+        teamList.innerHTML = '';
+        (state.teams || []).forEach((team) => {
+            const listItem = document.createElement('li');
+            
+            const swatch = document.createElement('span');
+            swatch.className = 'team-swatch';
+            swatch.style.backgroundColor = team.color;
+            
+            const name = document.createElement('span');
+            name.textContent = `${team.name} (${team.players})`;
+            
+            const score = document.createElement('span');
+            score.className = 'score';
+            score.textContent = team.score;
+            
+            listItem.append(swatch, name, score);
+            teamList.appendChild(listItem);
+        });
+    }
+    
+    // Winner screen between rounds, taken down when the next round starts
+    showRoundResult(result, localPlayerId) {
+        // The round result replaces any game over screen
+        this.hideGameOver();
+        this.hideRoundResult();
+        
+        const resultScreen = document.createElement('div');
+        resultScreen.id = 'round-result-screen';
+        resultScreen.classList.add('screen');
+        resultScreen.innerHTML = `
+            <div class="start-container">
+                <h1>Round ${result.round} Over</h1>
+                <p class="winner"></p>
+                <ol class="round-standings"></ol>
+                <p>Next round in ${result.nextRoundIn}s</p>
+            </div>
+        `;
+        
+        // Usernames are user input, so they go in as text
+        const winner = resultScreen.querySelector('.winner');
+        if (!result.winner) {
+            winner.textContent = 'Nobody won this round.';
+        } else if (result.winner.id === localPlayerId) {
+            winner.textContent = 'You won!';
+        } else {
+            winner.textContent = `${result.winner.username} won!`;
+        }
+        
+        const standings = resultScreen.querySelector('.round-standings');
+        result.standings.forEach((entry) => {
+            const listItem = document.createElement('li');
+            listItem.textContent = `${entry.username} - ${entry.score}`;
+            if (entry.id === localPlayerId) {
+                listItem.className = 'local-player';
+            }
+            standings.appendChild(listItem);
+        });
+        
+        document.body.appendChild(resultScreen);
+    }
+    
+    hideRoundResult() {
+        const resultScreen = document.getElementById('round-result-screen');
+        if (resultScreen) {
+            resultScreen.remove();
+        }
+    }
+
+    // Sign-in form. onSubmit(register, name, password) returns a promise; if it
+    // rejects, the error is shown and the form stays up.
+    showSignIn(onSubmit) {
+        this.hideProfile();
+
+        const profileScreen = document.createElement('div');
+        profileScreen.id = 'profile-screen';
+        profileScreen.classList.add('screen');
+        profileScreen.innerHTML = `
+            <div class="start-container">
+                <h1>Sign in</h1>
+                <p>Signed-in players keep career stats and personal bests.</p>
+                <form class="account-form">
+                    <input type="text" name="name" placeholder="Name" maxlength="15" autocomplete="username">
+                    <input type="password" name="password" placeholder="Password" autocomplete="current-password">
+                    <div class="account-error"></div>
+                    <div class="account-buttons">
+                        <button type="submit" class="secondary-button">Sign in</button>
+                        <button type="button" class="secondary-button" data-action="register">Create account</button>
+                        <button type="button" class="secondary-button" data-action="close">Close</button>
+                    </div>
+                </form>
+            </div>
+        `;
+
+        const form = profileScreen.querySelector('form');
+        const error = profileScreen.querySelector('.account-error');
+        const submit = async (register) => {
+            error.textContent = '';
+            try {
+                await onSubmit(register, form.elements.name.value.trim(), form.elements.password.value);
+            } catch (submitError) {
+                error.textContent = submitError.message;
+            }
+        };
+
+        form.addEventListener('submit', (event) => {
+            event.preventDefault();
+            submit(false);
+        });
+        profileScreen.querySelector('[data-action="register"]').addEventListener('click', () => submit(true));
+        profileScreen.querySelector('[data-action="close"]').addEventListener('click', () => this.hideProfile());
+
+        document.body.appendChild(profileScreen);
+        form.elements.name.focus();
+    }
+
+    // Career stats of the signed-in account
+    showProfile(profile, onSignOut) {
+        this.hideProfile();
+
+        const stats = profile.stats;
+        const rows = [
+            ['Lives played', stats.lives],
+            ['Deaths', stats.deaths],
+            ['Time played', formatPlayTime(stats.timePlayed)],
+            ['Total score', stats.totalScore],
+            ['Food eaten', stats.foodEaten],
+            ['Players eaten', stats.playersEaten],
+            ['Best score', stats.bestScore],
+            ['Best mass', stats.bestMass],
+            ['Longest life', formatPlayTime(stats.longestLife)]
+        ];
+
+        const profileScreen = document.createElement('div');
+        profileScreen.id = 'profile-screen';
+        profileScreen.classList.add('screen');
+        profileScreen.innerHTML = `
+            <div class="start-container">
+                <h1 class="profile-name"></h1>
+                <p>Playing since ${new Date(profile.createdAt).toLocaleDateString()}</p>
+                <dl class="stats-summary career-stats"></dl>
+                <div class="account-buttons">
+                    <button type="button" class="secondary-button" data-action="sign-out">Sign out</button>
+                    <button type="button" class="secondary-button" data-action="close">Close</button>
+                </div>
+            </div>
+        `;
+
+        // The name is user input, so it goes in as text
+        profileScreen.querySelector('.profile-name').textContent = profile.name;
+
+        const list = profileScreen.querySelector('.career-stats');
+        rows.forEach(([label, value]) => {
+            const term = document.createElement('dt');
+            term.textContent = label;
+            const detail = document.createElement('dd');
+            detail.textContent = value;
+            list.append(term, detail);
+        });
+
+        profileScreen.querySelector('[data-action="sign-out"]').addEventListener('click', () => {
+            this.hideProfile();
+            onSignOut();
         });
+        profileScreen.querySelector('[data-action="close"]').addEventListener('click', () => this.hideProfile());
+
+        document.body.appendChild(profileScreen);
     }
+
+    hideProfile() {
+        const profileScreen = document.getElementById('profile-screen');
+        if (profileScreen) {
+            profileScreen.remove();
+        }
+    }
+}
+
+// Seconds as "2h 05m", "4m 09s" or "42s"
+function formatPlayTime(totalSeconds) {
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor(totalSeconds / 60) % 60;
+    const seconds = totalSeconds % 60;
+    if (hours > 0) return `${hours}h ${String(minutes).padStart(2, '0')}m`;
+    if (minutes > 0) return `${minutes}m ${String(seconds).padStart(2, '0')}s`;
+    return `${seconds}s`;
 }
\ No newline at end of file
@@ -10,6 +10,10 @@ export default defineConfig({
         target: 'http://localhost:3000',
         ws: true,
         changeOrigin: true
+      },
+      '/api': {
+        target: 'http://localhost:3000',
+        changeOrigin: true
       }
     }
   },
@@ -25,7 +29,8 @@ export default defineConfig({
     emptyOutDir: true,
     rollupOptions: {
       input: {
-        main: resolve(__dirname, 'index.html')
+        main: resolve(__dirname, 'index.html'),
+        admin: resolve(__dirname, 'admin.html')
       }
     }
   }
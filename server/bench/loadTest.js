@@ -0,0 +1,337 @@
+// Load test - opens many socket.io connections against a running server and plays with all of them
+//
+// Usage: node bench/loadTest.js [--clients 100] [--url http://localhost:3000] [--duration 30]
+//          [--movement random|circle|line] [--wire binary|json] [--ramp 20] [--report 5]
+//          [--split-rate 0.05] [--boost-rate 0.1] [--eject-rate 0.1] [--arena <id>] [--invite <code>]
+//
+// Every client joins, streams one input per server tick (move direction plus boost/split
+// flags, the same commands the browser sends) and ejects mass now and then. It reports
+// tick latency (input sent -> input acknowledged in a snapshot), snapshot intervals,
+// message sizes, bytes per second per client and the rate of every server event.
+
+const { io } = require('socket.io-client');
+const { WireCodec, CODEC_VERSION, isBinary } = require('../../client/js/networking/codec');
+
+const DEFAULTS = {
+    clients: 100,
+    url: 'http://localhost:3000',
+    duration: 30,          // Seconds of play after the last client connected
+    movement: 'random',    // 'random' walk, or scripted 'circle' / 'line'
+    wire: 'binary',        // Wire format to ask the server for
+    ramp: 20,              // Milliseconds between two connections
+    report: 5,             // Seconds between progress reports
+    splitRate: 0.05,       // Splits per client per second
+    boostRate: 0.1,        // Boosts per client per second
+    ejectRate: 0.1,        // Mass ejections per client per second
+    arena: null,
+    invite: null
+};
+
+function parseArgs(argv) {
+    const options = { ...DEFAULTS };
+    for (let i = 0; i < argv.length; i += 2) {
+        const key = argv[i].replace(/^--/, '').replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+        if (!(key in DEFAULTS)) {
+            console.error(`Unknown option ${argv[i]}`);
+            process.exit(1);
+        }
+        const value = argv[i + 1];
+        options[key] = typeof DEFAULTS[key] === 'number' ? Number(value) : value;
+    }
+    return options;
+}
+
+// Running totals for one reporting window, and for the whole run
+class Stats {
+    constructor() {
+        this.tickLatencies = []; // ms from sending an input to seeing it acknowledged
+        this.snapshotIntervals = []; // ms between two snapshots on the same client
+        this.pingTimes = []; // ms round trip of a ping
+        this.events = new Map(); // event name -> { count, bytes, maxBytes }
+        this.bytesIn = 0;
+        this.bytesOut = 0;
+    }
+
+    recordEvent(name, bytes) {
+        let event = this.events.get(name);
+        if (!event) {
+            event = { count: 0, bytes: 0, maxBytes: 0 };
+            this.events.set(name, event);
+        }
+        event.count++;
+        event.bytes += bytes;
+        event.maxBytes = Math.max(event.maxBytes, bytes);
+    }
+}
+
+class LoadClient {
+    constructor(index, options, onEvent) {
+        this.index = index;
+        this.options = options;
+        this.onEvent = onEvent; // Runs a handler against the window and the total stats
+
+        this.codec = null;
+        this.wireFormat = 'json';
+        this.tickRate = 60;
+        this.joined = false;
+        this.dead = false;
+
+        // Input stream
+        this.sequence = 0;
+        this.sentAt = new Map(); // Input sequence -> time sent, for tick latency
+        this.lastAcknowledged = 0;
+        this.heading = Math.random() * Math.PI * 2;
+        this.pitch = 0;
+        this.startedAt = Date.now();
+        this.lastSnapshotAt = null;
+        this.inputTimer = null;
+    }
+
+    connect() {
+        const query = {
+            wireFormat: this.options.wire,
+            wireVersion: CODEC_VERSION
+        };
+        if (this.options.invite) {
+            query.invite = this.options.invite;
+        } else if (this.options.arena) {
+            query.arena = this.options.arena;
+        }
+
+        this.socket = io(this.options.url, {
+            transports: ['websocket'],
+            forceNew: true,
+            reconnection: false,
+            query: query
+        });
+
+        this.socket.on('connect', () => {
+            // Count raw bytes both ways on the underlying connection
+            const engine = this.socket.io.engine;
+            engine.on('data', (data) => this.onEvent(stats => { stats.bytesIn += byteLength(data); }));
+            engine.on('packetCreate', (packet) => this.onEvent(stats => { stats.bytesOut += byteLength(packet.data); }));
+
+            this.socket.emit('joinGame', {
+                username: `load_${this.index}`,
+                color: Math.floor(Math.random() * 0xffffff)
+            });
+        });
+
+        this.socket.onAny((event, ...args) => {
+            this.onEvent(stats => stats.recordEvent(event, args.reduce((sum, arg) => sum + payloadSize(arg), 0)));
+        });
+
+        this.socket.on('wireFormat', (info) => {
+            this.wireFormat = info.format;
+            this.codec = new WireCodec({ positionRange: info.positionRange });
+        });
+
+        this.socket.on('worldConfig', (config) => {
+            this.tickRate = config.tickRate;
+        });
+
+        this.socket.on('snapshot', (message) => this.handleSnapshot(message));
+
+        this.socket.on('playerDied', () => {
+            this.dead = true;
+            setTimeout(() => {
+                if (this.socket.connected) {
+                    this.socket.emit('respawn', {});
+                }
+            }, 1000);
+        });
+
+        this.socket.on('connect_error', (error) => {
+            console.error(`[LOAD] Client ${this.index} could not connect: ${error.message}`);
+        });
+    }
+
+    handleSnapshot(message) {
+        const now = Date.now();
+        if (isBinary(message)) {
+            if (!this.codec) return;
+            message = this.codec.decodeSnapshot(message);
+        }
+
+        // Keep the server's delta baseline moving like a real client would
+        this.socket.emit('snapshotAck', message.seq);
+
+        if (this.lastSnapshotAt !== null) {
+            const interval = now - this.lastSnapshotAt;
+            this.onEvent(stats => stats.snapshotIntervals.push(interval));
+        }
+        this.lastSnapshotAt = now;
+
+        // Our own cell tells us which input the server has simulated
+        const own = message.players.updated.find(player => player.id === this.socket.id);
+        if (own) {
+            this.joined = true;
+            this.dead = false;
+        }
+        if (own && own.inputSequence > this.lastAcknowledged) {
+            const sentAt = this.sentAt.get(own.inputSequence);
+            if (sentAt !== undefined) {
+                this.onEvent(stats => stats.tickLatencies.push(now - sentAt));
+            }
+            for (let seq = this.lastAcknowledged + 1; seq <= own.inputSequence; seq++) {
+                this.sentAt.delete(seq);
+            }
+            this.lastAcknowledged = own.inputSequence;
+        }
+    }
+
+    // One input per server tick, like the browser
+    startInputs() {
+        this.inputTimer = setInterval(() => this.sendInput(), 1000 / this.tickRate);
+    }
+
+    sendInput() {
+        if (!this.socket.connected || !this.joined || this.dead) return;
+
+        const interval = 1 / this.tickRate;
+        const input = {
+            seq: ++this.sequence,
+            direction: this.nextDirection(),
+            boost: Math.random() < this.options.boostRate * interval,
+            split: Math.random() < this.options.splitRate * interval
+        };
+
+        this.sentAt.set(input.seq, Date.now());
+        if (this.sentAt.size > 600) {
+            this.sentAt.delete(this.sentAt.keys().next().value);
+        }
+
+        if (this.wireFormat === 'binary' && this.codec) {
+            this.socket.emit('playerInput', this.codec.encodeInput(input));
+        } else {
+            this.socket.emit('playerInput', input);
+        }
+
+        if (Math.random() < this.options.ejectRate * interval) {
+            this.socket.emit('ejectMass', { direction: input.direction });
+        }
+    }
+
+    nextDirection() {
+        const elapsed = (Date.now() - this.startedAt) / 1000;
+
+        switch (this.options.movement) {
+            case 'circle':
+                // Loops of about 12 seconds, each client starting at its own angle
+                this.heading += (Math.PI * 2 / 12) / this.tickRate;
+                return [Math.cos(this.heading), 0, Math.sin(this.heading)];
+            case 'line':
+                // Back and forth along its starting heading every 5 seconds
+                const sign = Math.floor(elapsed / 5) % 2 === 0 ? 1 : -1;
+                return [Math.cos(this.heading) * sign, 0, Math.sin(this.heading) * sign];
+            default:
+                // Random walk - small turns every tick, drifting up and down too
+                this.heading += (Math.random() - 0.5) * 0.3;
+                this.pitch = Math.max(-0.5, Math.min(0.5, this.pitch + (Math.random() - 0.5) * 0.1));
+                return [
+                    Math.cos(this.heading) * Math.cos(this.pitch),
+                    Math.sin(this.pitch),
+                    Math.sin(this.heading) * Math.cos(this.pitch)
+                ];
+        }
+    }
+
+    close() {
+        clearInterval(this.inputTimer);
+        this.socket.close();
+    }
+}
+
+// Wire size of a payload as socket.io would send it
+function payloadSize(value) {
+    if (value === undefined || value === null) return 0;
+    if (isBinary(value)) return byteLength(value);
+    return Buffer.byteLength(JSON.stringify(value));
+}
+
+function byteLength(data) {
+    if (typeof data === 'string') return Buffer.byteLength(data);
+    return data ? data.byteLength || 0 : 0;
+}
+
+function percentile(values, p) {
+    if (values.length === 0) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+}
+
+function formatBytes(bytes) {
+    if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+    if (bytes >= 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${Math.round(bytes)} B`;
+}
+
+function printStats(label, stats, seconds, clients) {
+    const joined = clients.filter(client => client.joined).length;
+    const perClient = Math.max(1, joined);
+
+    console.log(`[LOAD] ${label} - ${joined}/${clients.length} clients playing`);
+    console.log(`  tick latency:      p50 ${percentile(stats.tickLatencies, 0.5)} ms, p95 ${percentile(stats.tickLatencies, 0.95)} ms, p99 ${percentile(stats.tickLatencies, 0.99)} ms`);
+    console.log(`  snapshot interval: p50 ${percentile(stats.snapshotIntervals, 0.5)} ms, p99 ${percentile(stats.snapshotIntervals, 0.99)} ms, max ${percentile(stats.snapshotIntervals, 1)} ms`);
+    if (stats.pingTimes.length > 0) {
+        console.log(`  ping:              p50 ${percentile(stats.pingTimes, 0.5)} ms, p99 ${percentile(stats.pingTimes, 0.99)} ms`);
+    }
+    console.log(`  down: ${formatBytes(stats.bytesIn / seconds)}/s (${formatBytes(stats.bytesIn / seconds / perClient)}/s per client), up: ${formatBytes(stats.bytesOut / seconds)}/s (${formatBytes(stats.bytesOut / seconds / perClient)}/s per client)`);
+
+    const events = Array.from(stats.events.entries()).sort((a, b) => b[1].count - a[1].count);
+    console.log('  server events:     rate/s (per client)   avg size   max size');
+    for (const [name, event] of events) {
+        const rate = event.count / seconds;
+        console.log(`    ${name.padEnd(18)} ${rate.toFixed(1).padStart(8)} (${(rate / perClient).toFixed(2).padStart(6)})   ${formatBytes(event.bytes / event.count).padStart(8)}   ${formatBytes(event.maxBytes).padStart(8)}`);
+    }
+}
+
+async function run() {
+    const options = parseArgs(process.argv.slice(2));
+    console.log(`[LOAD] ${options.clients} clients -> ${options.url} (${options.wire}, ${options.movement} movement) for ${options.duration}s`);
+
+    let windowStats = new Stats();
+    const totalStats = new Stats();
+    const record = (handler) => {
+        handler(windowStats);
+        handler(totalStats);
+    };
+
+    const clients = [];
+    for (let i = 0; i < options.clients; i++) {
+        const client = new LoadClient(i, options, record);
+        clients.push(client);
+        client.connect();
+        client.startInputs();
+        await new Promise(resolve => setTimeout(resolve, options.ramp));
+    }
+
+    // One ping a second from a rotating client, for plain round trip time
+    let pingIndex = 0;
+    const pingTimer = setInterval(() => {
+        const client = clients[pingIndex++ % clients.length];
+        if (!client.socket.connected) return;
+        const sentAt = Date.now();
+        client.socket.emit('ping', () => record(stats => stats.pingTimes.push(Date.now() - sentAt)));
+    }, 1000);
+
+    const startedAt = Date.now();
+    let windowStartedAt = startedAt;
+    const reportTimer = setInterval(() => {
+        const now = Date.now();
+        printStats(`${((now - startedAt) / 1000).toFixed(0)}s`, windowStats, (now - windowStartedAt) / 1000, clients);
+        windowStats = new Stats();
+        windowStartedAt = now;
+    }, options.report * 1000);
+
+    await new Promise(resolve => setTimeout(resolve, options.duration * 1000));
+
+    clearInterval(pingTimer);
+    clearInterval(reportTimer);
+    printStats('Total', totalStats, (Date.now() - startedAt) / 1000, clients);
+
+    clients.forEach(client => client.close());
+    process.exit(0);
+}
+
+run();
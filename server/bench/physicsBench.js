@@ -0,0 +1,130 @@
+// Physics benchmark - drives PhysicsSystem.update with synthetic entities and reports tick time
+//
+// Usage: node bench/physicsBench.js [players] [foods] [ticks]
+// Defaults match the GameServer limits: 50 players, 1000 food, 600 ticks (10s at 60Hz)
+
+const { Vector3 } = require('three');
+const { PhysicsSystem } = require('../game/physics');
+const { ServerPlayer } = require('../game/serverPlayer');
+const { ServerFood } = require('../game/serverFood');
+
+const playerCount = parseInt(process.argv[2], 10) || 50;
+const foodCount = parseInt(process.argv[3], 10) || 1000;
+const tickCount = parseInt(process.argv[4], 10) || 600;
+
+const worldSize = { x: 500, y: 500, z: 500 };
+const tickRate = 60;
+const deltaTime = 1 / tickRate;
+const tickBudgetMs = 1000 / tickRate;
+
+function randomPosition() {
+    return new Vector3(
+        (Math.random() - 0.5) * worldSize.x,
+        0,
+        (Math.random() - 0.5) * worldSize.z
+    );
+}
+
+let nextFoodId = 0;
+function spawnFood(physics, foods) {
+    const food = new ServerFood({
+        id: `food_${nextFoodId++}`,
+        position: randomPosition(),
+        scale: new Vector3(0.5, 0.5, 0.5),
+        color: '#ffffff',
+        value: 0.1 + Math.random() * 0.1
+    });
+    foods.set(food.id, food);
+    physics.addEntity(food, 'food');
+}
+
+function run() {
+    const physics = new PhysicsSystem(worldSize);
+    const players = new Map();
+    const foods = new Map();
+    const targets = new Map(); // Map of player id -> random-walk target
+
+    for (let i = 0; i < playerCount; i++) {
+        const player = new ServerPlayer({
+            id: `bot_${i}`,
+            username: `Bot ${i}`,
+            position: randomPosition(),
+            color: '#ffffff',
+            mass: 1 + Math.random() * 50
+        });
+        player.updateSize();
+        players.set(player.id, player);
+        physics.addEntity(player, 'player');
+        targets.set(player.id, randomPosition());
+    }
+
+    for (let i = 0; i < foodCount; i++) {
+        spawnFood(physics, foods);
+    }
+
+    const tickTimes = [];
+    let foodEaten = 0;
+    let playersEaten = 0;
+
+    for (let tick = 0; tick < tickCount; tick++) {
+        // Steer every player towards its random-walk target, like clients streaming inputs
+        for (const player of players.values()) {
+            const target = targets.get(player.id);
+            if (player.position.distanceTo(target) < 5) {
+                target.copy(randomPosition());
+            }
+            player.steer(new Vector3().subVectors(target, player.position).normalize());
+        }
+
+        const start = process.hrtime.bigint();
+
+        // Mirror the per-tick work GameServer does around the physics system
+        for (const food of foods.values()) {
+            food.update(deltaTime);
+            physics.updateEntity(food);
+        }
+
+        const consumedFood = physics.update(deltaTime, players, foods);
+        for (const { foodId } of consumedFood) {
+            foods.delete(foodId);
+            physics.removeEntity(foodId);
+        }
+
+        const playerConsumption = physics.checkPlayerCollisions(players);
+        if (playerConsumption) {
+            const { prey } = playerConsumption;
+            players.delete(prey.id);
+            physics.removeEntity(prey.id);
+            playersEaten++;
+        }
+
+        const end = process.hrtime.bigint();
+        tickTimes.push(Number(end - start) / 1e6);
+
+        // Keep entity counts stable outside the timed section
+        foodEaten += consumedFood.length;
+        while (foods.size < foodCount) {
+            spawnFood(physics, foods);
+        }
+    }
+
+    report(tickTimes, foodEaten, playersEaten);
+}
+
+function report(tickTimes, foodEaten, playersEaten) {
+    const sorted = [...tickTimes].sort((a, b) => a - b);
+    const total = tickTimes.reduce((sum, time) => sum + time, 0);
+    const percentile = (p) => sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+    const overBudget = tickTimes.filter(time => time > tickBudgetMs).length;
+
+    console.log(`Physics benchmark: ${playerCount} players, ${foodCount} food, ${tickCount} ticks`);
+    console.log(`  mean tick: ${(total / tickTimes.length).toFixed(3)} ms`);
+    console.log(`  p50 tick:  ${percentile(0.5).toFixed(3)} ms`);
+    console.log(`  p95 tick:  ${percentile(0.95).toFixed(3)} ms`);
+    console.log(`  p99 tick:  ${percentile(0.99).toFixed(3)} ms`);
+    console.log(`  max tick:  ${sorted[sorted.length - 1].toFixed(3)} ms`);
+    console.log(`  budget:    ${tickBudgetMs.toFixed(3)} ms (${overBudget} ticks over)`);
+    console.log(`  food eaten: ${foodEaten}, players eaten: ${playersEaten}`);
+}
+
+run();
@@ -0,0 +1,282 @@
+// Player accounts and career statistics
+//
+// Accounts are optional: anyone can play without one, but a signed-in player's lives
+// add up to career totals and personal bests. Everything lives in memory and is written
+// to a JSON file shortly after it changes, so a restart picks up where it left off.
+//
+// Passwords are stored as scrypt hashes. Signing in hands out a session token; only
+// its SHA-256 is kept, so the file alone is no good for taking over an account.
+//
+// Admin rights go to the accounts that hold the admin names when the server starts,
+// and stay with those account ids. An admin name nobody holds yet can't be registered,
+// so nobody can claim one and become an admin: register the account before listing it.
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { JsonFile } = require('./jsonFile');
+
+const scrypt = promisify(crypto.scrypt);
+
+const STORE_VERSION = 1;
+const NAME_PATTERN = /^[A-Za-z0-9_-]{3,15}$/; // Fits the start screen's 15 characters
+const MIN_PASSWORD_LENGTH = 6;
+const MAX_PASSWORD_LENGTH = 128;
+const HASH_LENGTH = 64;
+
+class AccountStore {
+    constructor(options = {}) {
+        // Settings
+        this.file = options.file || null; // JSON file the store is kept in, memory only without one
+        this.sessionDuration = options.sessionDuration || 30 * 24 * 60 * 60; // Seconds a sign-in lasts
+        this.attemptLimit = options.attemptLimit || 10; // Sign-ins and registrations one address may try per window
+        this.attemptWindow = options.attemptWindow || 5 * 60; // Seconds
+        this.adminNames = new Set((options.admins || []).map(name => name.toLowerCase())); // Names that may moderate, none may be registered
+
+        // State
+        this.accounts = new Map(); // Map of account id -> { id, name, passwordHash, createdAt, stats }
+        this.names = new Map(); // Map of lowercased name -> account id
+        this.sessions = new Map(); // Map of token hash -> { accountId, expiresAt }
+        this.adminIds = new Set(); // Ids of the accounts that held an admin name at startup
+        this.attempts = new Map(); // Map of address -> times (ms) it tried to sign in or register within the window
+        this.attemptsPrunedAt = Date.now();
+        this.store = this.file ? new JsonFile(this.file, () => this.serialize(), { saveDelay: options.saveDelay }) : null;
+
+        this.load();
+        this.loadAdmins();
+    }
+
+    // Create an account and sign it in. Returns { account, token } or { error }.
+    async register(name, password) {
+        const problem = checkName(name) || checkPassword(password);
+        if (problem) return { error: problem };
+        if (this.adminNames.has(name.toLowerCase())) return { error: 'That name is reserved.' };
+
+        // Checked again after hashing, another request may have taken the name meanwhile
+        if (this.names.has(name.toLowerCase())) return { error: 'That name is taken.' };
+        const passwordHash = await hashPassword(password);
+        if (this.names.has(name.toLowerCase())) return { error: 'That name is taken.' };
+
+        const account = {
+            id: crypto.randomUUID(),
+            name: name,
+            passwordHash: passwordHash,
+            createdAt: new Date().toISOString(),
+            stats: createStats()
+        };
+        this.accounts.set(account.id, account);
+        this.names.set(name.toLowerCase(), account.id);
+
+        console.log(`[ACCOUNT] Registered ${account.name} (${account.id})`);
+
+        return { account: account, token: this.createSession(account) };
+    }
+
+    // Check a name and password. Returns { account, token } or { error }.
+    async login(name, password) {
+        const account = typeof name === 'string' ? this.findByName(name) : null;
+        if (!account || typeof password !== 'string' || !(await verifyPassword(password, account.passwordHash))) {
+            return { error: 'Wrong name or password.' };
+        }
+
+        return { account: account, token: this.createSession(account) };
+    }
+
+    // Count a sign-in or registration from an address. Returns why it is refused, or null if
+    // it may go ahead. Each one hashes a password, so guessing and floods are rationed.
+    checkAttempt(address) {
+        const now = Date.now();
+        const windowMs = this.attemptWindow * 1000;
+
+        // Forget addresses that have gone quiet, at most once a window
+        if (now - this.attemptsPrunedAt >= windowMs) {
+            for (const [key, times] of Array.from(this.attempts)) {
+                if (times.every(time => now - time >= windowMs)) {
+                    this.attempts.delete(key);
+                }
+            }
+            this.attemptsPrunedAt = now;
+        }
+
+        const times = (this.attempts.get(address) || []).filter(time => now - time < windowMs);
+        this.attempts.set(address, times);
+        if (times.length >= this.attemptLimit) {
+            return 'Too many attempts, try again in a few minutes.';
+        }
+
+        times.push(now);
+        return null;
+    }
+
+    logout(token) {
+        if (this.sessions.delete(hashToken(token))) {
+            this.scheduleSave();
+        }
+    }
+
+    // The account a session token belongs to, or null if it is unknown or expired
+    authenticate(token) {
+        if (typeof token !== 'string' || !token) return null;
+
+        const key = hashToken(token);
+        const session = this.sessions.get(key);
+        if (!session) return null;
+
+        if (Date.now() >= session.expiresAt) {
+            this.sessions.delete(key);
+            this.scheduleSave();
+            return null;
+        }
+        return this.accounts.get(session.accountId) || null;
+    }
+
+    isAdmin(account) {
+        return Boolean(account) && this.adminIds.has(account.id);
+    }
+
+    findByName(name) {
+        const id = this.names.get(String(name).toLowerCase());
+        return id ? this.accounts.get(id) : null;
+    }
+
+    // Add one finished life to an account's career: { score, mass, timeAlive, foodEaten, playersEaten, died }
+    recordLife(accountId, life) {
+        const account = this.accounts.get(accountId);
+        if (!account) return;
+
+        const stats = account.stats;
+        stats.lives += 1;
+        stats.deaths += life.died ? 1 : 0;
+        stats.totalScore += Math.floor(life.score);
+        stats.foodEaten += life.foodEaten;
+        stats.playersEaten += life.playersEaten;
+        stats.timePlayed += Math.floor(life.timeAlive);
+        stats.bestScore = Math.max(stats.bestScore, Math.floor(life.score));
+        stats.bestMass = Math.max(stats.bestMass, Math.floor(life.mass));
+        stats.longestLife = Math.max(stats.longestLife, Math.floor(life.timeAlive));
+
+        this.scheduleSave();
+    }
+
+    // What anyone may see of an account
+    getProfile(account) {
+        return {
+            name: account.name,
+            createdAt: account.createdAt,
+            stats: { ...account.stats }
+        };
+    }
+
+    createSession(account) {
+        const token = crypto.randomBytes(32).toString('hex');
+        this.sessions.set(hashToken(token), {
+            accountId: account.id,
+            expiresAt: Date.now() + this.sessionDuration * 1000
+        });
+        this.scheduleSave();
+        return token;
+    }
+
+    load() {
+        const data = this.store ? this.store.read() : null;
+        if (!data) return;
+
+        if (data.version !== STORE_VERSION) {
+            throw new Error(`Account file ${this.file} has version ${data.version}, expected ${STORE_VERSION}`);
+        }
+
+        for (const account of data.accounts) {
+            // Stats added in later versions start at zero
+            account.stats = { ...createStats(), ...account.stats };
+            this.accounts.set(account.id, account);
+            this.names.set(account.name.toLowerCase(), account.id);
+        }
+
+        const now = Date.now();
+        for (const [key, session] of Object.entries(data.sessions)) {
+            if (session.expiresAt > now && this.accounts.has(session.accountId)) {
+                this.sessions.set(key, session);
+            }
+        }
+
+        console.log(`[ACCOUNT] Loaded ${this.accounts.size} accounts from ${this.file}`);
+    }
+
+    loadAdmins() {
+        for (const name of this.adminNames) {
+            const account = this.findByName(name);
+            if (account) {
+                this.adminIds.add(account.id);
+            } else {
+                console.warn(`[ACCOUNT] Admin name ${name} has no account, so it is reserved. Register it before listing it as an admin.`);
+            }
+        }
+    }
+
+    scheduleSave() {
+        if (this.store) {
+            this.store.scheduleSave();
+        }
+    }
+
+    // Write pending changes right away, for shutdown
+    flush() {
+        if (this.store) {
+            this.store.flush();
+        }
+    }
+
+    serialize() {
+        return {
+            version: STORE_VERSION,
+            accounts: Array.from(this.accounts.values()),
+            sessions: Object.fromEntries(this.sessions)
+        };
+    }
+}
+
+function createStats() {
+    return {
+        lives: 0, // Lives played, however they ended
+        deaths: 0, // Lives that ended by being eaten
+        totalScore: 0,
+        foodEaten: 0,
+        playersEaten: 0,
+        timePlayed: 0, // Seconds
+        bestScore: 0,
+        bestMass: 0,
+        longestLife: 0 // Seconds
+    };
+}
+
+function checkName(name) {
+    if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+        return 'Names are 3 to 15 letters, digits, - or _.';
+    }
+    return null;
+}
+
+function checkPassword(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH || password.length > MAX_PASSWORD_LENGTH) {
+        return `Passwords are ${MIN_PASSWORD_LENGTH} to ${MAX_PASSWORD_LENGTH} characters.`;
+    }
+    return null;
+}
+
+// Stored as "salt:hash", both hex
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(password, salt, HASH_LENGTH);
+    return `${salt.toString('hex')}:${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+    const [salt, expected] = stored.split(':').map(part => Buffer.from(part, 'hex'));
+    const hash = await scrypt(password, salt, HASH_LENGTH);
+    return crypto.timingSafeEqual(hash, expected);
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+module.exports = { AccountStore };
@@ -0,0 +1,221 @@
+// Admin HTTP API, mounted at /api/admin
+//
+// Every request needs "Authorization: Bearer <token>", where the token is either the
+// server's ADMIN_TOKEN or the session token of one of the account store's admins, which
+// are fixed by account id at startup. Admins can list everyone connected, kick and ban, change arena settings
+// live, spawn viruses, message every player and pause or resume arenas.
+
+const crypto = require('crypto');
+const express = require('express');
+
+const MAX_BAN_MINUTES = 7 * 24 * 60;
+const MAX_VIRUSES_PER_REQUEST = 50;
+const MAX_MESSAGE_LENGTH = 200;
+const MESSAGE_TYPES = ['info', 'warning', 'error'];
+
+// options: { roomManager, accounts, adminToken, getToken(req) }
+function createAdminRouter(options) {
+    const { roomManager, accounts, adminToken, getToken } = options;
+    const antiCheat = roomManager.antiCheat;
+    const router = express.Router();
+
+    // Who is asking: 'ADMIN_TOKEN', an admin account's name, or null
+    function authenticate(req) {
+        const token = getToken(req);
+        if (!token) return null;
+
+        if (adminToken && tokensMatch(token, adminToken)) return 'ADMIN_TOKEN';
+
+        const account = accounts ? accounts.authenticate(token) : null;
+        if (accounts && accounts.isAdmin(account)) return account.name;
+        return null;
+    }
+
+    router.use((req, res, next) => {
+        const admin = authenticate(req);
+        if (!admin) {
+            return res.status(401).json({ error: 'Admins only' });
+        }
+
+        req.admin = admin;
+        next();
+    });
+
+    // Look up the arena named in the path, or answer 404
+    function getArena(req, res) {
+        const arena = roomManager.arenas.get(req.params.arena);
+        if (!arena) {
+            res.status(404).json({ error: 'Arena not found' });
+        }
+        return arena || null;
+    }
+
+    // Every arena, private ones included, with its live settings
+    router.get('/arenas', (req, res) => {
+        const arenas = Array.from(roomManager.arenas.values()).map(arena => ({
+            ...roomManager.describeArena(arena, true),
+            paused: !arena.server.isRunning,
+            maxFood: arena.server.maxFood,
+            foodSpawnRate: arena.server.foodSpawnRate,
+            food: arena.server.foods.size,
+            viruses: arena.server.viruses.size,
+            maxViruses: arena.server.maxViruses
+        }));
+        res.json({ arenas: arenas });
+    });
+
+    // Change { maxPlayers, maxFood, foodSpawnRate }, any of them
+    router.patch('/arenas/:arena', (req, res) => {
+        const arena = getArena(req, res);
+        if (!arena) return;
+
+        const body = req.body || {};
+        const settings = {};
+        for (const key of ['maxPlayers', 'maxFood', 'foodSpawnRate']) {
+            if (body[key] !== undefined) settings[key] = body[key];
+        }
+        if (Object.keys(settings).length === 0) {
+            return res.status(400).json({ error: 'Send maxPlayers, maxFood or foodSpawnRate' });
+        }
+
+        const error = arena.server.updateSettings(settings);
+        if (error) {
+            return res.status(400).json({ error: error });
+        }
+
+        console.log(`[ADMIN] ${req.admin} changed ${arena.name} (${arena.id}): ${JSON.stringify(settings)}`);
+        res.json({
+            maxPlayers: arena.server.maxPlayers,
+            maxFood: arena.server.maxFood,
+            foodSpawnRate: arena.server.foodSpawnRate
+        });
+    });
+
+    // Spawn { count } viruses, past the arena's usual limit if need be
+    router.post('/arenas/:arena/viruses', (req, res) => {
+        const arena = getArena(req, res);
+        if (!arena) return;
+
+        const count = (req.body || {}).count === undefined ? 1 : req.body.count;
+        if (!Number.isInteger(count) || count < 1 || count > MAX_VIRUSES_PER_REQUEST) {
+            return res.status(400).json({ error: `count must be a whole number from 1 to ${MAX_VIRUSES_PER_REQUEST}` });
+        }
+
+        arena.server.spawnViruses(count);
+        console.log(`[ADMIN] ${req.admin} spawned ${count} viruses in ${arena.name} (${arena.id})`);
+        res.status(201).json({ spawned: count, viruses: arena.server.viruses.size });
+    });
+
+    router.post('/arenas/:arena/pause', (req, res) => {
+        const arena = getArena(req, res);
+        if (!arena) return;
+
+        arena.server.setPaused(true);
+        console.log(`[ADMIN] ${req.admin} paused ${arena.name} (${arena.id})`);
+        res.json({ paused: true });
+    });
+
+    router.post('/arenas/:arena/resume', (req, res) => {
+        const arena = getArena(req, res);
+        if (!arena) return;
+
+        arena.server.setPaused(false);
+        console.log(`[ADMIN] ${req.admin} resumed ${arena.name} (${arena.id})`);
+        res.json({ paused: false });
+    });
+
+    // Everyone in every arena: players, bots and spectators, biggest first
+    router.get('/players', (req, res) => {
+        const players = [];
+        for (const arena of roomManager.arenas.values()) {
+            for (const { accountId, ...person } of arena.server.listPeople()) {
+                const account = accountId && accounts ? accounts.accounts.get(accountId) : null;
+                players.push({ arena: arena.id, ...person, account: account ? account.name : null });
+            }
+        }
+        players.sort((a, b) => b.mass - a.mass);
+        res.json({ players: players });
+    });
+
+    // Disconnect one socket. They may come straight back, ban them to keep them out.
+    router.post('/players/:id/kick', (req, res) => {
+        const socket = roomManager.io.sockets.sockets.get(req.params.id);
+        if (!socket) {
+            return res.status(404).json({ error: 'No connected player with that id' });
+        }
+
+        socket.emit('serverMessage', { type: 'error', message: 'You were kicked by an admin.' });
+        socket.disconnect(true);
+
+        console.log(`[ADMIN] ${req.admin} kicked ${socket.id} (${socket.handshake.address})`);
+        res.status(204).end();
+    });
+
+    // Ban a player's address for { minutes } (the anti-cheat ban length by default)
+    // and disconnect every socket from it
+    router.post('/players/:id/ban', (req, res) => {
+        const socket = roomManager.io.sockets.sockets.get(req.params.id);
+        if (!socket) {
+            return res.status(404).json({ error: 'No connected player with that id' });
+        }
+
+        const minutes = (req.body || {}).minutes === undefined ? antiCheat.banDuration / 60 : req.body.minutes;
+        if (!Number.isFinite(minutes) || minutes <= 0 || minutes > MAX_BAN_MINUTES) {
+            return res.status(400).json({ error: `minutes must be more than 0 and at most ${MAX_BAN_MINUTES}` });
+        }
+
+        const address = socket.handshake.address;
+        antiCheat.ban(address, minutes * 60);
+        const disconnected = roomManager.disconnectAddress(address, 'You were banned by an admin.');
+
+        console.log(`[ADMIN] ${req.admin} banned ${address} for ${minutes} minutes, ${disconnected} sockets disconnected`);
+        res.status(201).json({ address: address, minutes: minutes, disconnected: disconnected });
+    });
+
+    router.get('/bans', (req, res) => {
+        res.json({ bans: antiCheat.listBans() });
+    });
+
+    router.delete('/bans/:address', (req, res) => {
+        if (!antiCheat.unban(req.params.address)) {
+            return res.status(404).json({ error: 'That address is not banned' });
+        }
+
+        console.log(`[ADMIN] ${req.admin} unbanned ${req.params.address}`);
+        res.status(204).end();
+    });
+
+    // Latest anti-cheat violations, newest first
+    router.get('/violations', (req, res) => {
+        res.json({ violations: antiCheat.log.slice().reverse() });
+    });
+
+    // Show { message, type } to every connected socket, in every arena
+    router.post('/broadcast', (req, res) => {
+        const body = req.body || {};
+        const message = typeof body.message === 'string' ? body.message.trim().substring(0, MAX_MESSAGE_LENGTH) : '';
+        const type = body.type === undefined ? 'info' : body.type;
+        if (!message) {
+            return res.status(400).json({ error: 'Send a message' });
+        }
+        if (!MESSAGE_TYPES.includes(type)) {
+            return res.status(400).json({ error: `type must be ${MESSAGE_TYPES.join(', ')}` });
+        }
+
+        roomManager.io.emit('serverMessage', { type: type, message: message });
+
+        console.log(`[ADMIN] ${req.admin} broadcast (${type}): ${message}`);
+        res.status(201).json({ sent: roomManager.io.sockets.sockets.size });
+    });
+
+    return router;
+}
+
+// Constant time, so the token can't be guessed a character at a time
+function tokensMatch(given, expected) {
+    const a = crypto.createHash('sha256').update(given).digest();
+    const b = crypto.createHash('sha256').update(expected).digest();
+    return crypto.timingSafeEqual(a, b);
+}
+
+module.exports = { createAdminRouter };
@@ -0,0 +1,330 @@
+// Anti-cheat validation for client events
+//
+// Every event a socket sends passes through here before the game sees it. The payload
+// is checked against the event's schema and cleaned up, each event type is rate
+// limited per socket, and anything out of line scores violation points against the
+// socket. Points wear off over time; a socket that collects too many is kicked, and
+// an address that keeps getting kicked is banned for a while.
+
+const { isBinary } = require('../../client/js/networking/codec');
+
+const MAX_USERNAME_LENGTH = 15; // Same as the start screen's input
+const MAX_ID_LENGTH = 64;
+const MAX_CHAT_LENGTH = 1000; // Chat cuts messages much shorter, longer ones aren't from the client
+
+// Events per second a socket may send on average (rate) and in one go (burst), and
+// the schema that checks and cleans each payload
+const EVENT_RULES = {
+    joinGame: { rate: 1, burst: 3, validate: validatePlayerData },
+    respawn: { rate: 1, burst: 3, validate: validatePlayerData },
+    spectateGame: { rate: 1, burst: 3, validate: validatePlayerData },
+    spectatorView: { rate: 30, burst: 30, validate: validateSpectatorView },
+    playerInput: { rate: 90, burst: 60, validate: validateInput }, // 60Hz, with room for catch-up after a stall
+    ejectMass: { rate: 10, burst: 10, validate: validateEject },
+    snapshotAck: { rate: 90, burst: 60, validate: validateAck },
+    snapshotResync: { rate: 2, burst: 5, validate: () => undefined },
+    chatMessage: { rate: 2, burst: 10, validate: validateChat }, // Chat has its own, stricter limit with a warning
+    ping: { rate: 5, burst: 10, validate: validateCallback }
+};
+
+// One-shot actions riding along with inputs. The client only boosts every 2 seconds.
+const ACTION_LIMITS = {
+    boost: { rate: 0.5, burst: 2 },
+    split: { rate: 4, burst: 8 }
+};
+
+// Points each kind of violation scores
+const VIOLATION_POINTS = {
+    malformed: 5, // Payload doesn't match the event's schema
+    rateLimit: 1, // Event or action sent faster than its limit, per dropped event
+    implausible: 10 // Values no honest client sends, like an orb spawned across the map
+};
+
+class AntiCheat {
+    constructor(options = {}) {
+        // Settings
+        this.kickScore = options.kickScore || 50; // Violation points that get a socket kicked
+        this.scoreDecay = options.scoreDecay || 1; // Points forgiven per second
+        this.banAfterKicks = options.banAfterKicks || 3; // Kicks of one address within banWindow that get it banned
+        this.banWindow = options.banWindow || 10 * 60; // Seconds
+        this.banDuration = options.banDuration || 30 * 60; // Seconds a ban lasts
+        this.maxLogSize = options.maxLogSize || 500; // Violations kept for inspection
+
+        // State
+        this.clients = new Map(); // Map of socket.id -> { socket, address, score, scoredAt, buckets, kicked }
+        this.kicks = new Map(); // Map of address -> times (ms) it was kicked within the ban window
+        this.bans = new Map(); // Map of address -> time (ms) the ban ends
+        this.log = []; // Latest violations, oldest first
+    }
+
+    // Wrap a socket event handler: it only sees payloads that are within the event's
+    // rate limit and pass its schema, in their cleaned-up form. A handler that throws is
+    // logged, so one bad event can't take the whole server down.
+    guard(socket, event, handler) {
+        const rule = EVENT_RULES[event];
+
+        return (data) => {
+            // Kicked sockets (and stragglers after a disconnect) are ignored
+            const client = this.clients.get(socket.id);
+            if (!client || client.kicked) return;
+
+            const now = Date.now();
+            if (!takeToken(this.getBucket(client, event, rule, now), rule.rate, rule.burst, now)) {
+                this.flag(socket.id, event, 'rateLimit', `more than ${rule.rate}/s`);
+                return;
+            }
+
+            let cleaned;
+            try {
+                cleaned = rule.validate(data);
+            } catch (error) {
+                this.flag(socket.id, event, 'malformed', error.message);
+                return;
+            }
+
+            try {
+                handler(cleaned);
+            } catch (error) {
+                console.error(`[ERROR] Handling ${event} from ${socket.id} failed:`, error);
+            }
+        };
+    }
+
+    // Whether a socket may boost or split at `time` (ms). Extra presses are dropped.
+    // The game passes its simulated time, so the same inputs always get the same answer.
+    allowAction(socketId, action, time) {
+        const client = this.clients.get(socketId);
+        if (!client) return true;
+
+        const limit = ACTION_LIMITS[action];
+        if (takeToken(this.getBucket(client, action, limit, time), limit.rate, limit.burst, time)) {
+            return true;
+        }
+
+        this.flag(socketId, action, 'rateLimit', `more than ${limit.rate}/s`);
+        return false;
+    }
+
+    // Score a violation, log it and kick the socket once it has too many points
+    flag(socketId, event, kind, detail) {
+        const client = this.clients.get(socketId);
+        if (!client || client.kicked) return;
+
+        const now = Date.now();
+        const points = VIOLATION_POINTS[kind];
+        client.score = Math.max(0, client.score - (now - client.scoredAt) / 1000 * this.scoreDecay) + points;
+        client.scoredAt = now;
+
+        this.log.push({
+            time: new Date(now).toISOString(),
+            socketId: socketId,
+            address: client.address,
+            event: event,
+            kind: kind,
+            detail: detail,
+            points: points,
+            score: Math.round(client.score)
+        });
+        if (this.log.length > this.maxLogSize) {
+            this.log.shift();
+        }
+
+        console.log(`[CHEAT] ${socketId} (${client.address}) ${event}: ${detail} - ${kind} +${points}, score ${Math.round(client.score)}`);
+
+        if (client.score >= this.kickScore) {
+            this.kick(client);
+        }
+    }
+
+    kick(client) {
+        client.kicked = true;
+
+        console.log(`[CHEAT] Kicked ${client.socket.id} (${client.address}) with ${Math.round(client.score)} violation points`);
+        client.socket.emit('serverMessage', {
+            type: 'error',
+            message: 'You were disconnected for sending invalid game data.'
+        });
+        client.socket.disconnect(true);
+
+        // Kicked over and over - keep the address out for a while
+        const now = Date.now();
+        const kicks = (this.kicks.get(client.address) || []).filter(time => now - time < this.banWindow * 1000);
+        kicks.push(now);
+        this.kicks.set(client.address, kicks);
+
+        if (kicks.length >= this.banAfterKicks) {
+            this.ban(client.address, this.banDuration);
+            this.kicks.delete(client.address);
+            console.log(`[CHEAT] Banned ${client.address} for ${Math.round(this.banDuration / 60)} minutes after ${kicks.length} kicks`);
+        }
+    }
+
+    // Refuse connections from an address for `seconds`
+    ban(address, seconds) {
+        this.bans.set(address, Date.now() + seconds * 1000);
+    }
+
+    // Whether the address was banned
+    unban(address) {
+        return this.bans.delete(address);
+    }
+
+    // Bans still running: [{ address, until }]
+    listBans() {
+        const bans = [];
+        for (const address of Array.from(this.bans.keys())) {
+            if (this.isBanned(address)) {
+                bans.push({ address: address, until: new Date(this.bans.get(address)).toISOString() });
+            }
+        }
+        return bans;
+    }
+
+    isBanned(address) {
+        const until = this.bans.get(address);
+        if (until === undefined) return false;
+
+        if (Date.now() >= until) {
+            this.bans.delete(address);
+            return false;
+        }
+        return true;
+    }
+
+    addClient(socket) {
+        this.clients.set(socket.id, {
+            socket: socket,
+            address: socket.handshake.address,
+            score: 0,
+            scoredAt: Date.now(),
+            buckets: new Map(), // Map of event or action -> { tokens, updatedAt }
+            kicked: false
+        });
+    }
+
+    removeClient(socketId) {
+        this.clients.delete(socketId);
+    }
+
+    getBucket(client, name, limit, now) {
+        let bucket = client.buckets.get(name);
+        if (!bucket) {
+            bucket = { tokens: limit.burst, updatedAt: now };
+            client.buckets.set(name, bucket);
+        }
+        return bucket;
+    }
+}
+
+// Token bucket: refills at `rate` per second up to `burst`, every event takes one
+function takeToken(bucket, rate, burst, now) {
+    bucket.tokens = Math.min(burst, bucket.tokens + (now - bucket.updatedAt) / 1000 * rate);
+    bucket.updatedAt = now;
+
+    if (bucket.tokens < 1) return false;
+    bucket.tokens -= 1;
+    return true;
+}
+
+// Schemas - each returns the cleaned payload or throws with what's wrong
+
+function validatePlayerData(data) {
+    if (data === undefined || data === null) return {};
+    if (!isPlainObject(data)) throw new Error('not an object');
+
+    const cleaned = {};
+    if (data.username !== undefined) {
+        if (typeof data.username !== 'string') throw new Error('username is not a string');
+        // No control characters, and no longer than the start screen allows
+        cleaned.username = data.username.replace(/[\u0000-\u001f\u007f]/g, '').trim().slice(0, MAX_USERNAME_LENGTH);
+    }
+    if (data.color !== undefined) {
+        const isHexNumber = Number.isInteger(data.color) && data.color >= 0 && data.color <= 0xffffff;
+        const isHexString = typeof data.color === 'string' && /^#?[0-9a-f]{6}$/i.test(data.color);
+        if (!isHexNumber && !isHexString) throw new Error('color is not a hex color');
+        cleaned.color = data.color;
+    }
+    return cleaned;
+}
+
+function validateInput(data) {
+    // Binary inputs are decoded (and checked) by the codec
+    if (isBinary(data)) return data;
+    if (!isPlainObject(data)) throw new Error('not an object');
+
+    if (!Number.isInteger(data.seq) || data.seq < 0) throw new Error('seq is not a sequence number');
+    if (!isVector(data.direction)) throw new Error('direction is not a vector');
+    if (data.boost !== undefined && typeof data.boost !== 'boolean') throw new Error('boost is not a boolean');
+    if (data.split !== undefined && typeof data.split !== 'boolean') throw new Error('split is not a boolean');
+
+    return {
+        seq: data.seq,
+        direction: data.direction,
+        boost: data.boost === true,
+        split: data.split === true
+    };
+}
+
+function validateEject(data) {
+    if (data === undefined || data === null) return {};
+    if (!isPlainObject(data)) throw new Error('not an object');
+
+    const cleaned = {};
+    if (data.direction !== undefined) {
+        if (!isVector(data.direction)) throw new Error('direction is not a vector');
+        cleaned.direction = data.direction;
+    }
+    if (data.position !== undefined) {
+        if (!isVector(data.position)) throw new Error('position is not a vector');
+        cleaned.position = data.position;
+    }
+    if (data.mass !== undefined) {
+        if (!Number.isFinite(data.mass) || data.mass <= 0) throw new Error('mass is not a positive number');
+        cleaned.mass = data.mass;
+    }
+    return cleaned;
+}
+
+function validateSpectatorView(data) {
+    if (!isPlainObject(data)) throw new Error('not an object');
+    if (typeof data.view !== 'string') throw new Error('view is not a string');
+
+    const cleaned = { view: data.view };
+    if (data.targetId !== undefined) {
+        if (typeof data.targetId !== 'string' || data.targetId.length > MAX_ID_LENGTH) throw new Error('targetId is not an id');
+        cleaned.targetId = data.targetId;
+    }
+    if (data.position !== undefined) {
+        if (!isVector(data.position)) throw new Error('position is not a vector');
+        cleaned.position = data.position;
+    }
+    return cleaned;
+}
+
+function validateChat(data) {
+    if (!isPlainObject(data)) throw new Error('not an object');
+    if (typeof data.text !== 'string' || data.text.length > MAX_CHAT_LENGTH) throw new Error('text is not a chat message');
+    if (data.scope !== undefined && data.scope !== 'room' && data.scope !== 'team') throw new Error('scope is not room or team');
+
+    return { text: data.text, scope: data.scope || 'room' };
+}
+
+function validateAck(data) {
+    if (!Number.isInteger(data) || data < 0) throw new Error('not a sequence number');
+    return data;
+}
+
+function validateCallback(data) {
+    if (data !== undefined && typeof data !== 'function') throw new Error('not a callback');
+    return data;
+}
+
+function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value) && !isBinary(value);
+}
+
+function isVector(value) {
+    return Array.isArray(value) && value.length === 3 && value.every(Number.isFinite);
+}
+
+module.exports = { AntiCheat };
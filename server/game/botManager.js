@@ -0,0 +1,107 @@
+// Keeps an arena topped up with bots
+//
+// Bots fill the arena up to a target population and leave again as people connect.
+// Every tick each bot may hand the server an input command, which goes through
+// handlePlayerInput exactly like a client's.
+
+const { ServerBot, DIFFICULTIES } = require('./serverBot');
+
+const BOT_NAMES = [
+    'Blobby', 'Gloop', 'Nom', 'Orbit', 'Pebble', 'Mochi', 'Zest', 'Bubbles',
+    'Sprout', 'Comet', 'Dumpling', 'Fizz', 'Nimbus', 'Pip', 'Quark', 'Wobble'
+];
+
+class BotManager {
+    constructor(server, options = {}) {
+        this.server = server;
+
+        // Settings
+        this.targetPopulation = options.targetPopulation || 0; // People plus bots the arena is filled to, 0 = no bots
+        this.difficulty = DIFFICULTIES[options.difficulty] ? options.difficulty : 'normal';
+        this.joinInterval = 1; // Seconds between one bot joining or leaving and the next
+
+        // State
+        this.bots = new Map(); // Map of bot id -> ServerBot, only while its entity plays
+        this.joinTimer = 0;
+        this.nextBotNumber = 1;
+    }
+
+    update(deltaTime) {
+        this.joinTimer -= deltaTime;
+        if (this.joinTimer <= 0) {
+            this.joinTimer = this.joinInterval;
+            this.balancePopulation();
+        }
+
+        for (const bot of this.bots.values()) {
+            const entity = this.server.entities.get(bot.id);
+            if (!entity) continue;
+
+            const input = bot.update(deltaTime, entity, this.server);
+            if (input) {
+                this.server.handlePlayerInput(bot.id, input);
+            }
+        }
+    }
+
+    // One bot in or out per call, so the population changes gradually
+    balancePopulation() {
+        // People playing, plus the dead waiting to respawn who keep their place. Watchers and
+        // sockets still on the start screen don't take one.
+        const people = this.server.getHumanCount() + this.server.spectators.size - this.server.getSpectatorCount();
+        const wanted = Math.max(0, Math.min(this.targetPopulation, this.server.maxPlayers) - people);
+
+        if (this.bots.size < wanted) {
+            this.addBot();
+        } else if (this.bots.size > wanted) {
+            this.removeBot();
+        }
+    }
+
+    addBot() {
+        // The game mode may keep newcomers out for now (a battle royale round)
+        if (!this.server.mode.canJoin()) return;
+
+        // Prefixed with the arena's room, so bots in different arenas never share an id
+        const number = this.nextBotNumber++;
+        const bot = new ServerBot({
+            id: `${this.server.room}_bot_${number}`,
+            username: BOT_NAMES[(number - 1) % BOT_NAMES.length],
+            color: this.server.getRandomColor(),
+            difficulty: this.difficulty,
+            planar: this.server.isPlanar(),
+            random: this.server.random
+        });
+
+        if (!this.server.spawnBot(bot)) return;
+
+        this.bots.set(bot.id, bot);
+    }
+
+    // The smallest bot makes way first
+    removeBot() {
+        let smallest = null;
+        for (const bot of this.bots.values()) {
+            const entity = this.server.entities.get(bot.id);
+            const mass = entity ? entity.getMass() : 0;
+            if (!smallest || mass < smallest.mass) {
+                smallest = { bot, mass };
+            }
+        }
+        if (!smallest) return;
+
+        this.bots.delete(smallest.bot.id);
+        this.server.removeBot(smallest.bot.id);
+    }
+
+    // A bot lost its last cell. It doesn't respawn, a fresh one joins if still wanted.
+    handleBotDeath(entity) {
+        this.bots.delete(entity.id);
+    }
+
+    getBot(id) {
+        return this.bots.get(id) || null;
+    }
+}
+
+module.exports = { BotManager };
@@ -0,0 +1,338 @@
+// In-game text chat
+//
+// Clients send { text, scope } as 'chatMessage'. Plain text goes to everyone in the
+// sender's arena, or only to their team with scope 'team'. Text starting with / is a
+// command, see COMMANDS. Every message is length capped, rate limited per socket and
+// run through a word filter before it is relayed.
+//
+// One Chat is shared by all arenas, so mutes and announcements reach every arena.
+// Moderation commands are for the account store's admins.
+
+// Masked in every message. Matched as whole words, with common letter swaps and a few
+// endings, so "Sh1t" and "fucking" are caught but "Scunthorpe" is left alone.
+const BLOCKED_WORDS = [
+    'fuck', 'shit', 'cunt', 'bitch', 'bastard', 'asshole', 'dick', 'pussy', 'cock',
+    'slut', 'whore', 'fag', 'faggot', 'nigger', 'nigga', 'retard', 'twat', 'wanker'
+];
+const LETTER_SWAPS = { a: 'a@4', e: 'e3', i: 'i1!|', o: 'o0', s: 's5$', t: 't7', g: 'g9', l: 'l1' };
+
+class Chat {
+    constructor(io, options = {}) {
+        this.io = io;
+
+        // Settings
+        this.maxLength = options.maxLength || 200; // Characters per message, longer ones are cut
+        this.rateLimit = options.rateLimit || 5; // Messages a socket may send per rateWindow
+        this.rateWindow = options.rateWindow || 10; // Seconds
+        this.defaultMuteMinutes = options.defaultMuteMinutes || 10;
+        this.filter = buildFilter(options.blockedWords || BLOCKED_WORDS);
+
+        // State
+        this.recent = new Map(); // Map of socket.id -> times (ms) of its messages within the rate window
+        this.mutes = new Map(); // Map of address -> time (ms) the mute ends
+        this.nextMessageId = 1;
+    }
+
+    handleMessage(server, socket, data) {
+        const sender = this.getSender(server, socket.id);
+        if (!sender) {
+            this.reply(socket, 'Join the game to chat.');
+            return;
+        }
+
+        // Control characters out, runs of whitespace down to one space
+        const text = data.text.replace(/[\u0000-\u001f\u007f]/g, '').replace(/\s+/g, ' ').trim().slice(0, this.maxLength);
+        if (!text) return;
+
+        if (!this.takeRateLimit(socket.id)) {
+            this.reply(socket, 'You are sending messages too fast.');
+            return;
+        }
+
+        if (text.startsWith('/')) {
+            this.runCommand(server, socket, sender, text);
+            return;
+        }
+
+        this.say(server, socket, sender, text, data.scope === 'team' ? 'team' : 'room');
+    }
+
+    // Relay a message to the sender's arena or team
+    say(server, socket, sender, text, scope) {
+        if (this.isMuted(socket)) return;
+
+        if (scope === 'team' && !sender.team) {
+            this.reply(socket, 'There are no teams to talk to here.');
+            return;
+        }
+
+        const message = this.createMessage(scope, sender, text);
+
+        if (scope === 'team') {
+            // Team talk stays out of the replay
+            for (const entity of server.entities.values()) {
+                if (entity.team === sender.team && !entity.isBot) {
+                    this.io.to(entity.id).emit('chatMessage', message);
+                }
+            }
+        } else {
+            server.broadcast('chatMessage', message);
+        }
+
+        console.log(`[CHAT] ${server.room} ${scope === 'team' ? `(team ${sender.team}) ` : ''}${sender.name}: ${message.text}`);
+    }
+
+    runCommand(server, socket, sender, text) {
+        const [, name, rest] = text.match(/^\/(\S*)\s*(.*)$/);
+        // Own keys only, "/constructor" is no command
+        const key = name.toLowerCase();
+        const command = Object.hasOwn(COMMANDS, key) ? COMMANDS[key] : null;
+        if (!command) {
+            this.reply(socket, `Unknown command /${name}. Type /help for the list.`);
+            return;
+        }
+
+        if (command.admin && !this.isAdmin(server, socket)) {
+            this.reply(socket, `Only admins can use /${name}.`);
+            return;
+        }
+
+        command.run(this, server, socket, sender, rest);
+    }
+
+    // Send a message to one player in the same arena, and a copy back to the sender
+    whisper(server, socket, sender, args) {
+        const [targetName, text] = splitName(args);
+        if (!targetName || !text) {
+            this.reply(socket, 'Usage: /w <name> <message> - quote names with spaces, /w "Player 1" hi');
+            return;
+        }
+
+        if (this.isMuted(socket)) return;
+
+        const target = this.findByName(server, targetName);
+        if (!target) {
+            this.reply(socket, `Nobody called ${targetName} is in this arena.`);
+            return;
+        }
+
+        const message = { ...this.createMessage('whisper', sender, text), to: target.name };
+        this.io.to(target.id).emit('chatMessage', message);
+        if (target.id !== socket.id) {
+            socket.emit('chatMessage', message);
+        }
+
+        console.log(`[CHAT] ${server.room} (whisper to ${target.name}) ${sender.name}: ${message.text}`);
+    }
+
+    mute(server, socket, sender, args) {
+        // Anything after the name is the duration
+        const [targetName, rest] = splitName(args);
+        const minutes = rest ? parseFloat(rest) : this.defaultMuteMinutes;
+        if (!targetName || !(minutes > 0)) {
+            this.reply(socket, `Usage: /mute <name> [minutes] - ${this.defaultMuteMinutes} minutes by default`);
+            return;
+        }
+
+        const target = this.findByName(server, targetName);
+        const targetSocket = target && this.io.sockets.sockets.get(target.id);
+        if (!targetSocket) {
+            this.reply(socket, `Nobody called ${targetName} is in this arena.`);
+            return;
+        }
+
+        const address = targetSocket.handshake.address;
+        this.mutes.set(address, Date.now() + minutes * 60 * 1000);
+
+        this.reply(targetSocket, `You were muted for ${minutes} minute${minutes === 1 ? '' : 's'}.`);
+        this.reply(socket, `Muted ${target.name} for ${minutes} minute${minutes === 1 ? '' : 's'}.`);
+        console.log(`[CHAT] ${sender.name} muted ${target.name} (${address}) for ${minutes} minutes`);
+    }
+
+    unmute(server, socket, sender, args) {
+        const [targetName] = splitName(args);
+        const target = targetName && this.findByName(server, targetName);
+        const targetSocket = target && this.io.sockets.sockets.get(target.id);
+        if (!targetSocket) {
+            this.reply(socket, targetName ? `Nobody called ${targetName} is in this arena.` : 'Usage: /unmute <name>');
+            return;
+        }
+
+        this.mutes.delete(targetSocket.handshake.address);
+
+        this.reply(targetSocket, 'You can chat again.');
+        this.reply(socket, `Unmuted ${target.name}.`);
+        console.log(`[CHAT] ${sender.name} unmuted ${target.name}`);
+    }
+
+    // A message to every socket on the server, in every arena
+    announce(text, from = 'Server') {
+        if (!text) return false;
+
+        const message = this.createMessage('announcement', { id: null, name: from, color: null }, text.slice(0, this.maxLength));
+        this.io.emit('chatMessage', message);
+
+        console.log(`[CHAT] Announcement from ${from}: ${message.text}`);
+        return true;
+    }
+
+    help(socket, admin) {
+        const lines = Object.entries(COMMANDS)
+            .filter(([, command]) => command.usage && (admin || !command.admin))
+            .map(([, command]) => command.usage);
+        this.reply(socket, `Commands: ${lines.join(' | ')}`);
+    }
+
+    createMessage(scope, sender, text) {
+        return {
+            id: this.nextMessageId++,
+            scope: scope, // 'room', 'team', 'whisper', 'announcement' or 'system'
+            from: { id: sender.id, name: sender.name, color: sender.color },
+            text: this.clean(text),
+            time: Date.now()
+        };
+    }
+
+    // Only the socket sees it - command results, errors and notices
+    reply(socket, text) {
+        socket.emit('chatMessage', {
+            id: this.nextMessageId++,
+            scope: 'system',
+            text: text,
+            time: Date.now()
+        });
+    }
+
+    // Blocked words become asterisks of the same length
+    clean(text) {
+        return text.replace(this.filter, word => '*'.repeat(word.length));
+    }
+
+    // Who is talking: a player, or someone watching (spectators and the dead)
+    getSender(server, socketId) {
+        const entity = server.entities.get(socketId);
+        if (entity) {
+            return { id: socketId, name: entity.username, color: entity.color, team: entity.team };
+        }
+
+        const spectator = server.spectators.get(socketId);
+        if (spectator) {
+            return { id: socketId, name: spectator.username, color: spectator.color, team: null };
+        }
+        return null;
+    }
+
+    // A person in the arena by name, players before spectators
+    findByName(server, name) {
+        const wanted = name.toLowerCase();
+        for (const entity of server.entities.values()) {
+            if (!entity.isBot && entity.username.toLowerCase() === wanted) {
+                return { id: entity.id, name: entity.username };
+            }
+        }
+        for (const [socketId, spectator] of server.spectators) {
+            if (spectator.username.toLowerCase() === wanted) {
+                return { id: socketId, name: spectator.username };
+            }
+        }
+        return null;
+    }
+
+    isAdmin(server, socket) {
+        return Boolean(server.accounts) && server.accounts.isAdmin(server.getAccount(socket));
+    }
+
+    // Muted sockets are told so, and for how much longer
+    isMuted(socket) {
+        const minutes = this.getMutedMinutes(socket.handshake.address);
+        if (minutes === 0) return false;
+
+        this.reply(socket, `You are muted for ${minutes} more minute${minutes === 1 ? '' : 's'}.`);
+        return true;
+    }
+
+    // Minutes left on an address's mute, 0 if it isn't muted
+    getMutedMinutes(address) {
+        const until = this.mutes.get(address);
+        if (until === undefined) return 0;
+
+        if (Date.now() >= until) {
+            this.mutes.delete(address);
+            return 0;
+        }
+        return Math.ceil((until - Date.now()) / 60000);
+    }
+
+    // Sliding window: at most rateLimit messages in the last rateWindow seconds
+    takeRateLimit(socketId) {
+        const now = Date.now();
+        const times = (this.recent.get(socketId) || []).filter(time => now - time < this.rateWindow * 1000);
+        this.recent.set(socketId, times);
+
+        if (times.length >= this.rateLimit) return false;
+        times.push(now);
+        return true;
+    }
+
+    removeClient(socketId) {
+        this.recent.delete(socketId);
+    }
+}
+
+// Chat commands by name. Admin commands are refused to everyone else and left out of
+// their /help.
+const COMMANDS = {
+    help: {
+        usage: '/help',
+        run: (chat, server, socket) => chat.help(socket, chat.isAdmin(server, socket))
+    },
+    w: {
+        usage: '/w <name> <message> - whisper',
+        run: (chat, server, socket, sender, args) => chat.whisper(server, socket, sender, args)
+    },
+    t: {
+        usage: '/t <message> - team only',
+        run: (chat, server, socket, sender, args) => {
+            if (args) chat.say(server, socket, sender, args, 'team');
+        }
+    },
+    mute: {
+        usage: '/mute <name> [minutes]',
+        admin: true,
+        run: (chat, server, socket, sender, args) => chat.mute(server, socket, sender, args)
+    },
+    unmute: {
+        usage: '/unmute <name>',
+        admin: true,
+        run: (chat, server, socket, sender, args) => chat.unmute(server, socket, sender, args)
+    },
+    announce: {
+        usage: '/announce <message> - to every arena',
+        admin: true,
+        run: (chat, server, socket, sender, args) => {
+            if (!chat.announce(args, sender.name)) chat.reply(socket, 'Usage: /announce <message>');
+        }
+    }
+};
+COMMANDS.whisper = { ...COMMANDS.w, usage: null };
+COMMANDS.msg = { ...COMMANDS.w, usage: null };
+
+// "name rest" or "\"name with spaces\" rest" -> [name, rest]
+function splitName(args) {
+    const match = args.match(/^"([^"]+)"\s*(.*)$/) || args.match(/^(\S+)\s*(.*)$/);
+    return match ? [match[1], match[2]] : [null, ''];
+}
+
+function buildFilter(words) {
+    const patterns = words.map(word => word
+        .split('')
+        .map(letter => `[${escapeForClass(LETTER_SWAPS[letter] || letter)}]+`)
+        .join(''));
+    return new RegExp(`(?<!\\w)(?:${patterns.join('|')})(?:s|es|ed|er|ers|ing|in|ty)?(?!\\w)`, 'gi');
+}
+
+function escapeForClass(characters) {
+    return characters.replace(/[\\\]^-]/g, '\\$&');
+}
+
+module.exports = { Chat };
@@ -2,119 +2,334 @@
 
 const { Vector3 } = require('three');
 const { ServerPlayer } = require('./serverPlayer');
+const { PlayerEntity } = require('./playerEntity');
 const { ServerFood } = require('./serverFood');
+const { ServerVirus } = require('./serverVirus');
 const { PhysicsSystem } = require('./physics');
-const { v4: uuidv4 } = require('uuid');
+const { InterestManager } = require('./interestManager');
+const { SnapshotManager } = require('./snapshotManager');
+const { createGameMode } = require('./modes');
+const { BotManager } = require('./botManager');
+const { SeededRandom } = require('./random');
+const { ReplayRecorder } = require('./replayRecorder');
+const { AntiCheat } = require('./antiCheat');
+const { Chat } = require('./chat');
+const Movement = require('../../client/js/game/movement'); // Shared with client-side prediction
+const { WireCodec, WIRE_FORMATS, CODEC_VERSION, isBinary } = require('../../client/js/networking/codec');
+
+// How spectators can watch: following a player, a free camera, or the whole arena
+const SPECTATOR_VIEWS = ['follow', 'free', 'overview'];
 
 class GameServer {
-    constructor(io) {
+    constructor(io, options = {}) {
         this.io = io;
+        this.room = options.room || 'arena'; // Socket.IO room every socket of this arena joins
+        this.sockets = new Set(); // Ids of the sockets in this arena, playing or not
         
         // Game settings
         this.worldSize = { x: 500, y: 500, z: 500 }; // Match client world size
-        this.maxPlayers = 50;
+        this.movementMode = options.movementMode === 'planar' ? 'planar' : 'volumetric'; // 'volumetric' uses the whole volume, 'planar' keeps everything on y=0
+        this.maxPlayers = options.maxPlayers || 50;
         this.maxFood = 1000;  // Increase max food
         this.minFood = 800;   // Increase min food
         this.foodSpawnRate = 20; // Increase food spawn rate
+        this.maxViruses = 15;
+        this.virusRespawnDelay = 5; // Seconds before a popped virus is replaced
+        this.maxPopPieces = 15; // Most cells a player can pop into
+        this.virusFeedLimit = 7; // Mass orbs a virus absorbs before it shoots a new virus
+        this.virusShootSpeed = 60; // Launch speed of a shot virus
+        this.maxCells = 16; // Most cells one player can control
+        this.minSplitMass = 2; // Cells lighter than this don't split
+        this.mergeBaseTime = 10; // Seconds before split cells can merge back...
+        this.mergeTimePerMass = 0.1; // ...plus this many seconds per unit of cell mass
+        this.minEjectMass = 2; // Cells lighter than this can't eject mass
+        this.ejectMassAmount = 1; // Mass per ejected orb, unless the client asks for another amount
+        this.maxEjectMassAmount = 5; // Most mass a client may ask to eject as one orb
+        this.ejectPositionTolerance = 5; // How far past its cell's surface a client may place an ejected orb
+        this.ejectSpeed = 20; // Launch speed of ejected mass orbs
         this.tickRate = 60; // Updates per second
+        this.maxCatchUpTicks = 5; // Most ticks run back to back after a stall, older lag is dropped
+        this.baseViewRadius = 60; // How far a mass 1 player can see
+        this.viewRadiusScale = 10; // Extra view distance per unit of player radius
+        this.maxSpectators = options.maxSpectators || 100; // Watch-only sockets, on top of maxPlayers
+        this.spectatorViewRadius = 150; // How far a spectator's free camera sees
+        this.logEvents = options.logEvents || false; // Log every split, eject, meal, pop and death - noisy, for debugging
         
         // Game state
-        this.players = new Map(); // Map of socket.id -> ServerPlayer
+        this.entities = new Map(); // Map of socket.id -> PlayerEntity
+        this.spectators = new Map(); // Map of socket.id -> { targetId, username, color, view, camera, watchOnly } for dead players and watchers
+        this.players = new Map(); // Map of cell id -> ServerPlayer, every cell of every entity
         this.foods = new Map();   // Map of foodId -> ServerFood
+        this.viruses = new Map(); // Map of virusId -> ServerVirus
+        this.virusRespawnTimers = []; // Seconds left until each popped virus is replaced
         this.isRunning = false;
+        this.tick = 0; // Tick counter, doubles as the snapshot sequence number
+        this.time = 0; // Simulated seconds, advances by exactly one timestep per tick
+        this.nextEntityNumber = 1; // Ids of spawned food, viruses and mass orbs count up from here
+        
+        // Every random choice in the simulation draws from this, so a seed and an input
+        // log reproduce a game exactly
+        this.random = new SeededRandom(options.seed);
         
         // Physics system
-        this.physics = new PhysicsSystem(this.worldSize);
+        this.physics = new PhysicsSystem(this.worldSize, { planar: this.isPlanar() });
+        
+        // Rules that differ between game modes (teams, rounds, shrinking bounds)
+        this.mode = createGameMode(options.mode, this, options.modeOptions);
+        this.modeStateTimer = 0; // Seconds since the mode state was last broadcast
+        
+        // Bots that fill the arena up while few people play
+        this.bots = new BotManager(this, options.bots);
+        
+        // Validates what clients send - shared by all arenas so kicks and bans apply everywhere
+        this.antiCheat = options.antiCheat || new AntiCheat();
+        
+        // Career stats of signed-in players, no accounts without a store
+        this.accounts = options.accounts || null;
+        
+        // Daily, weekly and all-time high scores, shared by all arenas
+        this.highScores = options.highScores || null;
+        
+        // Text chat - shared by all arenas too, so mutes and announcements reach everyone
+        this.chat = options.chat || new Chat(io);
+        
+        // Replay files of the games played here, only when a replay directory is set
+        this.recorder = options.replays && options.replays.directory ? new ReplayRecorder(this, options.replays) : null;
+        
+        // Interest management - each socket only receives nearby entities
+        this.interest = new InterestManager(this.physics, {
+            baseViewRadius: this.baseViewRadius,
+            viewRadiusScale: this.viewRadiusScale
+        });
+        
+        // Delta snapshots - each socket gets changes since its last acknowledged snapshot
+        this.snapshots = new SnapshotManager();
+        
+        // Wire format per socket ('binary' or 'json'), negotiated in the handshake
+        this.wireFormats = new Map();
+        this.codec = new WireCodec({
+            // Leave headroom past the world edge so boundary positions don't clip
+            positionRange: Math.max(this.worldSize.x, this.worldSize.y, this.worldSize.z) / 2 * 1.25
+        });
         
-        // Initialize server
-        this.init();
+        // Initialize server - autoStart false leaves ticking to the caller (replays, tests)
+        this.init(options.autoStart !== false);
     }
     
-    init() {
-        // Set up socket handlers
-        this.setupSocketHandlers();
+    init(autoStart) {
+        console.log(`[SIM] World seed ${this.random.seed}`);
         
-        // Initialize food
+        // Initialize food and viruses
         this.spawnInitialFood();
+        this.spawnInitialViruses();
         
         // Start game loop
-        this.startGameLoop();
+        if (autoStart) {
+            this.startGameLoop();
+        }
         
         this.isRunning = true;
     }
     
-    setupSocketHandlers() {
-        this.io.on('connection', (socket) => {
-            console.log(`Player connected: ${socket.id} from ${socket.handshake.address}`);
-            
-            // Log socket connection details for debugging
-            console.log(`Socket details: transport=${socket.conn.transport.name}, query params:`, socket.handshake.query);
-            
-            // Send immediate feedback to client that connection is established
-            socket.emit('serverMessage', {
-                type: 'info',
-                message: 'Connected to server successfully!'
-            });
-            
-            // Send current player count to the newly connected client
-            socket.emit('playerCount', {
-                count: this.players.size,
-                max: this.maxPlayers
-            });
-            
-            // Player joined the game
-            socket.on('joinGame', (data) => {
-                this.handlePlayerJoin(socket, data);
-            });
-            
-            // Player position update
-            socket.on('updatePosition', (data) => {
-                this.handlePositionUpdate(socket.id, data);
-            });
-            
-            // Player split action
-            socket.on('splitPlayer', () => {
-                this.handlePlayerSplit(socket.id);
-            });
-            
-            // Player boost action
-            socket.on('boostPlayer', () => {
-                this.handlePlayerBoost(socket.id);
-            });
-            
-            // Player eject mass action
-            socket.on('ejectMass', (data) => {
-                this.handlePlayerEjectMass(socket.id, data);
-            });
-            
-            // Monitor for disconnect
-            socket.on('disconnect', (reason) => {
-                console.log(`Player ${socket.id} disconnected. Reason: ${reason}`);
-                this.handlePlayerDisconnect(socket.id);
-            });
+    // Take over a socket the room manager assigned to this arena
+    handleConnection(socket) {
+        socket.join(this.room);
+        this.sockets.add(socket.id);
+        
+        console.log(`Player connected: ${socket.id} from ${socket.handshake.address}`);
+        
+        // Log socket connection details for debugging
+        console.log(`Socket details: transport=${socket.conn.transport.name}, query params:`, socket.handshake.query);
+        
+        // Agree on a wire format before any game traffic is sent
+        this.negotiateWireFormat(socket);
+        
+        // Send immediate feedback to client that connection is established
+        socket.emit('serverMessage', {
+            type: 'info',
+            message: 'Connected to server successfully!'
+        });
+        
+        // Send current player count to the newly connected client
+        socket.emit('playerCount', {
+            count: this.entities.size,
+            max: this.maxPlayers,
+            spectators: this.getSpectatorCount()
+        });
+        
+        // Clients size, steer and predict from the server's rules, never their own
+        socket.emit('worldConfig', this.getWorldConfig());
+        
+        // Everything the client sends is schema checked and rate limited first
+        this.antiCheat.addClient(socket);
+        const on = (event, handler) => socket.on(event, this.antiCheat.guard(socket, event, handler));
+        
+        // Player joined the game
+        on('joinGame', (data) => {
+            this.handlePlayerJoin(socket, data);
+        });
+        
+        // Dead player wants back in, on the same socket
+        on('respawn', (data) => {
+            this.handlePlayerRespawn(socket, data);
+        });
+        
+        // Watch the game without a cell
+        on('spectateGame', (data) => {
+            this.handleSpectate(socket, data);
+        });
+        
+        // Spectator switched view, picked a player to follow or moved the free camera
+        on('spectatorView', (data) => {
+            this.handleSpectatorView(socket, data);
+        });
+        
+        // Player input (move direction plus boost/split flags), simulated on the next tick
+        on('playerInput', (data) => {
+            this.handlePlayerInput(socket.id, data);
+        });
+        
+        // Player eject mass action
+        on('ejectMass', (data) => {
+            this.handlePlayerEjectMass(socket.id, data);
+        });
+        
+        // Chat message or /command from a player or spectator
+        on('chatMessage', (data) => {
+            this.chat.handleMessage(this, socket, data);
+        });
+        
+        // Client confirmed it rebuilt a snapshot, use it as the next delta baseline
+        on('snapshotAck', (sequence) => {
+            this.snapshots.acknowledge(socket.id, sequence);
+        });
+        
+        // Client lost its baseline and needs a full snapshot
+        on('snapshotResync', () => {
+            console.log(`[SNAPSHOT] Full resync requested by ${socket.id}`);
+            this.snapshots.requestResync(socket.id);
+        });
+        
+        // Monitor for disconnect
+        socket.on('disconnect', (reason) => {
+            console.log(`Player ${socket.id} disconnected. Reason: ${reason}`);
+            this.handlePlayerDisconnect(socket.id);
+            this.wireFormats.delete(socket.id);
+            this.antiCheat.removeClient(socket.id);
+            this.chat.removeClient(socket.id);
+            this.sockets.delete(socket.id);
+        });
 
-            // Handle ping requests (for latency testing)
-            socket.on('ping', (callback) => {
-                if (typeof callback === 'function') {
-                    callback();
-                }
-            });
+        // Handle ping requests (for latency testing)
+        on('ping', (callback) => {
+            if (typeof callback === 'function') {
+                callback();
+            }
+        });
 
-            // Handle reconnection attempts
-            socket.on('reconnect_attempt', (attemptNumber) => {
-                console.log(`Player ${socket.id} attempting to reconnect (attempt ${attemptNumber})`);
-            });
+        // Handle reconnection attempts
+        socket.on('reconnect_attempt', (attemptNumber) => {
+            console.log(`Player ${socket.id} attempting to reconnect (attempt ${attemptNumber})`);
+        });
 
-            // Monitor for error events
-            socket.on('error', (error) => {
-                console.error(`Socket ${socket.id} error:`, error);
-            });
+        // Monitor for error events
+        socket.on('error', (error) => {
+            console.error(`Socket ${socket.id} error:`, error);
+        });
+    }
+    
+    // Send to every socket in this arena
+    broadcast(event, data) {
+        this.io.to(this.room).emit(event, data);
+        this.recordEvent(event, data);
+    }
+    
+    // Send an event about one entity to the sockets that can see it: those it was visible
+    // to at their last view update (`key` names its view channel), and those whose view
+    // radius covers it now - new cells, orbs and viruses aren't in any view yet.
+    // Recorded once for replays, like broadcast().
+    sendToViewers(event, data, entity, key = null) {
+        const viewers = new Set(this.interest.getViewersAt(entity));
+        if (key) {
+            for (const viewerId of this.interest.getViewersOf(key, entity.id)) {
+                viewers.add(viewerId);
+            }
+        }
+        
+        for (const viewerId of viewers) {
+            this.io.to(viewerId).emit(event, data);
+        }
+        this.recordEvent(event, data);
+    }
+    
+    // Gameplay events happen many times a second, so they are only logged when asked for
+    logEvent(message) {
+        if (this.logEvents) {
+            console.log(message);
+        }
+    }
+    
+    // Events that don't go to the whole room are recorded once here instead
+    recordEvent(event, data) {
+        if (this.recorder) {
+            this.recorder.recordEvent(event, data);
+        }
+    }
+    
+    // Everything a client needs to mirror this server's world and rules
+    getWorldConfig() {
+        return {
+            worldSize: { ...this.worldSize },
+            movementMode: this.movementMode,
+            tickRate: this.tickRate,
+            food: {
+                max: this.maxFood,
+                min: this.minFood
+            },
+            split: {
+                minMass: this.minSplitMass,
+                maxCells: this.maxCells,
+                mergeBaseTime: this.mergeBaseTime,
+                mergeTimePerMass: this.mergeTimePerMass
+            },
+            eject: {
+                minMass: this.minEjectMass,
+                mass: this.ejectMassAmount,
+                speed: this.ejectSpeed
+            },
+            movement: { ...Movement.MOVEMENT }, // Mass-speed curve, drag and boost rules
+            mode: this.mode.getState()
+        };
+    }
+    
+    negotiateWireFormat(socket) {
+        const query = socket.handshake.query || {};
+        const requested = query.wireFormat;
+        
+        // Binary only if the client asked for it and speaks the same codec version.
+        // Everything else (old clients, debugging tools) gets plain JSON.
+        let format = 'json';
+        if (requested === 'binary' && Number(query.wireVersion) === CODEC_VERSION) {
+            format = 'binary';
+        } else if (requested && !WIRE_FORMATS.includes(requested)) {
+            console.log(`[WIRE] Socket ${socket.id} requested unknown format "${requested}", using json`);
+        }
+        
+        this.wireFormats.set(socket.id, format);
+        
+        socket.emit('wireFormat', {
+            format: format,
+            version: CODEC_VERSION,
+            positionRange: this.codec.positionRange
         });
     }
     
     handlePlayerJoin(socket, data) {
-        // Check if server is full
-        if (this.players.size >= this.maxPlayers) {
+        // Already playing - a repeated join must not replace the live player
+        if (this.entities.has(socket.id)) return;
+        
+        // Check if server is full - bots make room as people join, so they don't count
+        if (this.getHumanCount() >= this.maxPlayers) {
             socket.emit('serverMessage', {
                 type: 'error',
                 message: 'Server is full. Please try again later.'
@@ -122,18 +337,30 @@ class GameServer {
             return;
         }
         
-        console.log(`Player joining: ${data.username || 'Unknown'} (${socket.id})`);
+        // The mode may not let anyone in right now (a battle royale round in progress).
+        // Watch the leader meanwhile, the next round brings everyone waiting in.
+        if (!this.mode.canJoin(socket.id)) {
+            this.spectators.set(socket.id, this.createSpectator(null, {
+                username: data.username || 'Player ' + socket.id.substr(0, 5),
+                color: data.color || this.getRandomColor()
+            }));
+            socket.emit('serverMessage', {
+                type: 'info',
+                message: 'A round is in progress. You will join the next one.'
+            });
+            return;
+        }
         
-        // Create new player
-        const player = new ServerPlayer({
-            id: socket.id,
-            username: data.username || 'Player ' + socket.id.substr(0, 5),
-            position: this.getRandomSpawnPosition(),
-            color: data.color || this.getRandomColor()
-        });
+        // Signed-in players play under their account name unless they picked another
+        const account = this.getAccount(socket);
         
-        // Add player to game
-        this.players.set(socket.id, player);
+        console.log(`Player joining: ${data.username || 'Unknown'} (${socket.id})${account ? ` signed in as ${account.name}` : ''}`);
+        
+        const player = this.spawnEntity(socket.id, {
+            username: data.username || (account && account.name),
+            color: data.color,
+            accountId: account ? account.id : null
+        });
         
         // Notify player of successful join
         socket.emit('serverMessage', {
@@ -141,76 +368,327 @@ class GameServer {
             message: 'You have joined the game.'
         });
         
-        // Send individual data about all existing players to the new player
-        this.players.forEach((existingPlayer, playerId) => {
-            if (playerId !== socket.id) {
-                socket.emit('playerJoined', existingPlayer.toClientData());
-            }
+        // The first game state brings in everything within the new player's view radius,
+        // and the new cell reaches others as it enters their views
+        this.sendGameState(socket.id);
+        this.recordEvent('playerJoined', player.toClientData());
+        
+        console.log(`Player ${player.username} (${socket.id}) joined the game. Total players: ${this.entities.size}`);
+        
+        // Broadcast updated player count to all clients
+        this.broadcastPlayerCount();
+    }
+    
+    // Create a player and its first cell, which shares the player's (socket or bot) id
+    spawnEntity(id, data) {
+        const entity = new PlayerEntity({
+            id: id,
+            username: data.username || 'Player ' + id.substr(0, 5),
+            color: data.color || this.getRandomColor(),
+            isBot: data.isBot,
+            accountId: data.accountId,
+            maxCells: this.maxCells,
+            mergeBaseTime: this.mergeBaseTime,
+            mergeTimePerMass: this.mergeTimePerMass
         });
+        this.entities.set(id, entity);
+        this.spectators.delete(id);
+        this.mode.onJoin(entity);
         
-        // Send current game state to new player
-        this.sendGameState(socket.id);
+        return this.addCell(entity, {
+            id: id,
+            username: entity.username,
+            position: this.getRandomSpawnPosition(),
+            color: entity.color
+        });
+    }
+    
+    // Put a bot in the game. Returns false if the game mode isn't letting anyone in.
+    spawnBot(bot) {
+        if (!this.mode.canJoin(bot.id)) return false;
+        
+        const player = this.spawnEntity(bot.id, {
+            username: bot.username,
+            color: bot.color,
+            isBot: true
+        });
         
-        // Notify all other players of new player
-        socket.broadcast.emit('playerJoined', player.toClientData());
+        this.recordEvent('playerJoined', player.toClientData());
+        this.broadcastPlayerCount();
         
-        console.log(`Player ${player.username} (${socket.id}) joined the game. Total players: ${this.players.size}`);
+        console.log(`[BOT] ${bot.username} (${bot.id}, ${bot.difficulty}) joined the game. Total players: ${this.entities.size}`);
+        return true;
+    }
+    
+    removeBot(botId) {
+        const entity = this.entities.get(botId);
+        if (!entity) return;
         
-        // Broadcast updated player count to all clients
+        this.removeEntity(entity);
+        this.broadcast('playerLeft', botId);
         this.broadcastPlayerCount();
+        
+        console.log(`[BOT] ${entity.username} (${botId}) left the game. Total players: ${this.entities.size}`);
+        
+        this.mode.onLeave(entity);
     }
     
-    handlePositionUpdate(playerId, data) {
-        const player = this.players.get(playerId);
-        if (!player) return;
+    // The account a socket signed in with (its handshake auth token), if any
+    getAccount(socket) {
+        if (!this.accounts) return null;
         
-        // Update player position from client
-        if (data.position) {
-            player.setPositionFromClient(data.position);
-        }
+        const auth = socket.handshake.auth || {};
+        return this.accounts.authenticate(auth.token);
+    }
+    
+    // A life just ended - eaten, left or cut off by a new round. People's lives go on
+    // the high-score boards and count towards the career of the account that played them.
+    recordLife(entity, died) {
+        if (entity.isBot) return;
+        
+        const life = {
+            score: entity.getScore(),
+            mass: entity.highestMass,
+            timeAlive: entity.timeAlive,
+            foodEaten: entity.getFoodEaten(),
+            playersEaten: entity.getPlayersEaten(),
+            died: died
+        };
         
-        // Update player rotation from client
-        if (data.rotation) {
-            player.setRotationFromClient(data.rotation);
+        if (this.accounts && entity.accountId) {
+            this.accounts.recordLife(entity.accountId, life);
+        }
+        if (this.highScores) {
+            this.highScores.record({
+                ...life,
+                name: entity.username,
+                signedIn: entity.accountId !== null,
+                mode: this.mode.id
+            });
         }
     }
     
-    handlePlayerSplit(playerId) {
-        const player = this.players.get(playerId);
-        if (!player) {
-            console.log(`[ERROR] Player ${playerId} not found for split action`);
+    // Players with a person behind them
+    getHumanCount() {
+        let count = 0;
+        for (const entity of this.entities.values()) {
+            if (!entity.isBot) count++;
+        }
+        return count;
+    }
+    
+    handlePlayerRespawn(socket, data) {
+        // Only players who died can respawn, live ones are already in the game
+        const spectator = this.spectators.get(socket.id);
+        if (!spectator) return;
+        
+        this.logEvent(`[RESPAWN] Player ${spectator.username} (${socket.id}) is respawning`);
+        
+        // Fall back to the name and color they played with last time
+        this.handlePlayerJoin(socket, {
+            username: (data && data.username) || spectator.username,
+            color: (data && data.color) || spectator.color
+        });
+    }
+    
+    // Watch without playing. Watchers get the game state like dead players do, but have
+    // no cell and don't take one of the arena's player places.
+    handleSpectate(socket, data) {
+        // Players and the dead are already watching
+        if (this.entities.has(socket.id) || this.spectators.has(socket.id)) return;
+        
+        if (this.getSpectatorCount() >= this.maxSpectators) {
+            socket.emit('serverMessage', {
+                type: 'error',
+                message: 'Too many spectators in this arena. Please try again later.'
+            });
             return;
         }
         
-        if (player.mass < 2) {
-            console.log(`[INFO] Player ${player.username} (${playerId}) doesn't have enough mass to split (mass: ${player.mass.toFixed(2)})`);
+        const spectator = this.createSpectator(null, {
+            username: (data && data.username) || 'Spectator ' + socket.id.substr(0, 5),
+            color: null
+        }, true);
+        this.spectators.set(socket.id, spectator);
+        
+        socket.emit('spectating', { view: spectator.view });
+        
+        this.logEvent(`[SPECTATE] ${spectator.username} (${socket.id}) is watching. Spectators: ${this.getSpectatorCount()}`);
+        
+        this.broadcastPlayerCount();
+    }
+    
+    // Views: 'follow' a player (targetId picks one), 'free' camera at a position,
+    // or an 'overview' of the whole arena
+    handleSpectatorView(socket, data) {
+        const spectator = this.spectators.get(socket.id);
+        if (!spectator || !data || !SPECTATOR_VIEWS.includes(data.view)) return;
+        
+        if (data.view === 'free' && data.position !== undefined) {
+            const position = data.position;
+            if (!Array.isArray(position) || position.length !== 3 || !position.every(Number.isFinite)) return;
+            
+            // Past the world edge there is nothing to see
+            spectator.camera.set(
+                Math.max(-this.worldSize.x / 2, Math.min(this.worldSize.x / 2, position[0])),
+                Math.max(-this.worldSize.y / 2, Math.min(this.worldSize.y / 2, position[1])),
+                Math.max(-this.worldSize.z / 2, Math.min(this.worldSize.z / 2, position[2]))
+            );
+        }
+        
+        if (data.view === 'follow' && data.targetId !== undefined) {
+            const entity = this.entities.get(data.targetId);
+            if (entity && entity.id !== spectator.targetId) {
+                spectator.targetId = entity.id;
+                socket.emit('spectateTarget', {
+                    id: entity.id,
+                    username: entity.username
+                });
+            }
+        }
+        
+        spectator.view = data.view;
+    }
+    
+    // Dead players start out watching whoever ate them (targetId), watchers the leader
+    createSpectator(targetId, { username, color }, watchOnly = false) {
+        return {
+            targetId: targetId,
+            username: username,
+            color: color,
+            view: 'follow',
+            camera: new Vector3(), // Free camera position
+            watchOnly: watchOnly // Never played, so rounds don't bring them in
+        };
+    }
+    
+    // Sockets that only watch - the dead waiting to respawn don't count
+    getSpectatorCount() {
+        let count = 0;
+        for (const spectator of this.spectators.values()) {
+            if (spectator.watchOnly) count++;
+        }
+        return count;
+    }
+    
+    handlePlayerInput(playerId, data) {
+        const entity = this.entities.get(playerId);
+        if (!entity || !data) return;
+        
+        // Binary clients send a packed input
+        if (isBinary(data)) {
+            try {
+                data = this.codec.decodeInput(data);
+            } catch (error) {
+                console.log(`[WIRE] Bad input from ${playerId}: ${error.message}`);
+                return;
+            }
+        }
+        
+        // Ignore anything that isn't a well-formed input
+        if (!Number.isInteger(data.seq) || !Array.isArray(data.direction) || data.direction.length !== 3 ||
+            !data.direction.every(Number.isFinite)) {
             return;
         }
         
-        // Call the player's split method to get new fragment configuration
-        const fragmentConfig = player.split();
+        // Only the direction is taken from the client, never its length
+        const direction = new Vector3().fromArray(data.direction);
+        if (this.isPlanar()) {
+            direction.y = 0;
+        }
+        if (direction.lengthSq() > 0) {
+            direction.normalize();
+        }
         
-        // If split was successful (returned a valid config)
-        if (fragmentConfig) {
-            // Create a new player from the fragment config
-            const fragmentPlayer = new ServerPlayer(fragmentConfig);
+        // Boosting and splitting faster than a real client can are dropped
+        const boost = data.boost === true && (entity.isBot || this.antiCheat.allowAction(playerId, 'boost', this.time * 1000));
+        const split = data.split === true && (entity.isBot || this.antiCheat.allowAction(playerId, 'split', this.time * 1000));
+        
+        entity.queueInput({
+            seq: data.seq,
+            direction: direction,
+            boost: boost,
+            split: split
+        });
+    }
+    
+    // Simulate the next queued input for every player, including its one-shot actions
+    processPlayerInputs() {
+        for (const [playerId, entity] of Array.from(this.entities.entries())) {
+            const input = entity.consumeInput();
+            if (input && this.recorder) {
+                this.recorder.recordInput(playerId, input);
+            }
             
-            // Add fragment to the game with a unique ID
-            this.players.set(fragmentConfig.id, fragmentPlayer);
+            // Siblings steer towards the primary cell, so re-aim every tick. This comes
+            // first so boosts and splits go the way the cells now face.
+            entity.steerCells();
             
-            // Initialize the fragment's physics properties
-            if (fragmentConfig.velocity) {
-                fragmentPlayer.velocity = fragmentConfig.velocity;
+            if (input && input.boost) {
+                this.handlePlayerBoost(playerId);
             }
             
-            // Notify all clients about the new fragment
-            this.io.emit('playerSplit', {
-                parentId: playerId,
-                fragment: fragmentPlayer.toClientData()
-            });
+            if (input && input.split) {
+                this.handlePlayerSplit(playerId);
+            }
+        }
+    }
+    
+    // Create a cell from a config, give it to an entity and register it everywhere
+    addCell(entity, config) {
+        const cell = new ServerPlayer(config);
+        entity.addCell(cell);
+        this.players.set(cell.id, cell);
+        this.physics.addEntity(cell, 'player');
+        return cell;
+    }
+    
+    // Unregister a cell. If it was the primary, another cell takes over its id.
+    removeCell(cell) {
+        this.players.delete(cell.id);
+        this.physics.removeEntity(cell.id);
+        
+        const entity = this.entities.get(cell.ownerId);
+        if (!entity) return null;
+        
+        entity.removeCell(cell);
+        
+        const promotion = entity.promotePrimary();
+        if (promotion) {
+            this.players.delete(promotion.previousId);
+            this.physics.removeEntity(promotion.previousId);
+            this.players.set(promotion.cell.id, promotion.cell);
+            this.physics.addEntity(promotion.cell, 'player');
+        }
+        
+        return entity;
+    }
+    
+    handlePlayerSplit(playerId) {
+        const entity = this.entities.get(playerId);
+        if (!entity) {
+            this.logEvent(`[ERROR] Player ${playerId} not found for split action`);
+            return;
+        }
+        
+        // Every cell that is big enough splits, up to the cell limit
+        const fragmentConfigs = entity.split(this.minSplitMass);
+        if (fragmentConfigs.length === 0) {
+            this.logEvent(`[INFO] Player ${entity.username} (${playerId}) can't split (mass: ${entity.getMass().toFixed(2)}, cells: ${entity.cells.length})`);
+            return;
+        }
+        
+        for (const fragmentConfig of fragmentConfigs) {
+            const fragmentPlayer = this.addCell(entity, fragmentConfig);
             
-            console.log(`[ACTION] Player ${player.username} (${playerId}) split successfully - Original mass: ${player.mass.toFixed(2)} - Fragment mass: ${fragmentPlayer.mass.toFixed(2)} - Fragment ID: ${fragmentConfig.id}`);
+            // Notify the clients that can see the new fragment
+            this.sendToViewers('playerSplit', {
+                parentId: fragmentConfig.parent,
+                fragment: fragmentPlayer.toClientData()
+            }, fragmentPlayer);
         }
+        
+        this.logEvent(`[ACTION] Player ${entity.username} (${playerId}) split into ${entity.cells.length} cells - Total mass: ${entity.getMass().toFixed(2)}`);
     }
     
     handlePlayerBoost(playerId) {
@@ -221,70 +699,82 @@ class GameServer {
         const boostSuccess = player.boost();
         
         if (boostSuccess) {
-            // Broadcast the boost to all clients
-            this.io.emit('playerBoosted', {
+            // Tell the clients that can see the cell
+            this.sendToViewers('playerBoosted', {
                 id: playerId,
                 position: player.position.toArray(),
                 mass: player.mass
-            });
+            }, player, 'players');
             
-            console.log(`Player ${player.username} (${playerId}) boosted - New mass: ${player.mass.toFixed(2)}`);
+            this.logEvent(`Player ${player.username} (${playerId}) boosted - New mass: ${player.mass.toFixed(2)}`);
         }
     }
     
     handlePlayerEjectMass(playerId, data) {
         const player = this.players.get(playerId);
         if (!player) {
-            console.log(`[ERROR] Player ${playerId} not found for mass ejection`);
+            this.logEvent(`[ERROR] Player ${playerId} not found for mass ejection`);
             return;
         }
         
-        // Minimum mass required to eject
-        const MIN_MASS_TO_EJECT = 2;
-        // Mass amount to eject (use client value or default)
-        const EJECTED_MASS_AMOUNT = data && data.mass ? data.mass : 1;
-        
-        if (player.mass < MIN_MASS_TO_EJECT) {
-            console.log(`[INFO] Player ${player.username} (${playerId}) doesn't have enough mass to eject`);
+        if (player.mass < this.minEjectMass) {
+            this.logEvent(`[INFO] Player ${player.username} (${playerId}) doesn't have enough mass to eject`);
             return; // Not enough mass to eject
         }
         
+        // Mass amount to eject - the client may ask for more than the default, within
+        // limits, and the cell always keeps at least one default orb's worth
+        const requested = data.mass !== undefined ? data.mass : this.ejectMassAmount;
+        const EJECTED_MASS_AMOUNT = Math.min(
+            Math.max(requested, this.ejectMassAmount),
+            this.maxEjectMassAmount,
+            player.mass - this.ejectMassAmount
+        );
+        
         // Decrease player mass
         player.mass -= EJECTED_MASS_AMOUNT;
         player.updateSize(); // Update player size based on new mass
         
-        // Use direction from client or default
-        let direction;
-        if (data && data.direction) {
-            direction = new Vector3().fromArray(data.direction).normalize();
-        } else {
-            direction = new Vector3(0, 0, -1).applyQuaternion(player.rotation).normalize();
+        // Use direction from client (kept on the ground in planar play) or where the cell faces
+        let direction = data.direction ? new Vector3().fromArray(data.direction) : new Vector3();
+        if (this.isPlanar()) {
+            direction.y = 0;
+        }
+        if (direction.lengthSq() === 0) {
+            direction = new Vector3(0, 0, -1).applyQuaternion(player.rotation);
         }
+        direction.normalize();
         
-        // Use position from client or calculate it
-        let spawnPosition;
-        if (data && data.position) {
-            spawnPosition = new Vector3().fromArray(data.position);
-        } else {
-            spawnPosition = player.position.clone().add(
-                direction.clone().multiplyScalar(player.radius + 0.5)
-            );
+        // Orbs leave from the cell's surface. A client position is only taken if it is
+        // about there - its view of the cell lags a little behind the server's.
+        let spawnPosition = player.position.clone().add(
+            direction.clone().multiplyScalar(player.radius + 0.5)
+        );
+        if (data.position) {
+            const clientPosition = new Vector3().fromArray(data.position);
+            const distance = clientPosition.distanceTo(player.position);
+            if (distance <= player.radius + this.ejectPositionTolerance) {
+                spawnPosition = clientPosition;
+            } else {
+                this.antiCheat.flag(playerId, 'ejectMass', 'implausible',
+                    `orb spawn position ${distance.toFixed(1)} from a cell of radius ${player.radius.toFixed(1)}`);
+            }
         }
         
         // Create a unique ID for the mass orb
-        const massId = `mass_${uuidv4()}`;
+        const massId = this.createEntityId('mass');
         
         // Create the mass orb
         const massOrb = {
             id: massId,
             type: 'mass',
             position: spawnPosition.toArray(),
-            velocity: direction.clone().multiplyScalar(20).toArray(), // Shoot with velocity
+            velocity: direction.clone().multiplyScalar(this.ejectSpeed).toArray(), // Shoot with velocity
             ownerId: player.id, // Remember who ejected this mass
             mass: EJECTED_MASS_AMOUNT,
             radius: Math.cbrt(EJECTED_MASS_AMOUNT), // Radius based on mass
             color: player.color, // Same color as the player
-            creationTime: Date.now(),
+            creationTime: this.time * 1000, // Simulated milliseconds, not wall clock
             lifespan: 30000, // 30 seconds lifespan
         };
         
@@ -293,56 +783,163 @@ class GameServer {
             this.massOrbs = new Map();
         }
         this.massOrbs.set(massId, massOrb);
+        this.physics.addEntity(massOrb, 'mass');
         
-        // Broadcast the mass ejection to all clients
-        this.io.emit('massEjected', massOrb);
+        // Tell the clients close enough to see the orb
+        this.sendToViewers('massEjected', massOrb, massOrb);
         
-        console.log(`[ACTION] Player ${player.username} (${playerId}) ejected mass ${massId} - Current mass: ${player.mass.toFixed(2)}`);
+        this.logEvent(`[ACTION] Player ${player.username} (${playerId}) ejected mass ${massId} - Current mass: ${player.mass.toFixed(2)}`);
     }
     
     handlePlayerDisconnect(playerId) {
-        // If player exists, remove them from the game
-        if (this.players.has(playerId)) {
-            const player = this.players.get(playerId);
-            this.players.delete(playerId);
+        // If player exists, remove them and all their cells from the game
+        if (this.entities.has(playerId)) {
+            const entity = this.entities.get(playerId);
+            this.recordLife(entity, false);
+            this.removeEntity(entity);
             
             // Notify other players that this player has left
-            this.io.emit('playerLeft', playerId);
+            this.broadcast('playerLeft', playerId);
             
-            console.log(`Player ${playerId} removed from game. Total players: ${this.players.size}`);
+            console.log(`Player ${playerId} removed from game. Total players: ${this.entities.size}`);
             
             // Broadcast updated player count to all clients
             this.broadcastPlayerCount();
+            
+            this.mode.onLeave(entity);
+        }
+        
+        // Dead or alive, the socket's view and snapshot history go with it
+        const spectator = this.spectators.get(playerId);
+        this.spectators.delete(playerId);
+        this.interest.removeViewer(playerId);
+        this.snapshots.removeClient(playerId);
+        
+        if (spectator && spectator.watchOnly) {
+            this.logEvent(`[SPECTATE] ${spectator.username} (${playerId}) stopped watching. Spectators: ${this.getSpectatorCount()}`);
+            this.broadcastPlayerCount();
         }
     }
     
+    // Take a player and all of its cells out of the world
+    removeEntity(entity) {
+        for (const cell of entity.cells.slice()) {
+            this.players.delete(cell.id);
+            this.physics.removeEntity(cell.id);
+            entity.removeCell(cell);
+        }
+        this.entities.delete(entity.id);
+    }
+    
+    // Start everyone over with one fresh cell, for modes that play in rounds. Players
+    // keep their socket, name and color, and the dead and waiting come back in too.
+    restartRound() {
+        // Every round gets its own replay file
+        if (this.recorder) {
+            this.recorder.stop();
+        }
+        
+        const returning = [];
+        for (const entity of Array.from(this.entities.values())) {
+            returning.push({ id: entity.id, username: entity.username, color: entity.color });
+            this.recordLife(entity, false);
+            this.removeEntity(entity);
+        }
+        for (const [socketId, spectator] of this.spectators) {
+            if (spectator.watchOnly) continue;
+            returning.push({ id: socketId, username: spectator.username, color: spectator.color });
+        }
+        
+        for (const { id, username, color } of returning) {
+            const bot = this.bots.getBot(id);
+            if (bot) {
+                this.spawnBot(bot);
+                continue;
+            }
+            
+            const socket = this.io.sockets.sockets.get(id);
+            if (socket) {
+                this.handlePlayerJoin(socket, { username, color });
+            }
+        }
+    }
+    
+    // Shrink (or restore) the open part of the world. Cells outside are pulled in by
+    // the next physics update, and new food and spawns stay inside.
+    setBoundsScale(scale) {
+        this.physics.boundsScale = scale;
+    }
+    
+    // Fixed timestep: the timer only measures how much real time has passed, and the
+    // simulation always advances in whole ticks of exactly 1/tickRate seconds. Late
+    // timers are caught up with extra ticks, up to maxCatchUpTicks at a time.
     startGameLoop() {
+        if (this.gameLoopInterval) return;
+        
         const tickInterval = 1000 / this.tickRate;
+        let accumulator = 0;
+        let lastTime = performance.now();
+        
         this.gameLoopInterval = setInterval(() => {
-            this.update(tickInterval / 1000); // Convert to seconds
+            const now = performance.now();
+            accumulator += now - lastTime;
+            lastTime = now;
+            
+            let ticks = 0;
+            while (accumulator >= tickInterval && ticks < this.maxCatchUpTicks) {
+                this.update(tickInterval / 1000); // Convert to seconds
+                accumulator -= tickInterval;
+                ticks++;
+            }
+            
+            // Too far behind to catch up - drop the backlog rather than spiral
+            if (accumulator >= tickInterval) {
+                console.log(`[SIM] ${this.room} fell ${Math.floor(accumulator / tickInterval)} ticks behind, skipping them`);
+                accumulator = 0;
+            }
         }, tickInterval);
         
         console.log(`Game loop started with tick rate of ${this.tickRate}Hz`);
     }
     
+    // Freeze the world until startGameLoop is called again, for arenas nobody is in
+    stopGameLoop() {
+        if (!this.gameLoopInterval) return;
+        
+        clearInterval(this.gameLoopInterval);
+        this.gameLoopInterval = null;
+        console.log(`Game loop of ${this.room} stopped`);
+    }
+    
     update(deltaTime) {
         // Skip if not running
         if (!this.isRunning) {
             return;
         }
         
+        this.tick++;
+        this.time += deltaTime;
+        
+        // Bots decide first, their inputs go through the same queue as clients'
+        this.bots.update(deltaTime);
+        
+        // Apply client inputs before anything moves
+        this.processPlayerInputs();
+        
         // Check for survival score for all players
-        // Note: player.update() is called in the physics system, so we don't call it here
-        for (const player of this.players.values()) {
+        // Note: cell update() is called in the physics system, the entity only tracks timers
+        for (const entity of this.entities.values()) {
+            entity.update(deltaTime);
+            
             // Check if player has survived another minute (60 seconds)
             // We use Math.floor to check if the player has crossed a full minute threshold
-            const previousMinutesAlive = Math.floor((player.timeAlive - deltaTime) / 60);
-            const currentMinutesAlive = Math.floor(player.timeAlive / 60);
+            const previousMinutesAlive = Math.floor((entity.timeAlive - deltaTime) / 60);
+            const currentMinutesAlive = Math.floor(entity.timeAlive / 60);
             
             // If the player has survived another full minute, award 10 score points
             if (currentMinutesAlive > previousMinutesAlive) {
-                player.score += 10;
-                console.log(`[SCORE] Player ${player.username} (${player.id}) earned 10 survival points for being alive for ${currentMinutesAlive} minutes. Total score: ${player.score.toFixed(0)}`);
+                entity.bankedScore += 10;
+                this.logEvent(`[SCORE] Player ${entity.username} (${entity.id}) earned 10 survival points for being alive for ${currentMinutesAlive} minutes. Total score: ${entity.getScore().toFixed(0)}`);
             }
         }
         
@@ -352,55 +949,176 @@ class GameServer {
         // Remove consumed food and notify clients
         if (consumedFood && consumedFood.length > 0) {
             for (const { foodId, playerId, foodValue } of consumedFood) {
-                // Get player info for logging
-                const player = this.players.get(playerId);
-                
-                // Remove food from game
-                this.foods.delete(foodId);
-                
-                // Notify all players
-                this.io.emit('foodConsumed', {
-                    foodId: foodId,
-                    playerId: playerId
-                });
+                this.removeFood(foodId, playerId, foodValue);
                 
                 // Log the food consumption
+                const player = this.players.get(playerId);
                 if (player) {
-                    console.log(`[CONSUME] Player ${player.username} (${playerId}) ate food ${foodId} - Value: ${foodValue.toFixed(2)} - New mass: ${player.mass.toFixed(2)}`);
+                    this.logEvent(`[CONSUME] Player ${player.username} (${playerId}) ate food ${foodId} - Value: ${foodValue.toFixed(2)} - New mass: ${player.mass.toFixed(2)}`);
                 }
             }
         }
         
         // Check for player-player consumption
-        const playerConsumption = this.physics.checkPlayerCollisions(this.players);
+        const playerConsumption = this.physics.checkPlayerCollisions(this.players,
+            (predator, prey) => this.mode.canEat(predator, prey));
         if (playerConsumption) {
-            const { predator, prey } = playerConsumption;
-            console.log(`[CONSUME] Player ${predator.username} (${predator.id}) ate player ${prey.username} (${prey.id}) - Gained mass: ${(prey.mass * 0.8).toFixed(2)} - New mass: ${predator.mass.toFixed(2)}`);
-            
-            // Remove consumed player
-            this.players.delete(prey.id);
-            
-            // Log player death
-            console.log(`[DEATH] Player ${prey.username} (${prey.id}) was eaten by ${predator.username} (${predator.id}) - Final score: ${prey.score.toFixed(0)} - Time alive: ${prey.timeAlive.toFixed(0)}s`);
-            
-            // Notify clients
-            this.io.emit('playerConsumed', {
-                predatorId: predator.id,
-                preyId: prey.id
-            });
+            this.handleCellEaten(playerConsumption.predator, playerConsumption.prey);
         }
         
+        // Keep sibling cells apart and merge the ones whose cooldown is over
+        this.resolvePlayerCells();
+        
+        // Pop players that ran into viruses and replace popped viruses
+        this.updateViruses(deltaTime);
+        
         // Spawn new food if needed
         this.updateFood(deltaTime);
         
         // Update mass orbs
         this.updateMassOrbs(deltaTime);
         
+        // Round clocks, shrinking bounds and other mode rules
+        this.updateMode(deltaTime);
+        
         // Broadcast game state to all players
         this.broadcastGameState();
         
         // Update leaderboard
         this.updateLeaderboard();
+        
+        // Write this tick to the replay file
+        if (this.recorder) {
+            this.recorder.update();
+        }
+    }
+    
+    updateMode(deltaTime) {
+        this.mode.onTick(deltaTime);
+        
+        if (this.mode.stateInterval > 0) {
+            this.modeStateTimer += deltaTime;
+            if (this.modeStateTimer >= this.mode.stateInterval) {
+                this.modeStateTimer = 0;
+                this.broadcast('modeState', this.mode.getState());
+            }
+        }
+    }
+    
+    handleCellEaten(predator, prey) {
+        this.logEvent(`[CONSUME] Player ${predator.username} (${predator.id}) ate player ${prey.username} (${prey.id}) - Gained mass: ${(prey.mass * 0.8).toFixed(2)} - New mass: ${predator.mass.toFixed(2)}`);
+        
+        const entity = this.removeCell(prey);
+        
+        // Notify the clients that could see the eaten cell
+        this.sendToViewers('playerConsumed', {
+            predatorId: predator.ownerId || predator.id,
+            preyId: prey.ownerId || prey.id
+        }, prey, 'players');
+        
+        // The player only dies with its last cell
+        if (entity && !entity.isAlive()) {
+            const killerId = predator.ownerId || predator.id;
+            const summary = {
+                killerId: killerId,
+                killerName: predator.username,
+                mass: Math.floor(Math.max(entity.highestMass, prey.mass)),
+                score: Math.floor(entity.getScore()),
+                rank: this.getRank(entity), // Ranked before removal, so it counts itself
+                timeAlive: Math.floor(entity.timeAlive),
+                playersEaten: entity.getPlayersEaten(),
+                foodEaten: entity.getFoodEaten()
+            };
+            
+            this.entities.delete(entity.id);
+            this.recordLife(entity, true);
+            
+            if (entity.isBot) {
+                // Bots have nobody to show a summary to
+                this.bots.handleBotDeath(entity);
+                this.broadcast('playerLeft', entity.id);
+            } else {
+                // The socket stays connected and watches its killer until it respawns.
+                // Its view and snapshot history are kept, so spectating carries on with deltas.
+                this.spectators.set(entity.id, this.createSpectator(killerId, entity));
+                this.io.to(entity.id).emit('playerDied', summary);
+            }
+            
+            // Log player death
+            this.logEvent(`[DEATH] Player ${entity.username} (${entity.id}) was eaten by ${predator.username} (${killerId}) - Final score: ${summary.score} - Rank: ${summary.rank} - Time alive: ${summary.timeAlive}s`);
+            
+            this.broadcastPlayerCount();
+            
+            this.mode.onDeath(entity, this.entities.get(killerId));
+        }
+    }
+    
+    getRank(entity) {
+        // 1-based position by score among everyone playing
+        const score = entity.getScore();
+        let rank = 1;
+        for (const other of this.entities.values()) {
+            if (other !== entity && other.getScore() > score) {
+                rank++;
+            }
+        }
+        return rank;
+    }
+    
+    // The cell a spectator watches: their killer while it lives, then the leader.
+    // Tells the client whenever the target changes.
+    getSpectateTarget(socketId, spectator) {
+        let entity = this.entities.get(spectator.targetId);
+        
+        if (!entity) {
+            for (const candidate of this.entities.values()) {
+                if (!entity || candidate.getScore() > entity.getScore()) {
+                    entity = candidate;
+                }
+            }
+            if (!entity) return null;
+            
+            spectator.targetId = entity.id;
+            this.io.to(socketId).emit('spectateTarget', {
+                id: entity.id,
+                username: entity.username
+            });
+        }
+        
+        return entity.getPrimaryCell();
+    }
+    
+    // What a spectator sees the world from: the cell they follow, their free camera, or
+    // the middle of the arena with all of it in view
+    getSpectatorViewer(socketId, spectator) {
+        if (spectator.view === 'free') {
+            return { position: spectator.camera, viewRadius: this.spectatorViewRadius };
+        }
+        if (spectator.view === 'overview') {
+            return {
+                position: new Vector3(),
+                viewRadius: Math.hypot(this.worldSize.x, this.worldSize.y, this.worldSize.z) / 2
+            };
+        }
+        return this.getSpectateTarget(socketId, spectator);
+    }
+    
+    resolvePlayerCells() {
+        for (const entity of this.entities.values()) {
+            if (entity.cells.length < 2) continue;
+            
+            for (const { survivor, absorbed } of entity.resolveCells()) {
+                this.players.delete(absorbed.id);
+                this.physics.removeEntity(absorbed.id);
+                this.logEvent(`[MERGE] Player ${entity.username} (${entity.id}) merged cell ${absorbed.id} into ${survivor.id} - Cells left: ${entity.cells.length}`);
+            }
+            
+            // Soft collisions moved cells around
+            for (const cell of entity.cells) {
+                this.physics.constrainToWorld(cell);
+                this.physics.updateEntity(cell);
+            }
+        }
     }
     
     spawnInitialFood() {
@@ -416,6 +1134,7 @@ class GameServer {
         // Update existing food animations
         for (const food of this.foods.values()) {
             food.update(deltaTime);
+            this.physics.updateEntity(food);
         }
         
         // Spawn new food at a certain rate
@@ -435,67 +1154,263 @@ class GameServer {
         if (this.foods.size >= this.maxFood) return;
         
         // Create new food with random position
-        const foodId = uuidv4();
+        const foodId = this.createEntityId('food');
         const food = new ServerFood({
             id: foodId,
             position: this.getRandomPosition(),
             scale: new Vector3(0.5, 0.5, 0.5),
             color: this.getRandomColor(),
-            value: 0.1 + Math.random() * 0.1 // Random value between 0.1 and 0.2
+            value: this.random.range(0.1, 0.2),
+            random: this.random
         });
         
         // Add food to game
         this.foods.set(foodId, food);
+        this.physics.addEntity(food, 'food');
         
-        // Notify all players of new food
-        this.io.emit('foodSpawned', food.toClientData());
+        // Notify the players close enough to see the new food
+        for (const viewerId of this.interest.getViewersAt(food)) {
+            this.io.to(viewerId).emit('foodSpawned', food.toClientData());
+        }
+        this.recordEvent('foodSpawned', food.toClientData());
         
         return food;
     }
     
-    sendGameState(playerId) {
+    // Take food out of the world, eaten by playerId or (without one) cleared away. The
+    // players who could see it are told, so they can confirm or roll back their own eat,
+    // and always the eater, which may have caught it before it was sent.
+    removeFood(foodId, playerId = null, amount = 0) {
+        this.foods.delete(foodId);
+        this.physics.removeEntity(foodId);
+        
+        const viewers = new Set(this.interest.getViewersOf('foods', foodId));
+        const player = playerId ? this.players.get(playerId) : null;
+        if (player) {
+            viewers.add(player.ownerId || player.id);
+        }
+        const consumed = {
+            foodId: foodId,
+            playerId: playerId,
+            amount: amount
+        };
+        for (const viewerId of viewers) {
+            this.io.to(viewerId).emit('foodConsumed', consumed);
+        }
+        this.recordEvent('foodConsumed', consumed);
+    }
+    
+    spawnInitialViruses() {
+        for (let i = 0; i < this.maxViruses; i++) {
+            this.spawnVirus();
+        }
+        
+        console.log(`Spawned ${this.viruses.size} initial viruses`);
+    }
+    
+    updateViruses(deltaTime) {
+        // Slide shot viruses along. Clients simulate the same motion from the spawn
+        // event, so they only need the final resting position.
+        for (const virus of this.viruses.values()) {
+            if (!virus.isMoving()) continue;
+            
+            const stopped = virus.update(deltaTime);
+            this.physics.constrainToWorld(virus);
+            this.physics.updateEntity(virus);
+            
+            if (stopped) {
+                this.sendToViewers('virusUpdated', virus.toClientData(), virus, 'viruses');
+            }
+        }
+        
+        // Check every virus against the players touching it
+        for (const virus of Array.from(this.viruses.values())) {
+            for (const player of this.physics.queryNearby(virus.position, virus.radius, 'player')) {
+                if (this.players.get(player.id) !== player) continue;
+                
+                if (virus.canPop(player) && virus.checkCollision(player) && this.popPlayer(player, virus)) {
+                    break; // The virus is gone
+                }
+            }
+        }
+        
+        // Replace popped viruses once their timers run out
+        this.virusRespawnTimers = this.virusRespawnTimers
+            .map(timeLeft => timeLeft - deltaTime)
+            .filter(timeLeft => {
+                if (timeLeft > 0) return true;
+                this.spawnVirus();
+                return false;
+            });
+    }
+    
+    // Admins may go past maxViruses (ignoreCap)
+    spawnVirus(ignoreCap = false) {
+        if (this.viruses.size >= this.maxViruses && !ignoreCap) return;
+        
+        const virus = new ServerVirus({
+            id: this.createEntityId('virus'),
+            position: this.getRandomPosition()
+        });
+        
+        this.viruses.set(virus.id, virus);
+        this.physics.addEntity(virus, 'virus');
+        
+        // Notify the players close enough to see it, others get it as it enters their view
+        this.sendToViewers('virusSpawned', virus.toClientData(), virus);
+        
+        return virus;
+    }
+    
+    // Shrink a well-fed virus back down and fire the absorbed mass off as a new virus
+    shootVirus(parent, direction) {
+        parent.resetSize();
+        this.physics.updateEntity(parent);
+        this.sendToViewers('virusUpdated', parent.toClientData(), parent, 'viruses');
+        
+        const virus = new ServerVirus({
+            id: this.createEntityId('virus'),
+            position: parent.position.clone().addScaledVector(direction, parent.radius * 2),
+            radius: parent.baseRadius,
+            mass: parent.baseMass,
+            velocity: direction.clone().multiplyScalar(this.virusShootSpeed)
+        });
+        
+        this.viruses.set(virus.id, virus);
+        this.physics.addEntity(virus, 'virus');
+        
+        // Notify the players close enough to see it
+        this.sendToViewers('virusSpawned', virus.toClientData(), virus);
+        
+        this.logEvent(`[VIRUS] Virus ${parent.id} was fed ${this.virusFeedLimit} times and shot virus ${virus.id}`);
+    }
+    
+    popPlayer(player, virus) {
+        // Burst the player into real server-side cells of its entity. A cell too small to
+        // break up (or a player out of room for cells) passes over the virus, which stays.
+        const entity = this.entities.get(player.ownerId);
+        const fragmentConfigs = entity ? entity.pop(player, this.maxPopPieces, this.isPlanar()) : [];
+        if (fragmentConfigs.length === 0) return false;
+        
+        const fragments = fragmentConfigs.map(fragmentConfig => this.addCell(entity, fragmentConfig));
+        
+        // The virus is used up
+        this.viruses.delete(virus.id);
+        this.physics.removeEntity(virus.id);
+        this.virusRespawnTimers.push(this.virusRespawnDelay);
+        this.sendToViewers('virusConsumed', virus.id, virus, 'viruses');
+        
+        this.sendToViewers('playerPopped', {
+            playerId: player.id,
+            virusId: virus.id,
+            mass: player.mass,
+            fragments: fragments.map(fragment => fragment.toClientData())
+        }, player, 'players');
+        
+        this.logEvent(`[VIRUS] Player ${player.username} (${player.id}) popped on virus ${virus.id} into ${fragments.length + 1} pieces - Piece mass: ${player.mass.toFixed(2)}`);
+        return true;
+    }
+    
+    sendGameState(playerId, player = this.players.get(playerId)) {
         const socket = this.io.sockets.sockets.get(playerId);
-        if (!socket) return;
+        if (!socket || !player) return;
+        
+        // Work out what this player can currently see (for spectators, what their target or camera sees)
+        const view = this.interest.update(playerId, player, {
+            players: this.players,
+            foods: this.foods,
+            massOrbs: this.massOrbs,
+            viruses: this.viruses
+        });
+        
+        // Tell the client about entities crossing its view radius
+        if (this.hasEntities(view.entered)) {
+            socket.emit('entitiesEntered', {
+                players: view.entered.players.map(p => p.toClientData()),
+                foods: view.entered.foods.map(food => food.toClientData()),
+                massOrbs: view.entered.massOrbs,
+                viruses: view.entered.viruses.map(virus => virus.toClientData())
+            });
+        }
+        
+        if (this.hasEntities(view.left)) {
+            socket.emit('entitiesLeft', view.left);
+        }
         
-        // Create game state for the player
-        const gameState = this.createGameState();
+        // Send the visible game state as a delta against the client's last acknowledged snapshot
+        const gameState = this.createGameState(view.visible);
+        const message = this.snapshots.createMessage(playerId, this.tick, gameState);
         
-        // Send game state to the player
-        socket.emit('gameState', gameState);
+        if (this.wireFormats.get(playerId) === 'binary') {
+            socket.emit('snapshot', this.codec.encodeSnapshot(message));
+        } else {
+            socket.emit('snapshot', message);
+        }
     }
     
     broadcastGameState() {
-        // Create game state for all players
-        const gameState = this.createGameState();
+        // Each socket gets its own filtered game state, seen from its primary cell
+        for (const playerId of this.entities.keys()) {
+            this.sendGameState(playerId);
+        }
         
-        // Send game state to all players
-        this.io.emit('gameState', gameState);
+        // Dead players and watchers see the world through the cell they follow or their camera
+        for (const [socketId, spectator] of this.spectators) {
+            const viewer = this.getSpectatorViewer(socketId, spectator);
+            if (viewer) {
+                this.sendGameState(socketId, viewer);
+            }
+        }
     }
     
-    createGameState() {
-        // Create a compact game state to send to clients
+    createGameState(visible) {
+        // Without a filter, describe the whole world
+        const players = visible ? visible.players : Array.from(this.players.values());
+        const foods = visible ? visible.foods : Array.from(this.foods.values());
+        const massOrbs = visible ? visible.massOrbs : (this.massOrbs ? Array.from(this.massOrbs.values()) : []);
+        
+        // Create a compact game state to send to clients. Mass orbs are copied because
+        // the snapshot history must not change when the live orbs move.
         return {
-            players: Array.from(this.players.values()).map(player => player.toClientData()),
-            foods: Array.from(this.foods.values()).map(food => food.toClientData()),
-            massOrbs: this.massOrbs ? Array.from(this.massOrbs.values()) : []
+            players: players.map(player => player.toClientData()),
+            foods: foods.map(food => food.toClientData()),
+            massOrbs: massOrbs.map(massOrb => ({ ...massOrb }))
         };
     }
     
+    hasEntities(groups) {
+        return Object.values(groups).some(group => group.length > 0);
+    }
+    
     updateLeaderboard() {
+        // Rank whole players - mass and score summed over all of their cells
+        const ranked = Array.from(this.entities.values())
+            .map(entity => ({
+                username: entity.username,
+                mass: entity.getMass(),
+                score: entity.getScore(),
+                id: entity.id,
+                isBot: entity.isBot
+            }))
+            .sort((a, b) => b.score - a.score); // Sort by score instead of mass
+        
         // Create leaderboard data
-        const leaderboardData = Array.from(this.players.values())
-            .sort((a, b) => b.score - a.score) // Sort by score instead of mass
+        const leaderboardData = ranked
             .slice(0, 10)
             .map((player, index) => ({
                 username: player.username,
                 mass: Math.floor(player.mass),
                 score: Math.floor(player.score), // Include score in leaderboard data
                 rank: index + 1,
-                id: player.id
+                id: player.id,
+                isBot: player.isBot
             }));
         
         // Add isLocalPlayer flag for each player
-        for (const player of this.players.values()) {
+        for (const player of ranked) {
+            // Bots have no socket to send to
+            if (player.isBot) continue;
+            
             const entry = leaderboardData.find(entry => entry.id === player.id);
             if (entry) {
                 // Send personalized leaderboard to each player
@@ -505,9 +1420,7 @@ class GameServer {
                 })));
             } else {
                 // Player not in top 10, add their rank
-                const rank = Array.from(this.players.values())
-                    .sort((a, b) => b.score - a.score) // Sort by score instead of mass
-                    .findIndex(p => p.id === player.id) + 1;
+                const rank = ranked.findIndex(p => p.id === player.id) + 1;
                 
                 this.io.to(player.id).emit('leaderboard', [
                     ...leaderboardData.map(item => ({
@@ -520,48 +1433,77 @@ class GameServer {
                         score: Math.floor(player.score), // Include score in leaderboard data
                         rank: rank,
                         id: player.id,
+                        isBot: false,
                         isLocalPlayer: true
                     }
                 ]);
             }
         }
+        
+        // Spectators get the top 10 without an entry of their own
+        for (const socketId of this.spectators.keys()) {
+            this.io.to(socketId).emit('leaderboard', leaderboardData.map(item => ({
+                ...item,
+                isLocalPlayer: false
+            })));
+        }
+        
+        // Replays show the top 10 as a spectator sees it, once a second is plenty
+        if (this.tick % this.tickRate === 0) {
+            this.recordEvent('leaderboard', leaderboardData);
+        }
+    }
+    
+    isPlanar() {
+        return this.movementMode === 'planar';
     }
     
     getRandomPosition() {
-        // Get random position within world bounds
+        // Get random position within the open part of the world
         const margin = 10; // Keep food away from edges
+        const half = this.physics.getHalfExtents();
         return new Vector3(
-            (Math.random() - 0.5) * (this.worldSize.x - margin * 2),
-            0, // Keep food on the ground plane
-            (Math.random() - 0.5) * (this.worldSize.z - margin * 2)
+            (this.random.next() - 0.5) * Math.max(0, half.x * 2 - margin * 2),
+            this.isPlanar() ? 0 : (this.random.next() - 0.5) * Math.max(0, half.y * 2 - margin * 2),
+            (this.random.next() - 0.5) * Math.max(0, half.z * 2 - margin * 2)
         );
     }
     
     getRandomSpawnPosition() {
         // Get random position for player spawn (avoid center of map)
-        const radius = Math.random() * 0.3 + 0.2; // 20% to 50% of world radius
-        const theta = Math.random() * Math.PI * 2;
+        const radius = this.random.range(0.2, 0.5) * this.physics.boundsScale; // 20% to 50% of the open world's radius
+        const theta = this.random.next() * Math.PI * 2;
+        
+        // Uniform over a sphere in volumetric play, on the XZ circle (y=0) in planar play
+        const phi = this.isPlanar() ? Math.PI / 2 : Math.acos(this.random.next() * 2 - 1);
         
-        // Simplified spawn position calculation that keeps players on the XZ plane (y=0)
         return new Vector3(
-            radius * Math.cos(theta) * this.worldSize.x / 2,
-            0, // Keep player on the floor
-            radius * Math.sin(theta) * this.worldSize.z / 2
+            radius * Math.sin(phi) * Math.cos(theta) * this.worldSize.x / 2,
+            radius * Math.cos(phi) * this.worldSize.y / 2,
+            radius * Math.sin(phi) * Math.sin(theta) * this.worldSize.z / 2
         );
     }
     
     getRandomColor() {
         // Generate a random pastel color
         return '#' + 
-            Math.floor(Math.random() * 128 + 127).toString(16) +
-            Math.floor(Math.random() * 128 + 127).toString(16) +
-            Math.floor(Math.random() * 128 + 127).toString(16);
+            this.random.int(127, 254).toString(16) +
+            this.random.int(127, 254).toString(16) +
+            this.random.int(127, 254).toString(16);
+    }
+    
+    // Ids count up per arena so a replayed world names everything the same way
+    createEntityId(prefix) {
+        return `${prefix}_${this.nextEntityNumber++}`;
     }
     
     shutdown() {
         // Stop game loop
-        if (this.gameLoopInterval) {
-            clearInterval(this.gameLoopInterval);
+        this.stopGameLoop();
+        
+        // Finish the replay file being written
+        if (this.recorder) {
+            this.recorder.stop();
         }
         
         this.isRunning = false;
@@ -576,7 +1518,7 @@ class GameServer {
         }
         
         const massOrbsToRemove = [];
-        const now = Date.now();
+        const now = this.time * 1000;
         
         // Update each mass orb
         for (const [massId, massOrb] of this.massOrbs.entries()) {
@@ -602,9 +1544,12 @@ class GameServer {
             
             // Keep mass orb within world boundaries
             this.constrainMassOrbToWorld(massOrb);
+            this.physics.updateEntity(massOrb);
             
-            // Check for collisions with players
-            this.checkMassPlayerCollisions(massOrb, massId, massOrbsToRemove);
+            // Check for collisions with players. An orb that was eaten is gone, no virus gets it too.
+            if (this.checkMassPlayerCollisions(massOrb, massId, massOrbsToRemove)) {
+                continue;
+            }
             
             // Check for collisions with viruses
             this.checkMassVirusCollisions(massOrb, massId, massOrbsToRemove);
@@ -613,6 +1558,7 @@ class GameServer {
         // Remove expired or consumed mass orbs
         for (const massId of massOrbsToRemove) {
             this.massOrbs.delete(massId);
+            this.physics.removeEntity(massId);
         }
     }
     
@@ -622,9 +1568,7 @@ class GameServer {
         const velocity = new Vector3().fromArray(massOrb.velocity);
         
         // Calculate half-sizes for boundaries
-        const halfX = this.worldSize.x / 2;
-        const halfY = this.worldSize.y / 2;
-        const halfZ = this.worldSize.z / 2;
+        const { x: halfX, y: halfY, z: halfZ } = this.physics.getHalfExtents();
         
         // Check X boundaries
         if (position.x < -halfX) {
@@ -635,8 +1579,11 @@ class GameServer {
             velocity.x *= -0.8; // Bounce with energy loss
         }
         
-        // Check Y boundaries
-        if (position.y < -halfY) {
+        // Check Y boundaries (planar play keeps orbs on the ground plane)
+        if (this.isPlanar()) {
+            position.y = 0;
+            velocity.y = 0;
+        } else if (position.y < -halfY) {
             position.y = -halfY;
             velocity.y *= -0.8; // Bounce with energy loss
         } else if (position.y > halfY) {
@@ -658,15 +1605,19 @@ class GameServer {
         massOrb.velocity = velocity.toArray();
     }
     
-    // Check for collisions between mass orbs and players
+    // Check for collisions between mass orbs and players. Returns true if a player ate the orb.
     checkMassPlayerCollisions(massOrb, massId, massOrbsToRemove) {
         // Convert position and radius to Vector3 and number
         const massPosition = new Vector3().fromArray(massOrb.position);
         const massRadius = massOrb.radius;
         
-        for (const [playerId, player] of this.players.entries()) {
+        // Only test players sharing a grid cell with the orb
+        for (const player of this.physics.queryNearby(massPosition, massRadius, 'player')) {
+            const playerId = player.id;
+            if (this.players.get(playerId) !== player) continue;
+            
             // Skip if this is the player who ejected the mass and it was recently ejected
-            if (playerId === massOrb.ownerId && Date.now() - massOrb.creationTime < 1000) {
+            if (player.ownerId === massOrb.ownerId && this.time * 1000 - massOrb.creationTime < 1000) {
                 continue;
             }
             
@@ -681,54 +1632,64 @@ class GameServer {
                 // Log the mass consumption
                 const ownerPlayer = this.players.get(massOrb.ownerId);
                 const ownerName = ownerPlayer ? ownerPlayer.username : 'unknown';
-                console.log(`[CONSUME] Player ${player.username} (${playerId}) ate mass orb ${massId} from ${ownerName} (${massOrb.ownerId}) - Value: ${massOrb.mass.toFixed(2)} - New mass: ${player.mass.toFixed(2)}`);
+                this.logEvent(`[CONSUME] Player ${player.username} (${playerId}) ate mass orb ${massId} from ${ownerName} (${massOrb.ownerId}) - Value: ${massOrb.mass.toFixed(2)} - New mass: ${player.mass.toFixed(2)}`);
                 
                 // Mark mass orb for removal
                 massOrbsToRemove.push(massId);
                 
-                // Notify clients
-                this.io.emit('massConsumed', massId);
+                // Notify the clients that could see the orb
+                this.sendToViewers('massConsumed', massId, massOrb, 'massOrbs');
                 
-                break; // Exit the loop since this mass orb is consumed
+                return true; // This mass orb is consumed
             }
         }
+        return false;
     }
     
     // Check for collisions between mass orbs and viruses
     checkMassVirusCollisions(massOrb, massId, massOrbsToRemove) {
-        // Only process if we have viruses
-        if (!this.viruses) return;
-        
         // Convert position and radius to Vector3 and number
         const massPosition = new Vector3().fromArray(massOrb.position);
         const massRadius = massOrb.radius;
         
-        for (const [virusId, virus] of this.viruses.entries()) {
-            // Convert virus position to Vector3
-            const virusPosition = new Vector3().fromArray(virus.position);
+        // Only test viruses sharing a grid cell with the orb
+        for (const virus of this.physics.queryNearby(massPosition, massRadius, 'virus')) {
+            const virusId = virus.id;
+            if (this.viruses.get(virusId) !== virus) continue;
             
             // Check for collision
             if (this.physics.sphereCollision(
                 massPosition, massRadius,
-                virusPosition, virus.radius
+                virus.position, virus.radius
             )) {
                 // Virus absorbs the mass
                 const oldMass = virus.mass;
-                virus.mass += massOrb.mass;
-                virus.radius = Math.cbrt(virus.radius ** 3 + massOrb.mass);
+                virus.absorb(massOrb.mass);
+                this.physics.updateEntity(virus);
                 
                 // Log the virus growing
                 const ownerPlayer = this.players.get(massOrb.ownerId);
                 const ownerName = ownerPlayer ? ownerPlayer.username : 'unknown';
-                console.log(`[VIRUS] Virus ${virusId} absorbed mass orb ${massId} from ${ownerName} (${massOrb.ownerId}) - Old mass: ${oldMass.toFixed(2)} - New mass: ${virus.mass.toFixed(2)}`);
+                this.logEvent(`[VIRUS] Virus ${virusId} absorbed mass orb ${massId} from ${ownerName} (${massOrb.ownerId}) - Old mass: ${oldMass.toFixed(2)} - New mass: ${virus.mass.toFixed(2)}`);
                 
-                // Update virus in game state
-                this.io.emit('virusUpdated', {
-                    id: virusId,
-                    position: virus.position,
-                    mass: virus.mass,
-                    radius: virus.radius
-                });
+                // Fed enough - shoot a new virus the way the last orb was heading,
+                // or straight away from the orb if it had already stopped
+                if (virus.feedCount >= this.virusFeedLimit) {
+                    const direction = new Vector3().fromArray(massOrb.velocity);
+                    if (direction.lengthSq() < 1e-6) {
+                        direction.subVectors(virus.position, massPosition);
+                    }
+                    if (this.isPlanar()) {
+                        direction.y = 0; // Keep shots on the ground plane
+                    }
+                    if (direction.lengthSq() < 1e-6) {
+                        direction.set(0, 0, -1);
+                    }
+                    this.shootVirus(virus, direction.normalize());
+                } else {
+                    // Update virus in game state
+                    this.sendToViewers('virusUpdated', virus.toClientData(), virus, 'viruses');
+                }
                 
                 // Mark mass orb for removal
                 massOrbsToRemove.push(massId);
@@ -738,11 +1699,101 @@ class GameServer {
         }
     }
     
+    // Admin controls - changes made from the admin API while the arena runs
+    
+    // Stop or restart the simulation. Paused arenas keep their sockets but nothing moves
+    // and no state is sent until they resume.
+    setPaused(paused) {
+        if (this.isRunning === !paused) return;
+        
+        this.isRunning = !paused;
+        this.broadcast('serverMessage', {
+            type: 'warning',
+            message: paused ? 'The game was paused by an admin.' : 'The game has resumed.'
+        });
+    }
+    
+    // Change { maxPlayers, maxFood, foodSpawnRate } live. Returns an error message for a
+    // bad value, nothing is changed then. Food over a lowered maxFood is cleared away.
+    updateSettings(settings) {
+        const limits = { maxPlayers: [1, 500], maxFood: [0, 10000], foodSpawnRate: [0, 1000] };
+        for (const [key, [min, max]] of Object.entries(limits)) {
+            const value = settings[key];
+            if (value === undefined) continue;
+            if (!Number.isFinite(value) || value < min || value > max) {
+                return `${key} must be a number from ${min} to ${max}`;
+            }
+        }
+        
+        if (settings.maxPlayers !== undefined) {
+            this.maxPlayers = Math.floor(settings.maxPlayers);
+            this.broadcastPlayerCount();
+        }
+        if (settings.maxFood !== undefined) {
+            // Food is topped up below minFood, keep it at the same share of the maximum
+            const refillShare = this.maxFood > 0 ? this.minFood / this.maxFood : 0.8;
+            this.maxFood = Math.floor(settings.maxFood);
+            this.minFood = Math.floor(this.maxFood * refillShare);
+            
+            // Oldest food goes first
+            for (const foodId of Array.from(this.foods.keys()).slice(0, Math.max(0, this.foods.size - this.maxFood))) {
+                this.removeFood(foodId);
+            }
+        }
+        if (settings.foodSpawnRate !== undefined) {
+            this.foodSpawnRate = settings.foodSpawnRate;
+        }
+        return null;
+    }
+    
+    // Spawn extra viruses at random positions, even past maxViruses. Returns how many.
+    spawnViruses(count) {
+        for (let i = 0; i < count; i++) {
+            this.spawnVirus(true);
+        }
+        return count;
+    }
+    
+    // Everyone connected here - players (bots included) and spectators - for the admin list
+    listPeople() {
+        const people = [];
+        for (const entity of this.entities.values()) {
+            const socket = entity.isBot ? null : this.io.sockets.sockets.get(entity.id);
+            people.push({
+                id: entity.id,
+                username: entity.username,
+                role: entity.isBot ? 'bot' : 'player',
+                mass: Math.floor(entity.getMass()),
+                score: Math.floor(entity.getScore()),
+                cells: entity.cells.length,
+                team: entity.team,
+                address: socket ? socket.handshake.address : null,
+                accountId: entity.accountId
+            });
+        }
+        for (const [socketId, spectator] of this.spectators) {
+            const socket = this.io.sockets.sockets.get(socketId);
+            people.push({
+                id: socketId,
+                username: spectator.username,
+                role: spectator.watchOnly ? 'spectator' : 'dead',
+                mass: 0,
+                score: 0,
+                cells: 0,
+                team: null,
+                address: socket ? socket.handshake.address : null,
+                accountId: null
+            });
+        }
+        return people;
+    }
+    
     // Send the current player count to all clients
     broadcastPlayerCount() {
-        this.io.emit('playerCount', {
-            count: this.players.size,
-            max: this.maxPlayers
+        this.broadcast('playerCount', {
+            count: this.entities.size,
+            max: this.maxPlayers,
+            spectators: this.getSpectatorCount()
         });
     }
 }
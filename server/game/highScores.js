@@ -0,0 +1,144 @@
+// High-score boards
+//
+// Every finished life of a person (bots don't count) is offered to three boards:
+// today's, this week's and all time. A board keeps its best lives by final score.
+// The daily board starts over at midnight UTC and the weekly one on Monday (ISO
+// weeks). The boards are saved to a JSON file, so they survive restarts.
+
+const { JsonFile } = require('./jsonFile');
+
+const STORE_VERSION = 1;
+const BOARDS = ['daily', 'weekly', 'alltime'];
+
+class HighScoreStore {
+    constructor(options = {}) {
+        // Settings
+        this.file = options.file || null; // JSON file the boards are kept in, memory only without one
+        this.boardSize = options.boardSize || 100; // Entries each board keeps
+
+        // State
+        this.boards = {}; // Map of board -> { period, entries }, entries best first
+        for (const board of BOARDS) {
+            this.boards[board] = { period: getPeriod(board, new Date()), entries: [] };
+        }
+        this.store = this.file ? new JsonFile(this.file, () => this.serialize(), { saveDelay: options.saveDelay }) : null;
+
+        this.load();
+    }
+
+    // Offer a finished life to every board: { name, signedIn, mode, score, mass, timeAlive }
+    record(life) {
+        const score = Math.floor(life.score);
+        if (score <= 0) return;
+
+        const now = new Date();
+        const entry = {
+            name: life.name,
+            signedIn: Boolean(life.signedIn),
+            mode: life.mode,
+            score: score,
+            mass: Math.floor(life.mass),
+            timeAlive: Math.floor(life.timeAlive),
+            time: now.toISOString()
+        };
+
+        let changed = false;
+        for (const board of BOARDS) {
+            const entries = this.getEntries(board, now);
+
+            // Not good enough for a full board
+            if (entries.length >= this.boardSize && score <= entries[entries.length - 1].score) continue;
+
+            // Earlier entries win ties
+            let index = entries.findIndex(other => other.score < score);
+            if (index === -1) index = entries.length;
+            entries.splice(index, 0, entry);
+            if (entries.length > this.boardSize) {
+                entries.pop();
+            }
+            changed = true;
+        }
+
+        if (changed && this.store) {
+            this.store.scheduleSave();
+        }
+    }
+
+    // The best `limit` entries of a board, or null for an unknown board
+    getBoard(board, limit = 10) {
+        if (!BOARDS.includes(board)) return null;
+
+        const entries = this.getEntries(board, new Date());
+        return {
+            board: board,
+            period: this.boards[board].period,
+            entries: entries.slice(0, limit).map((entry, index) => ({ rank: index + 1, ...entry }))
+        };
+    }
+
+    // A board's entries, emptied first if its day or week is over
+    getEntries(board, now) {
+        const current = this.boards[board];
+        const period = getPeriod(board, now);
+        if (current.period !== period) {
+            current.period = period;
+            current.entries = [];
+            if (this.store) {
+                this.store.scheduleSave();
+            }
+        }
+        return current.entries;
+    }
+
+    load() {
+        const data = this.store ? this.store.read() : null;
+        if (!data) return;
+
+        if (data.version !== STORE_VERSION) {
+            throw new Error(`High score file ${this.file} has version ${data.version}, expected ${STORE_VERSION}`);
+        }
+
+        for (const board of BOARDS) {
+            if (data.boards[board]) {
+                this.boards[board] = {
+                    period: data.boards[board].period,
+                    entries: data.boards[board].entries.slice(0, this.boardSize)
+                };
+            }
+        }
+
+        console.log(`[HIGHSCORE] Loaded ${this.boards.alltime.entries.length} all-time high scores from ${this.file}`);
+    }
+
+    // Write pending changes right away, for shutdown
+    flush() {
+        if (this.store) {
+            this.store.flush();
+        }
+    }
+
+    serialize() {
+        return {
+            version: STORE_VERSION,
+            boards: this.boards
+        };
+    }
+}
+
+// The day ("2024-05-17"), ISO week ("2024-W20") or "all" a board covers at this time, in UTC
+function getPeriod(board, date) {
+    if (board === 'daily') {
+        return date.toISOString().substring(0, 10);
+    }
+    if (board === 'weekly') {
+        // ISO weeks start on Monday, and week 1 holds the year's first Thursday
+        const thursday = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+        thursday.setUTCDate(thursday.getUTCDate() + 3 - (thursday.getUTCDay() + 6) % 7);
+        const yearStart = Date.UTC(thursday.getUTCFullYear(), 0, 1);
+        const week = Math.floor((thursday - yearStart) / (7 * 24 * 60 * 60 * 1000)) + 1;
+        return `${thursday.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+    }
+    return 'all';
+}
+
+module.exports = { HighScoreStore };
@@ -0,0 +1,136 @@
+// Per-client area of interest - decides which entities each socket receives
+
+// Game state collections and the broad-phase type they are registered under
+const ENTITY_CHANNELS = [
+    { key: 'players', type: 'player' },
+    { key: 'foods', type: 'food' },
+    { key: 'massOrbs', type: 'mass' },
+    { key: 'viruses', type: 'virus' }
+];
+
+class InterestManager {
+    constructor(physics, config = {}) {
+        this.physics = physics;
+
+        // View radius = base + player radius * scale, so bigger cells see further
+        this.baseViewRadius = config.baseViewRadius || 60;
+        this.viewRadiusScale = config.viewRadiusScale || 10;
+
+        // Entities only leave once they are this much further out than the view radius,
+        // which stops enter/leave spam for entities sitting right on the edge
+        this.leaveHysteresis = config.leaveHysteresis || 1.1;
+
+        this.views = new Map(); // Map of viewer id -> { players: Set, foods: Set, massOrbs: Set, viruses: Set, center, radius }
+    }
+
+    getViewRadius(player) {
+        // Spectator cameras have no cell and bring their own radius
+        if (player.viewRadius !== undefined) return player.viewRadius;
+        return this.baseViewRadius + player.radius * this.viewRadiusScale;
+    }
+
+    // Recompute what a viewer can see. `collections` holds the authoritative entity maps
+    // keyed like ENTITY_CHANNELS, used to drop stale broad-phase entries.
+    update(viewerId, player, collections) {
+        const viewRadius = this.getViewRadius(player);
+        const leaveRadius = viewRadius * this.leaveHysteresis;
+
+        let view = this.views.get(viewerId);
+        if (!view) {
+            view = { center: { x: 0, y: 0, z: 0 }, radius: 0 };
+            for (const { key } of ENTITY_CHANNELS) {
+                view[key] = new Set();
+            }
+            this.views.set(viewerId, view);
+        }
+
+        // Remembered for events about entities that aren't in any view set yet
+        view.center.x = player.position.x;
+        view.center.y = player.position.y;
+        view.center.z = player.position.z;
+        view.radius = viewRadius;
+
+        const result = { visible: {}, entered: {}, left: {} };
+
+        for (const { key, type } of ENTITY_CHANNELS) {
+            const collection = collections[key];
+            const previous = view[key];
+            const current = new Set();
+            const visible = [];
+            const entered = [];
+
+            if (collection) {
+                const candidates = this.physics.queryNearby(player.position, leaveRadius, type);
+
+                for (const entity of candidates) {
+                    if (collection.get(entity.id) !== entity) continue;
+
+                    // Already-visible entities get the wider leave radius
+                    const wasVisible = previous.has(entity.id);
+                    const radius = wasVisible ? leaveRadius : viewRadius;
+                    if (!this.isWithin(player.position, radius, entity)) continue;
+
+                    current.add(entity.id);
+                    visible.push(entity);
+                    if (!wasVisible) {
+                        entered.push(entity);
+                    }
+                }
+            }
+
+            const left = [];
+            for (const id of previous) {
+                if (!current.has(id)) {
+                    left.push(id);
+                }
+            }
+
+            view[key] = current;
+            result.visible[key] = visible;
+            result.entered[key] = entered;
+            result.left[key] = left;
+        }
+
+        return result;
+    }
+
+    // Viewers that currently see the entity with this id ('players', 'foods', 'massOrbs' or 'viruses')
+    getViewersOf(key, id) {
+        const viewers = [];
+        for (const [viewerId, view] of this.views) {
+            if (view[key].has(id)) {
+                viewers.push(viewerId);
+            }
+        }
+        return viewers;
+    }
+
+    // Viewers whose view radius covered this entity at their last update
+    getViewersAt(entity) {
+        const viewers = [];
+        for (const [viewerId, view] of this.views) {
+            if (this.isWithin(view.center, view.radius, entity)) {
+                viewers.push(viewerId);
+            }
+        }
+        return viewers;
+    }
+
+    removeViewer(viewerId) {
+        this.views.delete(viewerId);
+    }
+
+    isWithin(center, radius, entity) {
+        const position = entity.position;
+
+        // Mass orbs store positions as arrays, everything else uses Vector3
+        const dx = (Array.isArray(position) ? position[0] : position.x) - center.x;
+        const dy = (Array.isArray(position) ? position[1] : position.y) - center.y;
+        const dz = (Array.isArray(position) ? position[2] : position.z) - center.z;
+        const reach = radius + this.physics.getCollisionRadius(entity);
+
+        return dx * dx + dy * dy + dz * dz <= reach * reach;
+    }
+}
+
+module.exports = { InterestManager };
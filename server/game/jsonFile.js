@@ -0,0 +1,104 @@
+// A JSON document on disk that an in-memory store is saved to
+//
+// Changes are written shortly after they happen, batched, and in the background so
+// the game loop never waits on the disk. Writes go to a temporary file that is then
+// renamed over the real one, so a crash mid-write never leaves half a document.
+// flush() writes synchronously for shutdown; a background save still running then
+// is out of date and is thrown away instead of landing on top of it.
+
+const fs = require('fs');
+const path = require('path');
+
+class JsonFile {
+    // serialize() returns the document to write
+    constructor(file, serialize, options = {}) {
+        this.file = file;
+        this.serialize = serialize;
+        this.saveDelay = options.saveDelay || 2000; // ms - changes within this are written together
+
+        this.saveTimer = null;
+        this.saving = false;
+        this.dirty = false;
+        this.generation = 0; // Counts writes started, only the latest may reach the file
+    }
+
+    // The document as last saved, or null if there is none yet
+    read() {
+        if (!fs.existsSync(this.file)) return null;
+        return JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    }
+
+    // Write soon, batching whatever else changes until then
+    scheduleSave() {
+        this.dirty = true;
+        if (this.saveTimer || this.saving) return;
+
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.save();
+        }, this.saveDelay);
+    }
+
+    save() {
+        const temporaryFile = `${this.file}.tmp`;
+        try {
+            fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        } catch (error) {
+            // Still unsaved, the next change tries again
+            this.dirty = true;
+            this.reportSaveError(error);
+            return;
+        }
+
+        this.dirty = false;
+        this.saving = true;
+        const generation = ++this.generation;
+
+        fs.writeFile(temporaryFile, JSON.stringify(this.serialize()), (error) => {
+            if (generation !== this.generation) {
+                // flush() has written newer data since
+                fs.rmSync(temporaryFile, { force: true });
+            } else {
+                if (!error) {
+                    try {
+                        fs.renameSync(temporaryFile, this.file);
+                    } catch (renameError) {
+                        error = renameError;
+                    }
+                }
+                if (error) {
+                    this.reportSaveError(error);
+                }
+            }
+
+            this.saving = false;
+            if (this.dirty) {
+                this.scheduleSave();
+            }
+        });
+    }
+
+    reportSaveError(error) {
+        console.error(`[STORE] Could not save ${this.file}:`, error);
+    }
+
+    // Write pending changes right away, for shutdown
+    flush() {
+        if (this.saveTimer) {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
+        }
+        // A background save still running counts too, the process may exit before it lands
+        if (!this.dirty && !this.saving) return;
+
+        this.dirty = false;
+        this.generation++;
+
+        const temporaryFile = `${this.file}.flush.tmp`;
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        fs.writeFileSync(temporaryFile, JSON.stringify(this.serialize()));
+        fs.renameSync(temporaryFile, this.file);
+    }
+}
+
+module.exports = { JsonFile };
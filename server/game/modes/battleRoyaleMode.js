@@ -0,0 +1,108 @@
+// Battle royale - last cell standing
+//
+// No respawns during a round and the world bounds close in over time. The round
+// ends when only one player is left, or when time runs out, in which case the
+// biggest survivor wins. Late joiners, and anyone already knocked out, watch until
+// the next round.
+
+const { TimedRoundMode } = require('./timedRoundMode');
+
+class BattleRoyaleMode extends TimedRoundMode {
+    constructor(server, options = {}) {
+        super(server, { roundDuration: 240, intermissionDuration: 10, ...options });
+        this.id = 'battleroyale';
+        this.name = 'Battle royale';
+        this.stateInterval = 0.5; // Clients mirror the shrinking bounds
+
+        this.shrinkDelay = options.shrinkDelay || 30; // Seconds at full size before the bounds start closing in
+        this.minBoundsScale = options.minBoundsScale || 0.1; // Fraction of the world left open at the end
+        this.joinWindow = options.joinWindow || 15; // Seconds into a round that new players may still join
+
+        this.contenders = 0; // Players who took part in this round
+        this.eliminated = new Set(); // Ids of players who died or left this round, kept out until the next
+    }
+
+    getElapsed() {
+        return this.roundDuration - this.timeLeft;
+    }
+
+    // The join window is for new entrants only, it is no second life
+    canJoin(socketId) {
+        if (!this.isPlaying()) return true;
+        return !this.eliminated.has(socketId) && this.getElapsed() < this.joinWindow;
+    }
+
+    onJoin(entity) {
+        if (this.isPlaying()) {
+            this.contenders++;
+        }
+    }
+
+    onTick(deltaTime) {
+        super.onTick(deltaTime);
+
+        if (this.isPlaying()) {
+            this.server.setBoundsScale(this.getBoundsScale());
+        }
+    }
+
+    // Full size for the first few seconds, then linearly down to the minimum at the end
+    getBoundsScale() {
+        const shrinkTime = this.roundDuration - this.shrinkDelay;
+        const progress = Math.max(0, Math.min(1, (this.getElapsed() - this.shrinkDelay) / shrinkTime));
+        return 1 - (1 - this.minBoundsScale) * progress;
+    }
+
+    onDeath(entity, killer) {
+        this.eliminate(entity);
+    }
+
+    onLeave(entity) {
+        this.eliminate(entity);
+    }
+
+    eliminate(entity) {
+        if (this.isPlaying()) {
+            this.eliminated.add(entity.id);
+        }
+        this.checkLastStanding();
+    }
+
+    // A round someone played alone has no last player standing, it runs out the clock
+    checkLastStanding() {
+        if (!this.isPlaying() || this.contenders < 2) return;
+
+        if (this.server.entities.size <= 1) {
+            this.endRound(this.pickWinner());
+        }
+    }
+
+    // Survival is what counts, so the biggest player left wins
+    pickWinner() {
+        let winner = null;
+        for (const entity of this.server.entities.values()) {
+            if (!winner || entity.getMass() > winner.getMass()) {
+                winner = entity;
+            }
+        }
+        return winner;
+    }
+
+    startRound() {
+        this.contenders = 0;
+        this.eliminated.clear();
+        this.server.setBoundsScale(1);
+        super.startRound();
+    }
+
+    getState() {
+        return {
+            ...super.getState(),
+            boundsScale: this.server.physics.boundsScale,
+            alive: this.server.entities.size,
+            contenders: this.contenders
+        };
+    }
+}
+
+module.exports = { BattleRoyaleMode };
@@ -0,0 +1,55 @@
+// Game mode rules
+//
+// A GameServer asks its mode whenever a rule could differ between modes: when a
+// socket wants to play, when a player joins, dies or leaves, when one cell is
+// about to eat another and once per tick. This base class is the classic endless
+// free-for-all, the other modes override the hooks they care about.
+
+class GameMode {
+    constructor(server, options = {}) {
+        this.server = server;
+        this.id = 'ffa';
+        this.name = 'Free-for-all';
+
+        // Seconds between modeState broadcasts, 0 when the state never changes
+        this.stateInterval = 0;
+    }
+
+    // Whether a socket may start playing right now (joining or respawning)
+    canJoin(socketId) {
+        return true;
+    }
+
+    // A new player, before its first cell is placed - modes may change its color
+    onJoin(entity) {}
+
+    // A player disconnected, its cells are already gone
+    onLeave(entity) {}
+
+    // Once per tick, after the world has moved
+    onTick(deltaTime) {}
+
+    // Vetoed kills bounce off instead
+    canEat(predator, prey) {
+        return true;
+    }
+
+    // A player lost its last cell. killer is the eating entity, if it still plays.
+    onDeath(entity, killer) {}
+
+    // What clients show about the mode, sent with the world config and as modeState
+    getState() {
+        return {
+            id: this.id,
+            name: this.name
+        };
+    }
+
+    // Entities sorted by score, best first
+    getRanking() {
+        return Array.from(this.server.entities.values())
+            .sort((a, b) => b.getScore() - a.getScore());
+    }
+}
+
+module.exports = { GameMode };
@@ -0,0 +1,26 @@
+// Game modes by id - GameServer and the lobby pick from these
+
+const { GameMode } = require('./gameMode');
+const { TeamsMode } = require('./teamsMode');
+const { TimedRoundMode } = require('./timedRoundMode');
+const { BattleRoyaleMode } = require('./battleRoyaleMode');
+
+const GAME_MODES = {
+    ffa: GameMode,
+    teams: TeamsMode,
+    timed: TimedRoundMode,
+    battleroyale: BattleRoyaleMode
+};
+
+// Only the modes above - ids come from clients, so "constructor" and friends must not count
+function isGameMode(id) {
+    return typeof id === 'string' && Object.hasOwn(GAME_MODES, id);
+}
+
+// Unknown ids fall back to free-for-all
+function createGameMode(id, server, options = {}) {
+    const Mode = isGameMode(id) ? GAME_MODES[id] : GameMode;
+    return new Mode(server, options);
+}
+
+module.exports = { GAME_MODES, isGameMode, createGameMode };
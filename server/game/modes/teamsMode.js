@@ -0,0 +1,78 @@
+// Teams - players are split into colored teams that can't eat each other
+
+const { GameMode } = require('./gameMode');
+
+const TEAMS = [
+    { id: 'red', name: 'Red', color: '#ff5a5a' },
+    { id: 'blue', name: 'Blue', color: '#5a9bff' },
+    { id: 'green', name: 'Green', color: '#5aff8a' }
+];
+
+class TeamsMode extends GameMode {
+    constructor(server, options = {}) {
+        super(server, options);
+        this.id = 'teams';
+        this.name = 'Teams';
+        this.stateInterval = 1; // Team scores
+
+        this.teams = TEAMS.slice(0, Math.max(2, Math.min(TEAMS.length, options.teamCount || TEAMS.length)));
+    }
+
+    // Join the team with the fewest players and wear its color
+    onJoin(entity) {
+        const counts = new Map(this.teams.map(team => [team.id, 0]));
+        for (const other of this.server.entities.values()) {
+            if (other !== entity && counts.has(other.team)) {
+                counts.set(other.team, counts.get(other.team) + 1);
+            }
+        }
+
+        const team = this.teams.reduce((smallest, candidate) =>
+            counts.get(candidate.id) < counts.get(smallest.id) ? candidate : smallest);
+
+        entity.team = team.id;
+        entity.color = team.color;
+
+        console.log(`[TEAMS] Player ${entity.username} (${entity.id}) joined team ${team.name}`);
+    }
+
+    canEat(predator, prey) {
+        const predatorEntity = this.server.entities.get(predator.ownerId);
+        const preyEntity = this.server.entities.get(prey.ownerId);
+        return !predatorEntity || !preyEntity || predatorEntity.team !== preyEntity.team;
+    }
+
+    // Team leaderboard - scores and mass summed over the members
+    getStandings() {
+        const standings = this.teams.map(team => ({
+            id: team.id,
+            name: team.name,
+            color: team.color,
+            score: 0,
+            mass: 0,
+            players: 0
+        }));
+
+        for (const entity of this.server.entities.values()) {
+            const standing = standings.find(entry => entry.id === entity.team);
+            if (!standing) continue;
+
+            standing.score += entity.getScore();
+            standing.mass += entity.getMass();
+            standing.players++;
+        }
+
+        return standings
+            .map(standing => ({ ...standing, score: Math.floor(standing.score), mass: Math.floor(standing.mass) }))
+            .sort((a, b) => b.score - a.score);
+    }
+
+    getState() {
+        return {
+            ...super.getState(),
+            teams: this.getStandings()
+        };
+    }
+}
+
+module.exports = { TeamsMode };
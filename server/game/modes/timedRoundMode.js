@@ -0,0 +1,95 @@
+// Timed rounds - free-for-all against the clock
+//
+// The best score when time runs out wins the round. After a short intermission
+// (winner screen, nobody can be eaten) everyone starts over with a fresh cell.
+
+const { GameMode } = require('./gameMode');
+
+class TimedRoundMode extends GameMode {
+    constructor(server, options = {}) {
+        super(server, options);
+        this.id = 'timed';
+        this.name = 'Timed rounds';
+        this.stateInterval = 1; // Round clock
+
+        this.roundDuration = options.roundDuration || 300; // Seconds
+        this.intermissionDuration = options.intermissionDuration || 10; // Seconds the winner screen stays up
+
+        this.round = 1;
+        this.phase = 'playing'; // 'playing' or 'intermission'
+        this.timeLeft = this.roundDuration; // In the current phase
+    }
+
+    isPlaying() {
+        return this.phase === 'playing';
+    }
+
+    onTick(deltaTime) {
+        this.timeLeft = Math.max(0, this.timeLeft - deltaTime);
+        if (this.timeLeft > 0) return;
+
+        if (this.isPlaying()) {
+            this.endRound(this.pickWinner());
+        } else {
+            this.startRound();
+        }
+    }
+
+    // Nobody gets eaten while the winner screen is up
+    canEat(predator, prey) {
+        return this.isPlaying();
+    }
+
+    pickWinner() {
+        return this.getRanking()[0] || null;
+    }
+
+    endRound(winner) {
+        this.phase = 'intermission';
+        this.timeLeft = this.intermissionDuration;
+
+        const result = {
+            round: this.round,
+            winner: winner ? {
+                id: winner.id,
+                username: winner.username,
+                score: Math.floor(winner.getScore()),
+                mass: Math.floor(winner.getMass())
+            } : null,
+            standings: this.getRanking().slice(0, 10).map(entity => ({
+                id: entity.id,
+                username: entity.username,
+                score: Math.floor(entity.getScore())
+            })),
+            nextRoundIn: this.intermissionDuration
+        };
+
+        console.log(`[ROUND] Round ${this.round} of ${this.name} is over - Winner: ${winner ? `${winner.username} (${winner.id})` : 'nobody'}`);
+
+        this.server.broadcast('roundEnded', result);
+        this.server.broadcast('modeState', this.getState());
+    }
+
+    startRound() {
+        this.phase = 'playing';
+        this.timeLeft = this.roundDuration;
+        this.round++;
+
+        this.server.restartRound();
+
+        console.log(`[ROUND] Round ${this.round} of ${this.name} started with ${this.server.entities.size} players`);
+
+        this.server.broadcast('roundStarted', this.getState());
+    }
+
+    getState() {
+        return {
+            ...super.getState(),
+            round: this.round,
+            phase: this.phase,
+            timeLeft: Math.ceil(this.timeLeft)
+        };
+    }
+}
+
+module.exports = { TimedRoundMode };
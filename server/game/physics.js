@@ -1,11 +1,44 @@
 // Server-side physics and collision detection
 
 const { Vector3 } = require('three');
+const { SpatialHash } = require('./spatialHash');
 
 class PhysicsSystem {
-    constructor(worldSize) {
+    constructor(worldSize, options = {}) {
         this.worldSize = worldSize;
+        this.planar = options.planar || false; // Pin everything to y=0 instead of the vertical bounds
+        this.boundsScale = 1; // Fraction of the world still open, game modes can shrink it
+        const cellSize = options.cellSize || 10;
         this.tempVector = new Vector3();
+        
+        // Broad phase shared by players, foods, mass orbs and viruses
+        this.grid = new SpatialHash(cellSize);
+        this.queryResults = []; // Reused between queries to avoid per-tick allocations
+    }
+    
+    // Register an entity ('player', 'food', 'mass' or 'virus') with the broad phase
+    addEntity(entity, type) {
+        this.grid.insert(entity, type, this.getCollisionRadius(entity));
+    }
+    
+    // Re-bucket an entity after it moved or changed size
+    updateEntity(entity) {
+        this.grid.update(entity, this.getCollisionRadius(entity));
+    }
+    
+    removeEntity(id) {
+        this.grid.remove(id);
+    }
+    
+    // Find registered entities of a type whose cells overlap the given sphere
+    queryNearby(position, radius, type) {
+        return this.grid.query(position, radius, type, []);
+    }
+    
+    getCollisionRadius(entity) {
+        // Food has no radius property, its collision size comes from its scale
+        if (entity.radius !== undefined) return entity.radius;
+        return entity.scale ? entity.scale.x : 0;
     }
     
     update(deltaTime, players, foods) {
@@ -20,6 +53,15 @@ class PhysicsSystem {
             // Keep player within world boundaries
             this.constrainToWorld(player);
             
+            // Keep the broad phase in sync (registers players the caller didn't add)
+            if (this.grid.has(player.id)) {
+                this.updateEntity(player);
+            } else {
+                this.addEntity(player, 'player');
+            }
+        }
+        
+        for (const player of players.values()) {
             // Check for food collisions
             const consumedFood = this.checkFoodCollisions(player, foods);
             if (consumedFood.length > 0) {
@@ -27,29 +69,33 @@ class PhysicsSystem {
             }
         }
         
-        // Check for player-player collisions
-        this.checkPlayerCollisions(players);
-        
         // Return all consumed food
         return allConsumedFood;
     }
     
+    // Half the open world along each axis
+    getHalfExtents() {
+        return {
+            x: this.worldSize.x / 2 * this.boundsScale,
+            y: this.worldSize.y / 2 * this.boundsScale,
+            z: this.worldSize.z / 2 * this.boundsScale
+        };
+    }
+    
     constrainToWorld(player) {
         // Calculate half-sizes for boundaries
-        const halfX = this.worldSize.x / 2;
-        const halfY = this.worldSize.y / 2;
-        const halfZ = this.worldSize.z / 2;
+        const { x: halfX, y: halfY, z: halfZ } = this.getHalfExtents();
         
         // Constrain player position to world boundaries
         player.position.x = Math.max(-halfX, Math.min(halfX, player.position.x));
-        player.position.y = Math.max(-halfY, Math.min(halfY, player.position.y));
+        player.position.y = this.planar ? 0 : Math.max(-halfY, Math.min(halfY, player.position.y));
         player.position.z = Math.max(-halfZ, Math.min(halfZ, player.position.z));
         
         // If player hit a boundary, zero out velocity in that direction
         if (player.position.x === -halfX || player.position.x === halfX) {
             player.velocity.x = 0;
         }
-        if (player.position.y === -halfY || player.position.y === halfY) {
+        if (this.planar || player.position.y === -halfY || player.position.y === halfY) {
             player.velocity.y = 0;
         }
         if (player.position.z === -halfZ || player.position.z === halfZ) {
@@ -58,10 +104,16 @@ class PhysicsSystem {
     }
     
     checkFoodCollisions(player, foods) {
-        // Optimized food collision detection
+        // Only test food sharing a grid cell with the player
         const foodsToRemove = [];
+        const candidates = this.grid.query(player.position, player.radius, 'food', this.queryResults);
         
-        for (const [foodId, food] of foods.entries()) {
+        for (const food of candidates) {
+            const foodId = food.id;
+            
+            // Skip stale entries for food the caller already removed
+            if (foods.get(foodId) !== food) continue;
+            
             // Check if player can consume the food
             if (this.sphereCollision(
                 player.position, player.radius,
@@ -79,22 +131,31 @@ class PhysicsSystem {
                 
                 // Grow player
                 player.grow(foodValue);
+                
+                // Unregister right away so no other player eats it this tick
+                this.removeEntity(foodId);
             }
         }
         
+        candidates.length = 0;
+        
         // Return list of consumed food with details
         return foodsToRemove;
     }
     
-    checkPlayerCollisions(players) {
-        // Check for collisions between players
-        const playerArray = Array.from(players.values());
-        
-        for (let i = 0; i < playerArray.length; i++) {
-            const player1 = playerArray[i];
+    // canEat(predator, prey) lets the game mode veto a kill, those cells bounce instead
+    checkPlayerCollisions(players, canEat = () => true) {
+        // Check for collisions between players that share a grid cell
+        for (const player1 of players.values()) {
+            const candidates = this.grid.query(player1.position, player1.radius, 'player', this.queryResults);
             
-            for (let j = i + 1; j < playerArray.length; j++) {
-                const player2 = playerArray[j];
+            for (const player2 of candidates) {
+                // Visit each pair once and skip stale entries for removed players
+                if (player2.id <= player1.id || players.get(player2.id) !== player2) continue;
+                
+                // Cells of the same player never eat or bounce off each other, their
+                // PlayerEntity keeps them apart until they can merge
+                if (player1.ownerId && player1.ownerId === player2.ownerId) continue;
                 
                 // Check if players collide
                 if (this.sphereCollision(
@@ -102,14 +163,16 @@ class PhysicsSystem {
                     player2.position, player2.radius
                 )) {
                     // Handle player-player collision
-                    if (player1.mass > player2.mass * 1.2) {
+                    if (player1.mass > player2.mass * 1.2 && canEat(player1, player2)) {
                         // Player 1 consumes player 2
                         player1.consumePlayer(player2);
+                        candidates.length = 0;
                         return { predator: player1, prey: player2 };
                     }
-                    else if (player2.mass > player1.mass * 1.2) {
+                    else if (player2.mass > player1.mass * 1.2 && canEat(player2, player1)) {
                         // Player 2 consumes player 1
                         player2.consumePlayer(player1);
+                        candidates.length = 0;
                         return { predator: player2, prey: player1 };
                     }
                     else {
@@ -118,6 +181,8 @@ class PhysicsSystem {
                     }
                 }
             }
+            
+            candidates.length = 0;
         }
         
         return null; // No consumption occurred
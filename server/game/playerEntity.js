@@ -0,0 +1,267 @@
+// A player and the cells it controls
+//
+// Every cell is a ServerPlayer in GameServer.players, so physics, interest and
+// snapshots work on cells unchanged. The entity owns the input queue, steers
+// its cells, keeps siblings apart and merges them back once their cooldown ends.
+//
+// The cell whose id matches the entity id is the primary cell. The client predicts
+// it and the camera follows it, so siblings move out of its way rather than the
+// other way round, and another cell takes over its id if it is eaten.
+
+const { Vector3 } = require('three');
+
+class PlayerEntity {
+    constructor(config) {
+        this.id = config.id;
+        this.username = config.username;
+        this.color = config.color;
+        this.team = null; // Team id, in modes that have teams
+        this.isBot = config.isBot || false; // Played by a server-side bot, not a socket
+        this.accountId = config.accountId || null; // Signed-in account its lives count towards
+        this.cells = []; // ServerPlayer cells, primary included
+
+        // Input state - the server moves cells from these, never from client positions
+        this.inputDirection = new Vector3(0, 0, 0); // Normalized move direction (zero = stand still)
+        this.inputQueue = []; // Inputs received but not yet simulated, one is consumed per tick
+        this.lastInputSequence = 0; // Sequence number of the last simulated input
+        this.maxQueuedInputs = 8; // Older inputs are dropped past this to bound latency
+
+        // Cell limits and merging
+        this.maxCells = config.maxCells || 16;
+        this.mergeBaseTime = config.mergeBaseTime !== undefined ? config.mergeBaseTime : 10; // Seconds
+        this.mergeTimePerMass = config.mergeTimePerMass !== undefined ? config.mergeTimePerMass : 0.1; // Extra seconds per unit of mass
+        this.cohesion = 0.5; // How strongly siblings steer back towards the primary cell
+        this.softness = 0.3; // Fraction of a sibling overlap resolved per tick
+
+        // Stats of cells that are gone (eaten or merged), so splitting never loses score
+        this.bankedScore = 0;
+        this.bankedFoodEaten = 0;
+        this.bankedPlayersEaten = 0;
+        this.timeAlive = 0;
+        this.highestMass = 0; // Peak total mass, reported in the death summary
+
+        this.nextCellIndex = 0;
+    }
+
+    getPrimaryCell() {
+        return this.cells.find(cell => cell.id === this.id) || null;
+    }
+
+    addCell(cell) {
+        cell.ownerId = this.id;
+        cell.lastInputSequence = this.lastInputSequence;
+        this.cells.push(cell);
+    }
+
+    removeCell(cell) {
+        const index = this.cells.indexOf(cell);
+        if (index === -1) return;
+
+        this.cells.splice(index, 1);
+        this.bankedScore += cell.score;
+        this.bankedFoodEaten += cell.foodEaten;
+        this.bankedPlayersEaten += cell.playersEaten;
+    }
+
+    isAlive() {
+        return this.cells.length > 0;
+    }
+
+    nextCellId() {
+        return `${this.id}_cell_${this.nextCellIndex++}`;
+    }
+
+    getMass() {
+        return this.cells.reduce((sum, cell) => sum + cell.mass, 0);
+    }
+
+    getScore() {
+        return this.cells.reduce((sum, cell) => sum + cell.score, this.bankedScore);
+    }
+
+    getFoodEaten() {
+        return this.cells.reduce((sum, cell) => sum + cell.foodEaten, this.bankedFoodEaten);
+    }
+
+    getPlayersEaten() {
+        return this.cells.reduce((sum, cell) => sum + cell.playersEaten, this.bankedPlayersEaten);
+    }
+
+    queueInput(input) {
+        // Drop stale or replayed inputs
+        if (input.seq <= this.lastInputSequence) return;
+
+        this.inputQueue.push(input);
+
+        // If the client is running ahead, drop the oldest inputs but keep their
+        // one-shot actions so a boost or split press is never lost
+        while (this.inputQueue.length > this.maxQueuedInputs) {
+            const dropped = this.inputQueue.shift();
+            this.inputQueue[0].boost = this.inputQueue[0].boost || dropped.boost;
+            this.inputQueue[0].split = this.inputQueue[0].split || dropped.split;
+        }
+    }
+
+    // Take the next input to simulate this tick, or null to keep the current one
+    consumeInput() {
+        const input = this.inputQueue.shift();
+        if (!input) return null;
+
+        this.inputDirection.copy(input.direction);
+        this.lastInputSequence = input.seq;
+        for (const cell of this.cells) {
+            cell.lastInputSequence = input.seq;
+        }
+
+        return input;
+    }
+
+    // Point every cell for this tick. The primary follows the input exactly (that's
+    // what the client predicts), siblings also drift back towards it.
+    steerCells() {
+        const primary = this.getPrimaryCell();
+        const direction = new Vector3();
+
+        for (const cell of this.cells) {
+            direction.copy(this.inputDirection);
+
+            if (primary && cell !== primary) {
+                const toPrimary = new Vector3().subVectors(primary.position, cell.position);
+                if (toPrimary.lengthSq() > 0) {
+                    direction.addScaledVector(toPrimary.normalize(), this.cohesion);
+                }
+            }
+
+            if (direction.lengthSq() > 1) {
+                direction.normalize();
+            }
+            cell.steer(direction);
+        }
+    }
+
+    // Split every cell big enough, up to the cell limit. Returns the new cell configs
+    // (ids assigned) for the caller to create and register.
+    split(minMass) {
+        const fragmentConfigs = [];
+
+        for (const cell of this.cells.slice()) {
+            if (this.cells.length + fragmentConfigs.length >= this.maxCells) break;
+            if (cell.mass < minMass) continue;
+
+            const fragmentConfig = cell.split();
+            if (!fragmentConfig) continue;
+
+            fragmentConfig.id = this.nextCellId();
+            fragmentConfig.mergeCooldown = this.getMergeCooldown(fragmentConfig.mass);
+            cell.mergeCooldown = this.getMergeCooldown(cell.mass);
+            fragmentConfigs.push(fragmentConfig);
+        }
+
+        return fragmentConfigs;
+    }
+
+    // Pop a cell on a virus, limited by the room left for new cells
+    pop(cell, maxPieces, planar = false) {
+        const room = this.maxCells - this.cells.length + 1;
+        const fragmentConfigs = cell.pop(Math.min(maxPieces, room), planar);
+
+        for (const fragmentConfig of fragmentConfigs) {
+            fragmentConfig.id = this.nextCellId();
+            fragmentConfig.mergeCooldown = this.getMergeCooldown(fragmentConfig.mass);
+        }
+        if (fragmentConfigs.length > 0) {
+            cell.mergeCooldown = this.getMergeCooldown(cell.mass);
+        }
+
+        return fragmentConfigs;
+    }
+
+    getMergeCooldown(mass) {
+        // Bigger cells take longer to merge back
+        return this.mergeBaseTime + mass * this.mergeTimePerMass;
+    }
+
+    update(deltaTime) {
+        this.timeAlive += deltaTime;
+        this.highestMass = Math.max(this.highestMass, this.getMass());
+
+        for (const cell of this.cells) {
+            if (cell.mergeCooldown > 0) {
+                cell.mergeCooldown = Math.max(0, cell.mergeCooldown - deltaTime);
+            }
+        }
+    }
+
+    // Push apart siblings that can't merge yet and merge the ones that can.
+    // Returns the cells absorbed by a merge, already removed from this entity.
+    resolveCells() {
+        const merged = [];
+        const primary = this.getPrimaryCell();
+
+        for (let i = 0; i < this.cells.length; i++) {
+            for (let j = i + 1; j < this.cells.length; j++) {
+                const a = this.cells[i];
+                const b = this.cells[j];
+
+                const offset = new Vector3().subVectors(b.position, a.position);
+                const distance = offset.length();
+
+                if (a.mergeCooldown <= 0 && b.mergeCooldown <= 0) {
+                    // Merge once one cell's center is inside the other
+                    if (distance < Math.max(a.radius, b.radius)) {
+                        // The primary always survives, otherwise the bigger cell does
+                        const survivor = a === primary || (b !== primary && a.mass >= b.mass) ? a : b;
+                        const absorbed = survivor === a ? b : a;
+
+                        survivor.mass += absorbed.mass;
+                        survivor.updateSize();
+                        this.removeCell(absorbed);
+                        merged.push({ survivor, absorbed });
+
+                        // The list changed, start this cell's pairs over
+                        j = i;
+                    }
+                    continue;
+                }
+
+                const overlap = a.radius + b.radius - distance;
+                if (overlap <= 0) continue;
+
+                // Cells on the same spot get pushed apart along any axis
+                if (distance > 0) {
+                    offset.divideScalar(distance);
+                } else {
+                    offset.set(1, 0, 0);
+                }
+
+                const push = overlap * this.softness;
+                if (a === primary) {
+                    b.position.addScaledVector(offset, push);
+                } else if (b === primary) {
+                    a.position.addScaledVector(offset, -push);
+                } else {
+                    // Lighter cells give way more
+                    const total = a.mass + b.mass;
+                    a.position.addScaledVector(offset, -push * (b.mass / total));
+                    b.position.addScaledVector(offset, push * (a.mass / total));
+                }
+            }
+        }
+
+        return merged;
+    }
+
+    // Hand the entity id to another cell once the primary is gone. Returns the
+    // promoted cell (with its old id in `previousId`), or null.
+    promotePrimary() {
+        if (this.getPrimaryCell() || this.cells.length === 0) return null;
+
+        const cell = this.cells.reduce((biggest, candidate) => candidate.mass > biggest.mass ? candidate : biggest);
+        const previousId = cell.id;
+        cell.id = this.id;
+
+        return { cell, previousId };
+    }
+}
+
+module.exports = { PlayerEntity };
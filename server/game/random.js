@@ -0,0 +1,57 @@
+// Seeded pseudo-random numbers for the simulation
+//
+// Everything random that affects the world (spawns, colors, food hover, bots) draws
+// from one of these instead of Math.random, so a world built from the same seed and
+// fed the same inputs plays out exactly the same way.
+
+class SeededRandom {
+    constructor(seed) {
+        this.seed = SeededRandom.normalizeSeed(seed);
+        this.state = this.seed;
+    }
+
+    // Seeds are 32-bit unsigned integers; strings are hashed so "lobby-1" works too
+    static normalizeSeed(seed) {
+        if (typeof seed === 'string') {
+            let hash = 2166136261;
+            for (let i = 0; i < seed.length; i++) {
+                hash = Math.imul(hash ^ seed.charCodeAt(i), 16777619);
+            }
+            return hash >>> 0;
+        }
+        if (Number.isFinite(seed)) {
+            return Math.floor(seed) >>> 0;
+        }
+        return Math.floor(Math.random() * 0x100000000) >>> 0;
+    }
+
+    // Float in [0, 1), a drop-in for Math.random (mulberry32)
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    }
+
+    // Float in [min, max)
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    // Integer in [min, max]
+    int(min, max) {
+        return min + Math.floor(this.next() * (max - min + 1));
+    }
+
+    // The generator's position, to save and later resume the exact sequence
+    getState() {
+        return this.state;
+    }
+
+    setState(state) {
+        this.state = state >>> 0;
+    }
+}
+
+module.exports = { SeededRandom };
@@ -0,0 +1,232 @@
+// Match recording
+//
+// Writes an arena's game to a gzipped file of JSON lines while people are playing in
+// it: a header, then one frame per tick that had something to record. A frame holds
+// the inputs simulated that tick, the events sent to the room and, a few times a
+// second, where every cell is. Every few seconds a keyframe with the whole world is
+// written so the viewer can seek without playing the file from the start.
+//
+// Frame lines look like { t, i, e, s } or { t, k }:
+//   t - server tick
+//   i - inputs, [playerId, seq, dx, dy, dz, boost, split]
+//   e - events, [name, data]
+//   s - state sample: p = cells, full records the first time a cell appears and
+//       [id, x, y, z, mass, scale] after that; o = mass orbs, [id, x, y, z]
+//   k - keyframe: full players, foods, viruses, massOrbs and the mode state
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const REPLAY_VERSION = 1;
+const REPLAY_EXTENSION = '.replay.gz';
+
+class ReplayRecorder {
+    constructor(server, options = {}) {
+        this.server = server;
+
+        // Settings
+        this.directory = options.directory; // Where replay files are written
+        this.stateInterval = options.stateInterval || 3; // Ticks between cell position samples (20Hz)
+        this.keyframeInterval = options.keyframeInterval || 10; // Seconds between full world keyframes
+        this.maxDuration = options.maxDuration || 15 * 60; // Seconds before a long game continues in a new file
+
+        // State
+        this.stream = null; // Gzip stream of the file being written, null while not recording
+        this.fileName = null;
+        this.startTick = 0;
+        this.lastKeyframeTick = 0;
+        this.knownCells = new Set(); // Cells the file already has a full record of
+        this.inputs = []; // Collected during the current tick
+        this.events = [];
+    }
+
+    isRecording() {
+        return this.stream !== null;
+    }
+
+    // Record while anyone is connected, in files of at most maxDuration
+    update() {
+        const server = this.server;
+
+        if (this.isRecording()) {
+            this.writeFrame();
+
+            if (server.sockets.size === 0) {
+                this.stop();
+            } else if ((server.tick - this.startTick) / server.tickRate >= this.maxDuration) {
+                this.stop();
+                this.start();
+            }
+        } else if (server.getHumanCount() > 0) {
+            this.start();
+        }
+    }
+
+    start() {
+        const server = this.server;
+        const startedAt = new Date();
+
+        fs.mkdirSync(this.directory, { recursive: true });
+        this.fileName = `${server.room}_${startedAt.toISOString().replace(/[:.]/g, '-')}${REPLAY_EXTENSION}`;
+
+        this.stream = zlib.createGzip();
+        this.stream.pipe(fs.createWriteStream(path.join(this.directory, this.fileName)));
+        this.startTick = server.tick;
+        this.inputs = [];
+        this.events = [];
+
+        this.writeLine({
+            v: REPLAY_VERSION,
+            arena: server.room,
+            mode: server.mode.id,
+            seed: server.random.seed,
+            startTick: server.tick,
+            recordedAt: startedAt.toISOString(),
+            worldConfig: server.getWorldConfig()
+        });
+        this.writeKeyframe();
+
+        console.log(`[REPLAY] Recording ${server.room} to ${this.fileName}`);
+    }
+
+    stop() {
+        if (!this.isRecording()) return;
+
+        this.stream.end();
+        this.stream = null;
+
+        console.log(`[REPLAY] Saved ${this.fileName} (${((this.server.tick - this.startTick) / this.server.tickRate).toFixed(0)}s)`);
+    }
+
+    recordInput(playerId, input) {
+        if (!this.isRecording()) return;
+
+        const direction = input.direction.toArray ? input.direction.toArray() : input.direction;
+        this.inputs.push([
+            playerId,
+            input.seq,
+            round(direction[0], 3),
+            round(direction[1], 3),
+            round(direction[2], 3),
+            input.boost ? 1 : 0,
+            input.split ? 1 : 0
+        ]);
+    }
+
+    recordEvent(name, data) {
+        if (!this.isRecording()) return;
+
+        // Mass orbs are live objects that keep moving, copy them as they were
+        this.events.push([name, data && typeof data === 'object' ? JSON.parse(JSON.stringify(data)) : data]);
+    }
+
+    writeFrame() {
+        const server = this.server;
+
+        if (server.tick - this.lastKeyframeTick >= this.keyframeInterval * server.tickRate) {
+            // Events of this tick are already part of the keyframe's world
+            this.inputs = [];
+            this.events = [];
+            this.writeKeyframe();
+            return;
+        }
+
+        const frame = { t: server.tick };
+        if (this.inputs.length > 0) frame.i = this.inputs;
+        if (this.events.length > 0) frame.e = this.events;
+        if ((server.tick - this.startTick) % this.stateInterval === 0) {
+            frame.s = this.sampleState();
+        }
+
+        this.inputs = [];
+        this.events = [];
+
+        if (frame.i || frame.e || frame.s) {
+            this.writeLine(frame);
+        }
+    }
+
+    // Cells that disappeared are forgotten, so one that comes back (a respawn reuses
+    // its player's id) is written in full again
+    sampleState() {
+        const cells = [];
+        const present = new Set();
+        for (const player of this.server.players.values()) {
+            present.add(player.id);
+            if (this.knownCells.has(player.id)) {
+                cells.push([
+                    player.id,
+                    round(player.position.x, 2),
+                    round(player.position.y, 2),
+                    round(player.position.z, 2),
+                    round(player.mass, 2),
+                    round(player.scale.x, 2)
+                ]);
+            } else {
+                cells.push(player.toClientData());
+            }
+        }
+        this.knownCells = present;
+
+        const massOrbs = [];
+        for (const massOrb of (this.server.massOrbs || new Map()).values()) {
+            massOrbs.push([
+                massOrb.id,
+                round(massOrb.position[0], 2),
+                round(massOrb.position[1], 2),
+                round(massOrb.position[2], 2)
+            ]);
+        }
+
+        return { p: cells, o: massOrbs };
+    }
+
+    writeKeyframe() {
+        const server = this.server;
+        const players = Array.from(server.players.values()).map(player => player.toClientData());
+
+        this.knownCells = new Set(players.map(player => player.id));
+        this.lastKeyframeTick = server.tick;
+
+        this.writeLine({
+            t: server.tick,
+            k: {
+                players: players,
+                foods: Array.from(server.foods.values()).map(food => food.toClientData()),
+                viruses: Array.from(server.viruses.values()).map(virus => virus.toClientData()),
+                massOrbs: Array.from((server.massOrbs || new Map()).values()).map(massOrb => ({ ...massOrb })),
+                mode: server.mode.getState()
+            }
+        });
+    }
+
+    writeLine(record) {
+        this.stream.write(JSON.stringify(record) + '\n');
+    }
+}
+
+function round(value, digits) {
+    const factor = Math.pow(10, digits);
+    return Math.round(value * factor) / factor;
+}
+
+// Replay files in a directory, newest first
+function listReplays(directory) {
+    if (!fs.existsSync(directory)) return [];
+
+    return fs.readdirSync(directory)
+        .filter(file => file.endsWith(REPLAY_EXTENSION))
+        .map(file => {
+            const stats = fs.statSync(path.join(directory, file));
+            return { file: file, size: stats.size, modifiedAt: stats.mtime.toISOString() };
+        })
+        .sort((a, b) => b.modifiedAt.localeCompare(a.modifiedAt));
+}
+
+// Only plain replay file names, nothing that could point outside the directory
+function isReplayFileName(file) {
+    return /^[\w.-]+$/.test(file) && file.endsWith(REPLAY_EXTENSION);
+}
+
+module.exports = { ReplayRecorder, listReplays, isReplayFileName, REPLAY_VERSION };
@@ -0,0 +1,354 @@
+// Runs several arenas side by side
+//
+// Each arena is its own GameServer, broadcasting only to its own Socket.IO room.
+// Sockets pick an arena when they connect (?arena=<id>, ?invite=<code>, or nothing
+// to auto-join) and stay in it until they disconnect.
+
+const crypto = require('crypto');
+const { GameServer } = require('./gameServer');
+const { isGameMode } = require('./modes');
+const { AntiCheat } = require('./antiCheat');
+const { Chat } = require('./chat');
+
+// No 0/O or 1/I, invite codes get read out loud
+const INVITE_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+class RoomManager {
+    constructor(io, config = {}) {
+        this.io = io;
+
+        // Settings
+        this.maxArenas = config.maxArenas || 20; // Public and private together
+        this.idleArenaTimeout = config.idleArenaTimeout || 60; // Seconds an empty non-permanent arena is kept
+        this.inviteCodeLength = 6;
+        this.arenaDefaults = config.arenaDefaults || {}; // GameServer options for arenas created on demand
+        this.privateArenaBots = config.privateArenaBots || 0; // Bot population of private arenas, none by default
+        this.privateArenasPerAddress = config.privateArenasPerAddress || 2; // Private arenas one address may have open
+        this.privateArenaRateLimit = config.privateArenaRateLimit || 5; // Private arenas one address may create per window
+        this.privateArenaRateWindow = config.privateArenaRateWindow || 10 * 60; // Seconds
+
+        // Client event validation, shared by every arena so violations, kicks and bans
+        // follow a client wherever it connects
+        this.antiCheat = new AntiCheat(config.antiCheat);
+
+        // Accounts that signed-in players' lives count towards, none without a store
+        this.accounts = config.accounts || null;
+
+        // High-score boards every arena's finished lives are offered to
+        this.highScores = config.highScores || null;
+
+        // Chat moderation - mutes and announcements cover every arena
+        this.chat = new Chat(io, config.chat);
+
+        // State
+        this.arenas = new Map(); // Map of arena id -> { id, name, isPrivate, inviteCode, permanent, createdBy, server, emptySince }
+        this.arenaCreations = new Map(); // Map of address -> times (ms) it created a private arena within the rate window
+        this.nextArenaNumber = 1;
+
+        // Public arenas that always exist, at least one
+        const arenas = config.arenas && config.arenas.length > 0 ? config.arenas : [{}];
+        for (const options of arenas) {
+            this.createArena({ ...options, permanent: true });
+        }
+
+        this.io.on('connection', (socket) => {
+            this.handleConnection(socket);
+        });
+
+        // Close arenas nobody has been in for a while
+        this.cleanupInterval = setInterval(() => {
+            this.removeIdleArenas();
+        }, 10000);
+    }
+
+    createArena(options = {}) {
+        const number = this.nextArenaNumber++;
+        const id = `arena-${number}`;
+        const settings = { ...this.arenaDefaults };
+        for (const [key, value] of Object.entries(options)) {
+            if (value !== undefined) settings[key] = value;
+        }
+
+        const server = new GameServer(this.io, {
+            room: id,
+            maxPlayers: settings.maxPlayers,
+            maxSpectators: settings.maxSpectators,
+            movementMode: settings.movementMode,
+            mode: settings.mode,
+            modeOptions: settings.modeOptions,
+            bots: settings.bots,
+            replays: settings.replays,
+            autoStart: settings.autoStart,
+            logEvents: settings.logEvents,
+            antiCheat: this.antiCheat,
+            accounts: this.accounts,
+            highScores: this.highScores,
+            chat: this.chat,
+            // A shared seed still gives each arena its own world
+            seed: settings.seed !== undefined ? `${settings.seed}-${id}` : undefined
+        });
+        
+        const arena = {
+            id: id,
+            name: settings.name || `Arena ${number}`,
+            isPrivate: settings.isPrivate || false,
+            inviteCode: settings.isPrivate ? this.generateInviteCode() : null,
+            permanent: settings.permanent || false,
+            createdBy: settings.createdBy || null, // Address that asked for a private arena
+            server: server,
+            emptySince: Date.now()
+        };
+        this.arenas.set(id, arena);
+
+        console.log(`[ROOM] Created ${arena.isPrivate ? 'private' : 'public'} ${arena.server.mode.name} arena ${arena.name} (${id}) - Max players: ${arena.server.maxPlayers}`);
+
+        return arena;
+    }
+
+    // Private arenas are only reachable through their invite code. Returns null when
+    // the arena limit is reached. They have no bots unless privateArenaBots says so, and
+    // their game loop only runs while someone is in them.
+    createPrivateArena(options = {}, address = null) {
+        if (this.arenas.size >= this.maxArenas) return null;
+
+        if (address) {
+            const times = this.arenaCreations.get(address) || [];
+            times.push(Date.now());
+            this.arenaCreations.set(address, times);
+        }
+
+        return this.createArena({
+            name: options.name,
+            maxPlayers: options.maxPlayers,
+            movementMode: options.movementMode,
+            mode: isGameMode(options.mode) ? options.mode : undefined,
+            bots: { ...this.arenaDefaults.bots, targetPopulation: this.privateArenaBots },
+            autoStart: false,
+            isPrivate: true,
+            createdBy: address
+        });
+    }
+
+    // Why an address may not create another private arena right now, or null if it may.
+    // Each address gets a few open at a time and a few new ones per rate window.
+    checkPrivateArenaLimit(address) {
+        let open = 0;
+        for (const arena of this.arenas.values()) {
+            if (arena.isPrivate && arena.createdBy === address) open++;
+        }
+        if (open >= this.privateArenasPerAddress) {
+            return `You already have ${open} private rooms open.`;
+        }
+
+        const now = Date.now();
+        const times = (this.arenaCreations.get(address) || []).filter(time => now - time < this.privateArenaRateWindow * 1000);
+        this.arenaCreations.set(address, times);
+        if (times.length >= this.privateArenaRateLimit) {
+            return 'Too many private rooms created, try again later.';
+        }
+        return null;
+    }
+
+    generateInviteCode() {
+        let code;
+        do {
+            code = '';
+            for (let i = 0; i < this.inviteCodeLength; i++) {
+                code += INVITE_CODE_ALPHABET[crypto.randomInt(INVITE_CODE_ALPHABET.length)];
+            }
+        } while (this.getArenaByInviteCode(code));
+
+        return code;
+    }
+
+    getArenaByInviteCode(code) {
+        const normalized = String(code).trim().toUpperCase();
+        for (const arena of this.arenas.values()) {
+            if (arena.isPrivate && arena.inviteCode === normalized) {
+                return arena;
+            }
+        }
+        return null;
+    }
+
+    // Bots give up their place as people join, so only people count
+    isFull(arena) {
+        return arena.server.getHumanCount() >= arena.server.maxPlayers;
+    }
+
+    // The fullest public arena with room left keeps players together. When all of
+    // them are full a new one is opened, if the limit allows. Spectators don't need
+    // room and just get the busiest arena.
+    pickPublicArena(spectating = false) {
+        let best = null;
+        for (const arena of this.arenas.values()) {
+            if (arena.isPrivate || (!spectating && this.isFull(arena))) continue;
+            if (!best || arena.server.getHumanCount() > best.server.getHumanCount()) {
+                best = arena;
+            }
+        }
+
+        if (!best && this.arenas.size < this.maxArenas) {
+            best = this.createArena();
+        }
+
+        return best;
+    }
+
+    // Work out which arena a connecting socket asked for. Returns { arena, error }, where
+    // the error explains why the socket didn't get the arena it asked for. Sockets that
+    // only watch (spectate=1) can enter full arenas.
+    resolveArena(query) {
+        const spectating = query.spectate === '1';
+
+        if (query.invite) {
+            const arena = this.getArenaByInviteCode(query.invite);
+            if (!arena) {
+                return { arena: this.pickPublicArena(spectating), error: `No private room with invite code ${query.invite}.` };
+            }
+            if (!spectating && this.isFull(arena)) {
+                return { arena: this.pickPublicArena(spectating), error: `${arena.name} is full.` };
+            }
+            return { arena: arena, error: null };
+        }
+
+        if (query.arena && query.arena !== 'auto') {
+            const arena = this.arenas.get(query.arena);
+            if (!arena || arena.isPrivate) {
+                return { arena: this.pickPublicArena(spectating), error: 'That arena no longer exists.' };
+            }
+            if (!spectating && this.isFull(arena)) {
+                return { arena: this.pickPublicArena(spectating), error: `${arena.name} is full.` };
+            }
+            return { arena: arena, error: null };
+        }
+
+        return { arena: this.pickPublicArena(spectating), error: null };
+    }
+
+    handleConnection(socket) {
+        if (this.antiCheat.isBanned(socket.handshake.address)) {
+            console.log(`[CHEAT] Refused banned address ${socket.handshake.address} (${socket.id})`);
+            socket.emit('serverMessage', {
+                type: 'error',
+                message: 'You are temporarily banned from this server.'
+            });
+            socket.disconnect(true);
+            return;
+        }
+
+        const { arena, error } = this.resolveArena(socket.handshake.query || {});
+
+        if (!arena) {
+            socket.emit('serverMessage', {
+                type: 'error',
+                message: 'All arenas are full. Please try again later.'
+            });
+            socket.disconnect(true);
+            return;
+        }
+
+        if (error) {
+            socket.emit('serverMessage', {
+                type: 'warning',
+                message: `${error} Joined ${arena.name} instead.`
+            });
+        }
+
+        arena.emptySince = null;
+
+        // Private arenas sit still while nobody is in them
+        if (arena.isPrivate) {
+            arena.server.startGameLoop();
+        }
+
+        // Tell the client where it ended up (and the code to share, for private rooms)
+        socket.emit('arenaJoined', this.describeArena(arena, true));
+        console.log(`[ROOM] Socket ${socket.id} joined ${arena.name} (${arena.id})`);
+
+        arena.server.handleConnection(socket);
+
+        // Registered after the arena's own handler, so the socket is already gone from it
+        socket.on('disconnect', () => {
+            if (arena.server.sockets.size === 0) {
+                arena.emptySince = Date.now();
+                if (arena.isPrivate) {
+                    arena.server.stopGameLoop();
+                }
+            }
+        });
+    }
+
+    describeArena(arena, includeInviteCode = false) {
+        return {
+            id: arena.id,
+            name: arena.name,
+            isPrivate: arena.isPrivate,
+            inviteCode: includeInviteCode ? arena.inviteCode : undefined,
+            players: arena.server.getHumanCount(),
+            bots: arena.server.entities.size - arena.server.getHumanCount(),
+            maxPlayers: arena.server.maxPlayers,
+            spectators: arena.server.getSpectatorCount(),
+            movementMode: arena.server.movementMode,
+            mode: arena.server.mode.id,
+            modeName: arena.server.mode.name
+        };
+    }
+
+    // Lobby listing - private arenas stay hidden
+    listPublicArenas() {
+        return Array.from(this.arenas.values())
+            .filter(arena => !arena.isPrivate)
+            .map(arena => this.describeArena(arena));
+    }
+
+    // Disconnect every socket from an address, with a message saying why. Returns how many.
+    disconnectAddress(address, message) {
+        let count = 0;
+        for (const socket of Array.from(this.io.sockets.sockets.values())) {
+            if (socket.handshake.address !== address) continue;
+
+            socket.emit('serverMessage', { type: 'error', message: message });
+            socket.disconnect(true);
+            count++;
+        }
+        return count;
+    }
+
+    removeIdleArenas() {
+        const now = Date.now();
+
+        for (const arena of Array.from(this.arenas.values())) {
+            if (arena.permanent || arena.emptySince === null) continue;
+            if (now - arena.emptySince < this.idleArenaTimeout * 1000) continue;
+
+            arena.server.shutdown();
+            this.arenas.delete(arena.id);
+            console.log(`[ROOM] Closed idle arena ${arena.name} (${arena.id})`);
+        }
+
+        // Forget creation times that no longer count against anyone
+        for (const [address, times] of Array.from(this.arenaCreations)) {
+            if (times.every(time => now - time >= this.privateArenaRateWindow * 1000)) {
+                this.arenaCreations.delete(address);
+            }
+        }
+    }
+
+    getPlayerCount() {
+        let count = 0;
+        for (const arena of this.arenas.values()) {
+            count += arena.server.getHumanCount();
+        }
+        return count;
+    }
+
+    shutdown() {
+        clearInterval(this.cleanupInterval);
+        for (const arena of this.arenas.values()) {
+            arena.server.shutdown();
+        }
+    }
+}
+
+module.exports = { RoomManager };
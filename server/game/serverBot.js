@@ -0,0 +1,210 @@
+// Server-side bot brain
+//
+// A bot looks around its primary cell every so often and turns what it sees into
+// the same input commands a client sends: run from bigger cells, chase smaller
+// ones (splitting onto them when close), otherwise eat the nearest food.
+
+const { Vector3 } = require('three');
+const Movement = require('../../client/js/game/movement');
+
+const DIFFICULTIES = {
+    easy: {
+        reactionTime: 0.6,  // Seconds between decisions
+        viewScale: 0.6,     // Fraction of a player's view radius the bot pays attention to
+        aimError: 0.5,      // Random wobble added to every direction
+        fleeMargin: 5,      // Extra distance kept from bigger cells
+        splitKill: false,   // Whether the bot splits onto prey
+        boostToFlee: false  // Whether the bot boosts away from a threat that is about to catch it
+    },
+    normal: {
+        reactionTime: 0.3,
+        viewScale: 1,
+        aimError: 0.2,
+        fleeMargin: 15,
+        splitKill: true,
+        boostToFlee: false
+    },
+    hard: {
+        reactionTime: 0.1,
+        viewScale: 1.3,
+        aimError: 0,
+        fleeMargin: 25,
+        splitKill: true,
+        boostToFlee: true
+    }
+};
+
+class ServerBot {
+    constructor(config) {
+        this.id = config.id;
+        this.username = config.username;
+        this.color = config.color;
+        this.difficulty = DIFFICULTIES[config.difficulty] ? config.difficulty : 'normal';
+        this.settings = DIFFICULTIES[this.difficulty];
+        this.random = config.random; // The world's seeded generator, keeps bots reproducible
+
+        // Input stream, numbered like a client's
+        this.sequence = 0;
+        this.thinkTimer = this.random.next() * this.settings.reactionTime; // Spread bots over ticks
+
+        // Direction kept while there's nothing interesting in view
+        this.wanderDirection = this.randomDirection(config.planar);
+        this.wanderTimer = 0;
+    }
+
+    // Returns an input command when it's time to decide again, otherwise null
+    // (the server keeps simulating the last one)
+    update(deltaTime, entity, server) {
+        this.thinkTimer -= deltaTime;
+        this.wanderTimer -= deltaTime;
+        if (this.thinkTimer > 0) return null;
+        this.thinkTimer = this.settings.reactionTime;
+
+        const cell = entity.getPrimaryCell();
+        if (!cell) return null;
+
+        const decision = this.decide(cell, entity, server);
+
+        // Wobble, then drop the vertical part the server would drop anyway
+        const direction = decision.direction;
+        if (this.settings.aimError > 0 && direction.lengthSq() > 0) {
+            direction.add(this.randomDirection(server.isPlanar()).multiplyScalar(this.settings.aimError));
+        }
+        if (server.isPlanar()) {
+            direction.y = 0;
+        }
+        if (direction.lengthSq() > 0) {
+            direction.normalize();
+        }
+
+        return {
+            seq: ++this.sequence,
+            direction: direction.toArray(),
+            boost: decision.boost,
+            split: decision.split
+        };
+    }
+
+    decide(cell, entity, server) {
+        const viewRadius = (server.baseViewRadius + cell.radius * server.viewRadiusScale) * this.settings.viewScale;
+
+        // Closest bigger cell that could eat us and closest smaller one we could eat
+        let threat = null;
+        let threatDistance = Infinity;
+        let prey = null;
+        let preyDistance = Infinity;
+
+        for (const other of server.physics.queryNearby(cell.position, viewRadius, 'player')) {
+            if (other.ownerId === entity.id || server.players.get(other.id) !== other) continue;
+
+            // Distance between the two surfaces
+            const distance = cell.position.distanceTo(other.position) - cell.radius - other.radius;
+
+            if (other.mass > cell.mass * 1.2 && server.mode.canEat(other, cell)) {
+                if (distance < threatDistance) {
+                    threat = other;
+                    threatDistance = distance;
+                }
+            } else if (cell.mass > other.mass * 1.2 && server.mode.canEat(cell, other)) {
+                if (distance < preyDistance) {
+                    prey = other;
+                    preyDistance = distance;
+                }
+            }
+        }
+
+        // Danger first
+        if (threat && threatDistance < threat.radius + this.settings.fleeMargin) {
+            const away = new Vector3().subVectors(cell.position, threat.position);
+            return {
+                direction: this.awayFromWalls(away, cell, server),
+                boost: this.settings.boostToFlee && threatDistance < cell.radius && Movement.canBoost(cell.mass),
+                split: false
+            };
+        }
+
+        if (prey) {
+            const towards = new Vector3().subVectors(prey.position, cell.position);
+            return {
+                direction: towards,
+                boost: false,
+                split: this.shouldSplitOnto(cell, entity, prey, preyDistance, server)
+            };
+        }
+
+        const food = this.findNearestFood(cell, viewRadius, server);
+        if (food) {
+            return {
+                direction: new Vector3().subVectors(food.position, cell.position),
+                boost: false,
+                split: false
+            };
+        }
+
+        // Nothing in view - roam, picking a new heading every few seconds
+        if (this.wanderTimer <= 0) {
+            this.wanderDirection = this.randomDirection(server.isPlanar());
+            this.wanderTimer = this.random.range(3, 7);
+        }
+        return {
+            direction: this.awayFromWalls(this.wanderDirection.clone(), cell, server),
+            boost: false,
+            split: false
+        };
+    }
+
+    // Half of the cell still has to be big enough to eat the prey, and the prey close
+    // enough for the split launch to reach it
+    shouldSplitOnto(cell, entity, prey, distance, server) {
+        if (!this.settings.splitKill) return false;
+        if (entity.cells.length >= server.maxCells || cell.mass < server.minSplitMass) return false;
+
+        const splitReach = cell.radius + 8;
+        return cell.mass / 2 > prey.mass * 1.2 && distance < splitReach;
+    }
+
+    findNearestFood(cell, viewRadius, server) {
+        let nearest = null;
+        let nearestDistance = Infinity;
+
+        for (const food of server.physics.queryNearby(cell.position, viewRadius, 'food')) {
+            if (server.foods.get(food.id) !== food) continue;
+
+            const distance = cell.position.distanceToSquared(food.position);
+            if (distance < nearestDistance) {
+                nearest = food;
+                nearestDistance = distance;
+            }
+        }
+
+        return nearest;
+    }
+
+    // Bend a direction back into the world when the cell is pressed against a wall,
+    // so fleeing doesn't end in a corner
+    awayFromWalls(direction, cell, server) {
+        const half = server.physics.getHalfExtents();
+        const margin = cell.radius + 10;
+
+        for (const axis of ['x', 'y', 'z']) {
+            if (cell.position[axis] > half[axis] - margin && direction[axis] > 0) {
+                direction[axis] = -Math.abs(direction[axis]) * 0.5;
+            } else if (cell.position[axis] < -half[axis] + margin && direction[axis] < 0) {
+                direction[axis] = Math.abs(direction[axis]) * 0.5;
+            }
+        }
+
+        return direction;
+    }
+
+    randomDirection(planar) {
+        const direction = new Vector3(
+            this.random.range(-1, 1),
+            planar ? 0 : this.random.range(-1, 1),
+            this.random.range(-1, 1)
+        );
+        return direction.lengthSq() > 0 ? direction.normalize() : direction.set(1, 0, 0);
+    }
+}
+
+module.exports = { ServerBot, DIFFICULTIES };
@@ -10,11 +10,13 @@ class ServerFood {
         this.color = config.color;
         this.value = config.value || 0.1; // How much mass the player gains when consuming this food
         
-        // Optional hover animation data (server keeps track to sync with clients)
+        // Optional hover animation data (server keeps track to sync with clients),
+        // drawn from the world's seeded generator when one is given
+        const random = config.random ? () => config.random.next() : Math.random;
         this.basePosition = this.position.clone();
-        this.hoverPhase = Math.random() * Math.PI * 2; // Random starting phase
-        this.hoverSpeed = 0.5 + Math.random() * 0.5; // Random hover speed
-        this.hoverHeight = 0.1 + Math.random() * 0.2; // Random hover height
+        this.hoverPhase = random() * Math.PI * 2; // Random starting phase
+        this.hoverSpeed = 0.5 + random() * 0.5; // Random hover speed
+        this.hoverHeight = 0.1 + random() * 0.2; // Random hover height
     }
     
     update(deltaTime) {
@@ -24,10 +26,11 @@ class ServerFood {
     }
     
     toClientData() {
-        // Return the food data to be sent to clients
+        // Return the food data to be sent to clients. The hover offset is left out:
+        // clients animate it locally, and a static position keeps snapshot deltas empty.
         return {
             id: this.id,
-            position: this.position.toArray(),
+            position: this.basePosition.toArray(),
             scale: this.scale.toArray(),
             color: this.color,
             value: this.value
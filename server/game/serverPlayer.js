@@ -1,6 +1,7 @@
 // Server-side player logic
 
 const { Vector3, Quaternion } = require('three');
+const Movement = require('../../client/js/game/movement'); // Shared with client-side prediction
 
 class ServerPlayer {
     constructor(config) {
@@ -15,7 +16,14 @@ class ServerPlayer {
         this.velocity = config.velocity || new Vector3(0, 0, 0);
         this.mass = config.mass || 1; // Initial mass
         this.radius = config.radius || 1; // Initial radius
-        this.maxSpeed = 10; // Maximum movement speed
+        
+        // Steering, set each tick by the owning PlayerEntity from its input
+        this.inputDirection = new Vector3(0, 0, 0); // Normalized move direction (zero = stand still)
+        this.lastInputSequence = 0; // Sequence number of the owner's last simulated input
+        
+        // Ownership - every cell belongs to a PlayerEntity
+        this.ownerId = config.ownerId || null;
+        this.mergeCooldown = config.mergeCooldown || 0; // Seconds until it can merge with its siblings
         
         // Game stats
         this.score = 0;
@@ -31,13 +39,13 @@ class ServerPlayer {
         if (this.isFragment) {
             // The split force will decay over time in the update method
             this.splitForce = 20; // Initial force
-            this.splitForceDecay = 2; // Force reduction per second
+            this.splitForceDecay = 40; // Force reduction per second - a short launch, then the owner steers it
         }
     }
     
     update(deltaTime) {
-        // Update position based on velocity
-        this.position.add(this.velocity.clone().multiplyScalar(deltaTime));
+        // Input direction and velocity impulses, using the rules the client predicts with
+        Movement.step(this, this.inputDirection, deltaTime);
         
         // Handle split fragment force for newly split cells
         if (this.isFragment && this.splitForce > 0) {
@@ -53,41 +61,22 @@ class ServerPlayer {
             if (this.splitForce < 0) this.splitForce = 0;
         }
         
-        // Apply drag to gradually slow down
-        this.velocity.multiplyScalar(0.95);
-        
         // Update stats
         this.timeAlive += deltaTime;
     }
     
-    setPositionFromClient(positionArray) {
-        // Don't directly set position from client (to prevent cheating)
-        // Instead, use client position to influence velocity
-        const clientPosition = new Vector3().fromArray(positionArray);
-        
-        // Calculate direction and distance
-        const direction = new Vector3().subVectors(clientPosition, this.position);
-        const distance = direction.length();
-        
-        // Normalize direction and apply speed limit
-        if (distance > 0.1) {
-            direction.normalize();
-            
-            // Scale movement speed based on mass in increments of 10
-            // Calculate the tier based on mass (1-10 = tier 0, 11-20 = tier 1, etc.)
-            const massTier = Math.floor(this.mass / 10);
-            // Apply a constant factor for each tier
-            const speedFactor = 1 / (1 + massTier * 0.3);
-            const moveSpeed = this.maxSpeed * speedFactor;
-            
-            // Set velocity based on direction and speed
-            this.velocity.copy(direction.multiplyScalar(moveSpeed));
-        }
+    getMoveSpeed() {
+        // Scale movement speed based on mass in increments of 10
+        return Movement.getMoveSpeed(this.mass);
     }
     
-    setRotationFromClient(rotationArray) {
-        // Set rotation directly from client
-        this.rotation.fromArray(rotationArray);
+    steer(direction) {
+        this.inputDirection.copy(direction);
+        
+        // Face the move direction so split and boost go where the player is heading
+        if (this.inputDirection.lengthSq() > 0) {
+            this.rotation.setFromUnitVectors(new Vector3(0, 0, -1), this.inputDirection);
+        }
     }
     
     grow(amount) {
@@ -100,10 +89,6 @@ class ServerPlayer {
         // Update score
         this.score += amount * 10;
         this.foodEaten += 1;
-        
-        // Decrease maximum speed as player grows in steps of mass 10
-        const massTier = Math.floor(this.mass / 10);
-        this.maxSpeed = 10 / (1 + massTier * 0.3);
     }
     
     updateSize() {
@@ -146,9 +131,8 @@ class ServerPlayer {
             ejectionDir.clone().multiplyScalar(this.radius + 0.5)
         );
 
-        // Create a new player configuration for the fragment
+        // Create a new cell configuration for the fragment (the owner assigns its id)
         const fragmentConfig = {
-            id: `${this.id}_fragment_${Date.now()}`,
             username: this.username,
             position: spawnPosition,
             color: this.color,
@@ -163,29 +147,53 @@ class ServerPlayer {
         return fragmentConfig;
     }
     
+    // Planar play keeps the pieces on the ground, otherwise they fly off in every direction
+    pop(maxPieces, planar = false) {
+        // Pop into equal pieces, one per 20 mass - the original cell keeps one share
+        const pieceCount = Math.min(maxPieces, Math.floor(this.mass / 20));
+        if (pieceCount <= 1) {
+            return [];
+        }
+        
+        const pieceMass = this.mass / pieceCount;
+        this.mass = pieceMass;
+        this.updateSize();
+        
+        const fragmentConfigs = [];
+        for (let i = 0; i < pieceCount - 1; i++) {
+            const direction = getPopDirection(i, pieceCount - 1, planar);
+            
+            // The owner assigns piece ids
+            fragmentConfigs.push({
+                username: this.username,
+                position: this.position.clone().add(direction.clone().multiplyScalar(this.radius + 0.5)),
+                color: this.color,
+                velocity: direction.multiplyScalar(20),
+                mass: pieceMass,
+                isFragment: true,
+                parent: this.id
+            });
+        }
+        
+        return fragmentConfigs;
+    }
+    
     boost() {
         // Only boost if player has enough mass
-        const boostCost = 3;
-        if (this.mass <= boostCost) {
+        if (!Movement.canBoost(this.mass)) {
             return false;
         }
         
         // Deduct mass
-        this.mass -= boostCost;
+        this.mass -= Movement.MOVEMENT.boostCost;
         this.updateSize();
         
         // Get player's forward direction based on rotation
         const forwardDirection = new Vector3(0, 0, -1);
         forwardDirection.applyQuaternion(this.rotation);
         
-        // Apply boost force
-        const boostForce = 20; // Boost force magnitude
-        this.velocity.add(forwardDirection.multiplyScalar(boostForce));
-        
-        // Limit velocity to max speed
-        if (this.velocity.length() > this.maxSpeed * 2.5) {
-            this.velocity.normalize().multiplyScalar(this.maxSpeed * 2.5);
-        }
+        // Apply boost force, capped relative to move speed
+        Movement.applyBoost(this, forwardDirection);
         
         return true;
     }
@@ -200,9 +208,26 @@ class ServerPlayer {
             scale: this.scale.toArray(),
             color: this.color,
             mass: this.mass,
-            score: this.score
+            score: this.score,
+            velocity: this.velocity.toArray(), // Needed to replay inputs on top of this state
+            ownerId: this.ownerId,
+            inputSequence: this.lastInputSequence // Lets the owner know which inputs are simulated
         };
     }
 }
 
+// Direction of piece `index` out of `count`: evenly around a circle on the ground, or
+// spread over a sphere (a Fibonacci spiral) in volumetric play
+function getPopDirection(index, count, planar) {
+    if (planar) {
+        const angle = (Math.PI * 2) * (index / count);
+        return new Vector3(Math.cos(angle), 0, Math.sin(angle));
+    }
+    
+    const y = 1 - 2 * (index + 0.5) / count;
+    const ring = Math.sqrt(1 - y * y);
+    const angle = index * Math.PI * (3 - Math.sqrt(5)); // Golden angle
+    return new Vector3(Math.cos(angle) * ring, y, Math.sin(angle) * ring);
+}
+
 module.exports = { ServerPlayer };
\ No newline at end of file
@@ -0,0 +1,80 @@
+// Server-side virus logic
+
+const { Vector3 } = require('three');
+
+class ServerVirus {
+    constructor(config) {
+        this.id = config.id;
+        this.position = new Vector3().copy(config.position);
+        this.radius = config.radius || 2.5; // Default virus size
+        this.mass = config.mass || 100; // Mass affects how it interacts with players
+        
+        // Size to shrink back to after shooting a new virus
+        this.baseRadius = this.radius;
+        this.baseMass = this.mass;
+        this.feedCount = 0; // Mass orbs absorbed since the last shot
+        
+        // Shot viruses slide to a stop. Damping is per second so clients can run the
+        // same curve at their own frame rate.
+        this.velocity = config.velocity ? new Vector3().copy(config.velocity) : new Vector3();
+        this.damping = 3;
+        this.minSpeed = 0.5; // Below this the virus stops dead
+    }
+    
+    // Returns true on the tick the virus comes to rest
+    update(deltaTime) {
+        if (!this.isMoving()) return false;
+        
+        this.position.addScaledVector(this.velocity, deltaTime);
+        this.velocity.multiplyScalar(Math.exp(-this.damping * deltaTime));
+        
+        if (this.velocity.length() < this.minSpeed) {
+            this.velocity.set(0, 0, 0);
+            return true;
+        }
+        return false;
+    }
+    
+    isMoving() {
+        return this.velocity.lengthSq() > 0;
+    }
+    
+    // Only cells bigger than the virus can pop on it, smaller ones pass by or hide behind it
+    canPop(player) {
+        return player.radius > this.radius;
+    }
+    
+    checkCollision(player) {
+        // The cell has to cover most of the virus, not just touch its spikes
+        const distance = this.position.distanceTo(player.position);
+        return distance < player.radius + this.radius * 0.7;
+    }
+    
+    absorb(mass) {
+        // Grow by volume, like cells do
+        this.mass += mass;
+        this.radius = Math.cbrt(this.radius ** 3 + mass);
+        this.feedCount += 1;
+    }
+    
+    // Back to spawn size once the absorbed mass has been shot out as a new virus
+    resetSize() {
+        this.mass = this.baseMass;
+        this.radius = this.baseRadius;
+        this.feedCount = 0;
+    }
+    
+    toClientData() {
+        // Return the virus data to be sent to clients
+        return {
+            id: this.id,
+            position: this.position.toArray(),
+            radius: this.radius,
+            mass: this.mass,
+            velocity: this.velocity.toArray(),
+            damping: this.damping
+        };
+    }
+}
+
+module.exports = { ServerVirus };
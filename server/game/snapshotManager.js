@@ -0,0 +1,175 @@
+// Delta-compressed snapshots - each client gets changes relative to the last snapshot it acknowledged
+
+// Snapshot collections, as produced by GameServer.createGameState
+const SNAPSHOT_CHANNELS = ['players', 'foods', 'massOrbs'];
+
+class SnapshotManager {
+    constructor(config = {}) {
+        // Unacknowledged snapshots kept per client. If the baseline falls out of
+        // this window (lost acks, stalled client) the client gets a full resync.
+        this.maxHistory = config.maxHistory || 120;
+
+        // Numeric changes smaller than this are not worth sending
+        this.epsilon = config.epsilon || 0.001;
+
+        this.clients = new Map(); // Map of client id -> { history: Map<seq, snapshot>, ackedSequence }
+    }
+
+    // Build the message for one client from its current game state
+    createMessage(clientId, sequence, gameState) {
+        const client = this.getClient(clientId);
+        const snapshot = this.indexGameState(gameState);
+
+        const baseline = client.ackedSequence !== null ? client.history.get(client.ackedSequence) : null;
+
+        const message = {
+            seq: sequence,
+            baseline: baseline ? client.ackedSequence : null
+        };
+        const reconstructed = {};
+
+        for (const channel of SNAPSHOT_CHANNELS) {
+            const { delta, records } = this.diffChannel(
+                baseline ? baseline[channel] : null,
+                snapshot[channel]
+            );
+            message[channel] = delta;
+            reconstructed[channel] = records;
+        }
+
+        // Remember the state the client will rebuild (not the exact server state),
+        // so changes below epsilon can't silently accumulate on the client
+        client.history.set(sequence, reconstructed);
+        this.trimHistory(client);
+
+        return message;
+    }
+
+    acknowledge(clientId, sequence) {
+        const client = this.clients.get(clientId);
+        if (!client || typeof sequence !== 'number') return;
+
+        // Acks can arrive out of order, only move the baseline forward
+        if (client.ackedSequence !== null && sequence <= client.ackedSequence) return;
+        if (!client.history.has(sequence)) return;
+
+        client.ackedSequence = sequence;
+
+        // Anything older than the new baseline will never be used again
+        for (const seq of client.history.keys()) {
+            if (seq < sequence) {
+                client.history.delete(seq);
+            }
+        }
+    }
+
+    // Forget the baseline so the next message is a full snapshot
+    requestResync(clientId) {
+        const client = this.clients.get(clientId);
+        if (!client) return;
+
+        client.ackedSequence = null;
+        client.history.clear();
+    }
+
+    removeClient(clientId) {
+        this.clients.delete(clientId);
+    }
+
+    getClient(clientId) {
+        let client = this.clients.get(clientId);
+        if (!client) {
+            client = { history: new Map(), ackedSequence: null };
+            this.clients.set(clientId, client);
+        }
+        return client;
+    }
+
+    trimHistory(client) {
+        while (client.history.size > this.maxHistory) {
+            const oldest = client.history.keys().next().value;
+            client.history.delete(oldest);
+
+            // The baseline itself expired - fall back to a full snapshot next time
+            if (oldest === client.ackedSequence) {
+                client.ackedSequence = null;
+            }
+        }
+    }
+
+    indexGameState(gameState) {
+        const snapshot = {};
+        for (const channel of SNAPSHOT_CHANNELS) {
+            const records = new Map();
+            for (const record of gameState[channel] || []) {
+                records.set(record.id, record);
+            }
+            snapshot[channel] = records;
+        }
+        return snapshot;
+    }
+
+    // Diff one collection. Returns the delta ({ updated: [partial records], removed: [ids] })
+    // and the records the client ends up with after applying it.
+    diffChannel(baseRecords, records) {
+        const updated = [];
+        const removed = [];
+        const result = new Map();
+
+        for (const [id, record] of records) {
+            const baseRecord = baseRecords ? baseRecords.get(id) : null;
+
+            // New entities (or full snapshots) carry every field
+            if (!baseRecord) {
+                updated.push(record);
+                result.set(id, record);
+                continue;
+            }
+
+            let changes = null;
+            for (const field in record) {
+                if (field === 'id') continue;
+
+                if (!this.valuesEqual(baseRecord[field], record[field])) {
+                    if (!changes) changes = { id };
+                    changes[field] = record[field];
+                }
+            }
+
+            if (changes) {
+                updated.push(changes);
+                result.set(id, Object.assign({}, baseRecord, changes));
+            } else {
+                result.set(id, baseRecord);
+            }
+        }
+
+        if (baseRecords) {
+            for (const id of baseRecords.keys()) {
+                if (!records.has(id)) {
+                    removed.push(id);
+                }
+            }
+        }
+
+        return { delta: { updated, removed }, records: result };
+    }
+
+    valuesEqual(a, b) {
+        if (typeof a === 'number' && typeof b === 'number') {
+            return Math.abs(a - b) < this.epsilon;
+        }
+
+        if (Array.isArray(a) && Array.isArray(b)) {
+            if (a.length !== b.length) return false;
+            for (let i = 0; i < a.length; i++) {
+                if (!this.valuesEqual(a[i], b[i])) return false;
+            }
+            return true;
+        }
+
+        return a === b;
+    }
+}
+
+module.exports = { SnapshotManager };
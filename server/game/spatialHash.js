@@ -0,0 +1,163 @@
+// Uniform-grid spatial hash used as the collision broad phase
+
+// Cell coordinates are packed into a single integer key. Each axis gets 10 bits,
+// which covers +/-512 cells - far beyond the world bounds for any sane cell size.
+const AXIS_OFFSET = 512;
+const AXIS_RANGE = 1024;
+
+class SpatialHash {
+    constructor(cellSize = 10) {
+        this.cellSize = cellSize;
+        this.cells = new Map();   // Map of cell key -> Set of entries
+        this.entries = new Map(); // Map of entity id -> entry
+        this.queryStamp = 0;      // Used to de-duplicate entries spanning several cells
+    }
+
+    // Register an entity. Entities need an `id` and a `position` (Vector3 or [x, y, z])
+    insert(entity, type, radius) {
+        if (this.entries.has(entity.id)) {
+            this.remove(entity.id);
+        }
+
+        const entry = {
+            id: entity.id,
+            type: type,
+            entity: entity,
+            radius: radius,
+            minX: 0, minY: 0, minZ: 0,
+            maxX: 0, maxY: 0, maxZ: 0,
+            stamp: 0
+        };
+
+        this.computeCellRange(entity.position, radius, entry);
+        this.addToCells(entry);
+        this.entries.set(entity.id, entry);
+
+        return entry;
+    }
+
+    // Re-bucket an entity after it moved or changed size. Cheap when the cell range is unchanged.
+    update(entity, radius) {
+        const entry = this.entries.get(entity.id);
+        if (!entry) return false;
+
+        entry.entity = entity;
+        entry.radius = radius;
+
+        const range = this.computeCellRange(entity.position, radius, {});
+        if (range.minX === entry.minX && range.maxX === entry.maxX &&
+            range.minY === entry.minY && range.maxY === entry.maxY &&
+            range.minZ === entry.minZ && range.maxZ === entry.maxZ) {
+            return true;
+        }
+
+        this.removeFromCells(entry);
+        Object.assign(entry, range);
+        this.addToCells(entry);
+
+        return true;
+    }
+
+    remove(id) {
+        const entry = this.entries.get(id);
+        if (!entry) return false;
+
+        this.removeFromCells(entry);
+        this.entries.delete(id);
+
+        return true;
+    }
+
+    has(id) {
+        return this.entries.has(id);
+    }
+
+    clear() {
+        this.cells.clear();
+        this.entries.clear();
+    }
+
+    // Return every entity whose cells overlap the bounding box of the given sphere.
+    // This is a broad phase only: callers still need an exact overlap test.
+    query(position, radius, type = null, results = []) {
+        const range = this.computeCellRange(position, radius, {});
+        const stamp = ++this.queryStamp;
+
+        for (let x = range.minX; x <= range.maxX; x++) {
+            for (let y = range.minY; y <= range.maxY; y++) {
+                for (let z = range.minZ; z <= range.maxZ; z++) {
+                    const cell = this.cells.get(this.key(x, y, z));
+                    if (!cell) continue;
+
+                    for (const entry of cell) {
+                        if (entry.stamp === stamp) continue;
+                        entry.stamp = stamp;
+
+                        if (type === null || entry.type === type) {
+                            results.push(entry.entity);
+                        }
+                    }
+                }
+            }
+        }
+
+        return results;
+    }
+
+    computeCellRange(position, radius, out) {
+        // Positions can be Vector3 (players, food) or plain arrays (mass orbs, viruses)
+        const px = Array.isArray(position) ? position[0] : position.x;
+        const py = Array.isArray(position) ? position[1] : position.y;
+        const pz = Array.isArray(position) ? position[2] : position.z;
+
+        out.minX = Math.floor((px - radius) / this.cellSize);
+        out.minY = Math.floor((py - radius) / this.cellSize);
+        out.minZ = Math.floor((pz - radius) / this.cellSize);
+        out.maxX = Math.floor((px + radius) / this.cellSize);
+        out.maxY = Math.floor((py + radius) / this.cellSize);
+        out.maxZ = Math.floor((pz + radius) / this.cellSize);
+
+        return out;
+    }
+
+    key(x, y, z) {
+        return ((x + AXIS_OFFSET) * AXIS_RANGE + (y + AXIS_OFFSET)) * AXIS_RANGE + (z + AXIS_OFFSET);
+    }
+
+    addToCells(entry) {
+        for (let x = entry.minX; x <= entry.maxX; x++) {
+            for (let y = entry.minY; y <= entry.maxY; y++) {
+                for (let z = entry.minZ; z <= entry.maxZ; z++) {
+                    const key = this.key(x, y, z);
+                    let cell = this.cells.get(key);
+                    if (!cell) {
+                        cell = new Set();
+                        this.cells.set(key, cell);
+                    }
+                    cell.add(entry);
+                }
+            }
+        }
+    }
+
+    removeFromCells(entry) {
+        for (let x = entry.minX; x <= entry.maxX; x++) {
+            for (let y = entry.minY; y <= entry.maxY; y++) {
+                for (let z = entry.minZ; z <= entry.maxZ; z++) {
+                    const key = this.key(x, y, z);
+                    const cell = this.cells.get(key);
+                    if (!cell) continue;
+
+                    cell.delete(entry);
+
+                    // Drop empty cells so the map doesn't grow with every cell ever visited
+                    if (cell.size === 0) {
+                        this.cells.delete(key);
+                    }
+                }
+            }
+        }
+    }
+}
+
+module.exports = { SpatialHash };
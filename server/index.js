@@ -4,7 +4,12 @@ const express = require('express');
 const http = require('http');
 const path = require('path');
 const { Server } = require('socket.io');
-const { GameServer } = require('./game/gameServer');
+const { RoomManager } = require('./game/roomManager');
+const { isGameMode } = require('./game/modes');
+const { listReplays, isReplayFileName } = require('./game/replayRecorder');
+const { AccountStore } = require('./game/accountStore');
+const { HighScoreStore } = require('./game/highScores');
+const { createAdminRouter } = require('./game/adminApi');
 
 // Initialize Express app
 const app = express();
@@ -14,7 +19,7 @@ const server = http.createServer(app);
 app.use((req, res, next) => {
     const origin = req.headers.origin;
     res.header('Access-Control-Allow-Origin', origin || '*');
-    res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+    res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
     res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
     res.header('Access-Control-Allow-Credentials', 'true');
     
@@ -29,6 +34,8 @@ app.use((req, res, next) => {
     next();
 });
 
+app.use(express.json());
+
 // Serve static files from client directory
 app.use(express.static(path.join(__dirname, '../client')));
 
@@ -54,6 +61,11 @@ app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, '../client/index.html'));
 });
 
+// Admin dashboard, talks to /api/admin
+app.get('/admin', (req, res) => {
+    res.sendFile(path.join(__dirname, '../client/admin.html'));
+});
+
 // Add route for connection test page
 app.get('/connection-test', (req, res) => {
     res.sendFile(path.join(__dirname, '../connection-test.html'));
@@ -69,23 +81,202 @@ io.engine.on("connection_error", (err) => {
     console.error('Socket.IO connection error:', err);
 });
 
-// Initialize game server
-const gameServer = new GameServer(io);
+// Initialize the arenas - one public arena per game mode in ARENA_MODES
+// MOVEMENT_MODE=planar keeps play on the ground plane instead of the full volume
+const arenaModes = (process.env.ARENA_MODES || 'ffa,teams,timed,battleroyale')
+    .split(',')
+    .map(mode => mode.trim())
+    .filter(isGameMode);
+
+// REPLAY_DIR turns on match recording, one replay file per game into that directory
+const replayDirectory = process.env.REPLAY_DIR ? path.resolve(process.env.REPLAY_DIR) : null;
+
+// Player accounts and career stats, kept in ACCOUNTS_FILE. The accounts named in
+// ADMIN_ACCOUNTS (comma separated) may /mute, /unmute and /announce, and use the admin API.
+const accountsFile = path.resolve(process.env.ACCOUNTS_FILE || path.join(__dirname, 'data', 'accounts.json'));
+const accounts = new AccountStore({
+    file: accountsFile,
+    admins: (process.env.ADMIN_ACCOUNTS || '').split(',').map(name => name.trim()).filter(Boolean)
+});
+
+// Daily, weekly and all-time high scores, kept in HIGHSCORES_FILE
+const highScoresFile = path.resolve(process.env.HIGHSCORES_FILE || path.join(__dirname, 'data', 'highscores.json'));
+const highScores = new HighScoreStore({ file: highScoresFile });
+
+const roomManager = new RoomManager(io, {
+    arenas: arenaModes.map(mode => ({ mode: mode })),
+    arenaDefaults: {
+        movementMode: process.env.MOVEMENT_MODE,
+        maxSpectators: parseInt(process.env.MAX_SPECTATORS, 10) || undefined,
+        // WORLD_SEED makes every arena's world reproducible, random otherwise
+        seed: process.env.WORLD_SEED,
+        // BOT_POPULATION=0 turns bots off, BOT_DIFFICULTY is easy, normal or hard
+        bots: {
+            targetPopulation: process.env.BOT_POPULATION !== undefined ? parseInt(process.env.BOT_POPULATION, 10) || 0 : 10,
+            difficulty: process.env.BOT_DIFFICULTY
+        },
+        replays: { directory: replayDirectory },
+        // LOG_EVENTS=1 logs every split, eject, meal, pop and death
+        logEvents: process.env.LOG_EVENTS === '1'
+    },
+    maxArenas: parseInt(process.env.MAX_ARENAS, 10) || undefined,
+    accounts: accounts,
+    highScores: highScores
+});
+
+// Lobby - public arenas with their player counts
+app.get('/api/arenas', (req, res) => {
+    res.json({ arenas: roomManager.listPublicArenas() });
+});
+
+// Create a private arena (optionally with a game mode), joined with the returned invite code.
+// Each address may only keep a few open and create a few per window.
+app.post('/api/arenas', (req, res) => {
+    const body = req.body || {};
+    const name = typeof body.name === 'string' ? body.name.trim().substring(0, 24) : '';
+    if (body.mode !== undefined && !isGameMode(body.mode)) {
+        return res.status(400).json({ error: 'Unknown game mode' });
+    }
+
+    const limited = roomManager.checkPrivateArenaLimit(req.ip);
+    if (limited) {
+        return res.status(429).json({ error: limited });
+    }
+
+    const arena = roomManager.createPrivateArena({ name: name || undefined, mode: body.mode }, req.ip);
+    if (!arena) {
+        return res.status(503).json({ error: 'Too many arenas are open, try again later.' });
+    }
+
+    res.status(201).json(roomManager.describeArena(arena, true));
+});
+
+// Recorded matches, newest first
+app.get('/api/replays', (req, res) => {
+    res.json({ replays: replayDirectory ? listReplays(replayDirectory) : [] });
+});
+
+// A replay file, gzipped as written - the viewer unpacks it
+app.get('/api/replays/:file', (req, res) => {
+    if (!replayDirectory || !isReplayFileName(req.params.file)) {
+        return res.status(404).json({ error: 'Replay not found' });
+    }
+
+    res.sendFile(path.join(replayDirectory, req.params.file), (error) => {
+        if (error && !res.headersSent) {
+            res.status(404).json({ error: 'Replay not found' });
+        }
+    });
+});
+
+// A high-score board (daily, weekly or alltime), best first. ?limit= takes up to 100.
+app.get('/api/highscores/:board', (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), highScores.boardSize);
+    const board = highScores.getBoard(req.params.board, limit);
+    if (!board) {
+        return res.status(404).json({ error: 'No such board, try daily, weekly or alltime' });
+    }
+
+    res.json(board);
+});
+
+// The session token sent as "Authorization: Bearer <token>"
+function getBearerToken(req) {
+    const header = req.headers.authorization || '';
+    return header.startsWith('Bearer ') ? header.substring(7) : null;
+}
+
+// Create an account (`{ "name": "...", "password": "..." }`), signed in right away
+app.post('/api/accounts', async (req, res) => {
+    const limited = accounts.checkAttempt(req.ip);
+    if (limited) {
+        return res.status(429).json({ error: limited });
+    }
+
+    const body = req.body || {};
+    const { account, token, error } = await accounts.register(body.name, body.password);
+    if (error) {
+        return res.status(400).json({ error: error });
+    }
+
+    res.status(201).json({ token: token, profile: accounts.getProfile(account) });
+});
+
+// A player's public profile with their career stats
+app.get('/api/accounts/:name', (req, res) => {
+    const account = accounts.findByName(req.params.name);
+    if (!account) {
+        return res.status(404).json({ error: 'Account not found' });
+    }
+
+    res.json(accounts.getProfile(account));
+});
+
+// Sign in, returns the token the game and the API take
+app.post('/api/sessions', async (req, res) => {
+    const limited = accounts.checkAttempt(req.ip);
+    if (limited) {
+        return res.status(429).json({ error: limited });
+    }
+
+    const body = req.body || {};
+    const { account, token, error } = await accounts.login(body.name, body.password);
+    if (error) {
+        return res.status(401).json({ error: error });
+    }
+
+    res.status(201).json({ token: token, profile: accounts.getProfile(account) });
+});
+
+// Sign out
+app.delete('/api/sessions', (req, res) => {
+    accounts.logout(getBearerToken(req));
+    res.status(204).end();
+});
+
+// The signed-in player's own profile
+app.get('/api/profile', (req, res) => {
+    const account = accounts.authenticate(getBearerToken(req));
+    if (!account) {
+        return res.status(401).json({ error: 'Not signed in' });
+    }
+
+    res.json(accounts.getProfile(account));
+});
+
+// Admin API - ADMIN_TOKEN, or the session of an account in ADMIN_ACCOUNTS
+const adminToken = process.env.ADMIN_TOKEN || null;
+app.use('/api/admin', createAdminRouter({
+    roomManager: roomManager,
+    accounts: accounts,
+    adminToken: adminToken,
+    getToken: getBearerToken
+}));
 
 // Start the server
 const PORT = process.env.PORT || 3000;
 server.listen(PORT, () => {
     console.log(`Agar3D server running on port ${PORT}`);
-    console.log(`Game world size: ${gameServer.worldSize.x} x ${gameServer.worldSize.y} x ${gameServer.worldSize.z}`);
-    console.log(`Maximum players: ${gameServer.maxPlayers}`);
-    console.log(`Food count: ${gameServer.maxFood}`);
+    const defaultArena = roomManager.arenas.values().next().value.server;
+    console.log(`Game world size: ${defaultArena.worldSize.x} x ${defaultArena.worldSize.y} x ${defaultArena.worldSize.z}`);
+    console.log(`Movement mode: ${defaultArena.movementMode}`);
+    console.log(`Maximum players per arena: ${defaultArena.maxPlayers}`);
+    console.log(`Maximum arenas: ${roomManager.maxArenas}`);
+    console.log(`Food count: ${defaultArena.maxFood}`);
+    console.log(`Bots: filling arenas up to ${defaultArena.bots.targetPopulation} players (${defaultArena.bots.difficulty})`);
+    console.log(`Replays: ${replayDirectory ? `recording to ${replayDirectory}` : 'off'}`);
+    console.log(`Accounts: ${accounts.accounts.size} in ${accountsFile}`);
+    console.log(`High scores: ${highScoresFile}`);
+    console.log(`Admin API: ${adminToken ? 'ADMIN_TOKEN' : 'no token'}, ${accounts.adminIds.size} admin accounts`);
     console.log(`Server URL: http://localhost:${PORT}`);
 });
 
 // Graceful shutdown
 process.on('SIGINT', () => {
     console.log('Shutting down server...');
-    gameServer.shutdown();
+    roomManager.shutdown();
+    accounts.flush();
+    highScores.flush();
     server.close(() => {
         console.log('Server shut down.');
         process.exit(0);
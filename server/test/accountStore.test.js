@@ -0,0 +1,43 @@
+// Admin rights belong to accounts, not to whoever registers an admin name
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AccountStore } = require('../game/accountStore');
+
+test('admin names are bound to the accounts holding them at startup', async (t) => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'accounts-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    const file = path.join(directory, 'accounts.json');
+
+    const before = new AccountStore({ file: file });
+    const { account: boss } = await before.register('Boss', 'hunter22');
+    const { account: player } = await before.register('Player', 'hunter22');
+    before.flush();
+
+    const warn = console.warn;
+    console.warn = () => {};
+    const accounts = new AccountStore({ file: file, admins: ['boss', 'Ghost'] });
+    console.warn = warn;
+
+    assert.equal(accounts.isAdmin(accounts.accounts.get(boss.id)), true);
+    assert.equal(accounts.isAdmin(accounts.accounts.get(player.id)), false);
+    assert.equal(accounts.isAdmin(null), false);
+
+    // An admin name nobody holds can't be claimed, in any case
+    assert.deepEqual(await accounts.register('Ghost', 'hunter22'), { error: 'That name is reserved.' });
+    assert.deepEqual(await accounts.register('gHoSt', 'hunter22'), { error: 'That name is reserved.' });
+    assert.equal(accounts.findByName('ghost'), null);
+});
+
+test('sign-ins and registrations are rationed per address', () => {
+    const accounts = new AccountStore({ attemptLimit: 3 });
+
+    for (let i = 0; i < 3; i++) {
+        assert.equal(accounts.checkAttempt('10.0.0.1'), null);
+    }
+    assert.match(accounts.checkAttempt('10.0.0.1'), /Too many attempts/);
+    assert.equal(accounts.checkAttempt('10.0.0.2'), null);
+});
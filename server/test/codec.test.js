@@ -0,0 +1,106 @@
+// Snapshots and inputs survive the binary wire format, to within its quantization
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { WireCodec } = require('../../client/js/networking/codec');
+const { GameServer } = require('../game/gameServer');
+const { FakeIo } = require('./helpers/fakeIo');
+
+const codec = new WireCodec();
+
+// Largest error each field may pick up on the wire
+const TOLERANCES = {
+    position: codec.positionRange / 32767,
+    velocity: codec.velocityRange / 32767,
+    scale: codec.scaleStep,
+    mass: codec.massStep,
+    value: codec.massStep,
+    score: codec.massStep,
+    radius: codec.massStep,
+    rotation: 1e-4
+};
+
+function assertClose(actual, expected, tolerance, label) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${label}: ${actual} is not within ${tolerance} of ${expected}`);
+}
+
+function assertRecordsMatch(decoded, original, channel) {
+    assert.deepEqual(Object.keys(decoded).sort(), Object.keys(original).sort(), `${channel} ${original.id} fields`);
+
+    for (const [field, expected] of Object.entries(original)) {
+        const label = `${channel} ${original.id} ${field}`;
+        const tolerance = TOLERANCES[field];
+
+        if (tolerance === undefined) {
+            assert.deepEqual(decoded[field], expected, label);
+        } else if (field === 'rotation') {
+            // q and -q are the same rotation
+            const sign = Math.sign(expected.reduce((sum, value, i) => sum + value * decoded[field][i], 0)) || 1;
+            expected.forEach((value, i) => assertClose(decoded[field][i], value * sign, tolerance, label));
+        } else if (Array.isArray(expected)) {
+            expected.forEach((value, i) => assertClose(decoded[field][i], value, tolerance, label));
+        } else {
+            assertClose(decoded[field], expected, tolerance, label);
+        }
+    }
+}
+
+function assertMessagesMatch(decoded, original) {
+    assert.equal(decoded.seq, original.seq);
+    assert.equal(decoded.baseline, original.baseline);
+
+    for (const channel of ['players', 'foods', 'massOrbs']) {
+        assert.deepEqual(decoded[channel].removed, original[channel].removed, `${channel} removed`);
+        assert.equal(decoded[channel].updated.length, original[channel].updated.length, `${channel} updated`);
+        original[channel].updated.forEach((record, i) => assertRecordsMatch(decoded[channel].updated[i], record, channel));
+    }
+}
+
+test('inputs round-trip', () => {
+    const input = { seq: 123456, direction: [0.6, -0.48, 0.64], boost: true, split: false };
+    const decoded = codec.decodeInput(codec.encodeInput(input));
+
+    assert.equal(decoded.seq, input.seq);
+    assert.equal(decoded.boost, true);
+    assert.equal(decoded.split, false);
+    input.direction.forEach((value, i) => assertClose(decoded.direction[i], value, 1 / 32767, `direction ${i}`));
+});
+
+test('full and delta snapshots of a live world round-trip', () => {
+    const io = new FakeIo();
+    const server = new GameServer(io, { seed: 7, autoStart: false, bots: { targetPopulation: 6 } });
+
+    for (let tick = 0; tick < 30; tick++) server.update(1 / 60);
+
+    // A mass orb, so every channel has something in it
+    const player = server.players.values().next().value;
+    player.mass = 50;
+    server.handlePlayerEjectMass(player.id, { direction: [1, 0, 0] });
+    assert.equal(server.massOrbs.size, 1);
+
+    // First message has no baseline and carries everything
+    const full = server.snapshots.createMessage('viewer', 1, server.createGameState());
+    assert.equal(full.baseline, null);
+    assert.ok(full.players.updated.length > 0 && full.foods.updated.length > 0);
+    assertMessagesMatch(codec.decodeSnapshot(codec.encodeSnapshot(full)), full);
+
+    // Once acknowledged, the next one only carries what changed
+    server.snapshots.acknowledge('viewer', 1);
+    for (let tick = 0; tick < 30; tick++) server.update(1 / 60);
+    const delta = server.snapshots.createMessage('viewer', 2, server.createGameState());
+    assert.equal(delta.baseline, 1);
+    assertMessagesMatch(codec.decodeSnapshot(codec.encodeSnapshot(delta)), delta);
+
+    server.shutdown();
+});
+
+test('records keep fields the schema does not know about', () => {
+    const message = {
+        seq: 5,
+        baseline: null,
+        players: { updated: [{ id: 'p1', mass: 12.34, team: 'red' }], removed: ['p2'] },
+        foods: { updated: [], removed: [] },
+        massOrbs: { updated: [], removed: [] }
+    };
+    assertMessagesMatch(codec.decodeSnapshot(codec.encodeSnapshot(message)), message);
+});
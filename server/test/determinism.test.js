@@ -0,0 +1,74 @@
+// Same seed and same inputs must give the same world, tick for tick
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { GameServer } = require('../game/gameServer');
+const { FakeIo } = require('./helpers/fakeIo');
+
+const TICKS = 600;
+const DELTA_TIME = 1 / 60;
+
+// Play a scripted player against hard bots for TICKS ticks and describe where it ended up
+function simulate(seed, mode) {
+    // The simulation runs far faster than real time here. Anything reading the wall
+    // clock (input rate limits, cooldowns) sees it move one tick at a time instead.
+    const realNow = Date.now;
+    let now = 0;
+    Date.now = () => now;
+
+    try {
+        const io = new FakeIo();
+        const server = new GameServer(io, {
+            seed: seed,
+            mode: mode,
+            autoStart: false,
+            bots: { targetPopulation: 8, difficulty: 'hard' }
+        });
+        io.on('connection', socket => server.handleConnection(socket));
+
+        const socket = io.connect('player');
+        socket.send('joinGame', { username: 'Tester', color: '#ffffff' });
+
+        for (let tick = 0; tick < TICKS; tick++) {
+            if (tick % 3 === 0) {
+                socket.send('playerInput', {
+                    seq: tick + 1,
+                    direction: [Math.sin(tick / 50), 0, Math.cos(tick / 50)],
+                    boost: tick % 200 === 0,
+                    split: tick % 400 === 10
+                });
+            }
+            if (tick % 97 === 0) {
+                socket.send('ejectMass', { direction: [1, 0, 0] });
+            }
+
+            server.update(DELTA_TIME);
+            now += DELTA_TIME * 1000;
+        }
+
+        const state = {
+            players: Array.from(server.players.values(), player => [player.id, player.position.toArray(), player.mass]),
+            foods: Array.from(server.foods.values(), food => [food.id, food.position.toArray()]),
+            viruses: Array.from(server.viruses.values(), virus => [virus.id, virus.position.toArray()]),
+            massOrbs: Array.from(server.massOrbs.keys()),
+            random: server.random.getState()
+        };
+        server.shutdown();
+        return state;
+    } finally {
+        Date.now = realNow;
+    }
+}
+
+for (const mode of ['ffa', 'teams', 'battleroyale']) {
+    test(`${mode}: the same seed replays to the same world`, () => {
+        const first = simulate(42, mode);
+        assert.ok(first.players.some(([id]) => id === 'player'), 'the scripted player should be in the game');
+        assert.ok(first.players.length > 1, 'bots should have joined');
+        assert.deepEqual(simulate(42, mode), first);
+    });
+}
+
+test('a different seed gives a different world', () => {
+    assert.notDeepEqual(simulate(43, 'ffa'), simulate(42, 'ffa'));
+});
@@ -0,0 +1,77 @@
+// Just enough of a socket.io server to drive a GameServer without a network
+//
+// connect() hands the server a socket as if a client had just connected. Everything
+// the server sends is kept on the receiving socket's `sent` list as [event, data].
+
+const EventEmitter = require('events');
+
+class FakeSocket extends EventEmitter {
+    constructor(io, id, query) {
+        super();
+        this.io = io;
+        this.id = id;
+        this.handshake = { address: '127.0.0.1', query: query, headers: {}, auth: {} };
+        this.conn = { transport: { name: 'websocket' } };
+        this.rooms = new Set([id]);
+        this.sent = [];
+    }
+
+    // Server to client
+    emit(event, data) {
+        this.sent.push([event, data]);
+        return true;
+    }
+
+    // Client to server
+    send(event, ...args) {
+        return super.emit(event, ...args);
+    }
+
+    join(room) {
+        this.rooms.add(room);
+    }
+
+    leave(room) {
+        this.rooms.delete(room);
+    }
+
+    disconnect() {
+        this.io.sockets.sockets.delete(this.id);
+        super.emit('disconnect', 'server namespace disconnect');
+    }
+}
+
+class FakeIo extends EventEmitter {
+    constructor() {
+        super();
+        this.sockets = { sockets: new Map() };
+    }
+
+    connect(id, query = {}) {
+        const socket = new FakeSocket(this, id, query);
+        this.sockets.sockets.set(id, socket);
+        super.emit('connection', socket);
+        return socket;
+    }
+
+    emit(event, data) {
+        for (const socket of this.sockets.sockets.values()) {
+            socket.emit(event, data);
+        }
+        return true;
+    }
+
+    // A room is an arena or a single socket's id
+    to(room) {
+        return {
+            emit: (event, data) => {
+                for (const socket of this.sockets.sockets.values()) {
+                    if (socket.rooms.has(room)) socket.emit(event, data);
+                }
+                return true;
+            }
+        };
+    }
+}
+
+module.exports = { FakeIo };
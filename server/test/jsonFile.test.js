@@ -0,0 +1,81 @@
+// Saving stores: a shutdown flush must not be overwritten by an older background save
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JsonFile } = require('../game/jsonFile');
+
+function createStore(t) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'jsonfile-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+    const document = { version: 1 };
+    const store = new JsonFile(path.join(directory, 'store.json'), () => document);
+    return { store, document, directory };
+}
+
+// Until the background write has finished, one way or the other
+function waitForSave(store) {
+    return new Promise(resolve => {
+        const check = () => (store.saving ? setImmediate(check) : resolve());
+        check();
+    });
+}
+
+test('a flush during a background save keeps the newer data', async (t) => {
+    const { store, document, directory } = createStore(t);
+
+    store.save();
+    document.version = 2;
+    store.scheduleSave();
+    store.flush();
+    await waitForSave(store);
+
+    assert.deepEqual(store.read(), { version: 2 });
+    assert.deepEqual(fs.readdirSync(directory), ['store.json']);
+});
+
+test('a flush with nothing new still lands a save that is in flight', async (t) => {
+    const { store } = createStore(t);
+
+    store.save();
+    store.flush();
+    assert.deepEqual(store.read(), { version: 1 });
+
+    await waitForSave(store);
+    assert.deepEqual(store.read(), { version: 1 });
+});
+
+test('background saves write the document', async (t) => {
+    const { store, document } = createStore(t);
+    store.saveDelay = 1;
+
+    document.version = 3;
+    store.scheduleSave();
+    await new Promise(resolve => setTimeout(resolve, 20));
+    await waitForSave(store);
+
+    assert.deepEqual(store.read(), { version: 3 });
+});
+
+test('a directory that cannot be created is reported, not thrown', (t) => {
+    const { directory } = createStore(t);
+    const blocker = path.join(directory, 'not-a-directory');
+    fs.writeFileSync(blocker, '');
+
+    const store = new JsonFile(path.join(blocker, 'store.json'), () => ({ version: 1 }));
+    const errors = [];
+    const error = console.error;
+    console.error = (message) => errors.push(message);
+    try {
+        store.save();
+    } finally {
+        console.error = error;
+    }
+
+    assert.equal(store.saving, false);
+    assert.equal(store.dirty, true);
+    assert.match(errors[0], /^\[STORE\] Could not save/);
+});
@@ -0,0 +1,47 @@
+// Arena settings changed live, the way the admin API does it
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { GameServer } = require('../game/gameServer');
+const { FakeIo } = require('./helpers/fakeIo');
+
+test('lowering maxFood clears the extra food and tells the players who saw it', () => {
+    const io = new FakeIo();
+    const server = new GameServer(io, { seed: 11, autoStart: false });
+    io.on('connection', socket => server.handleConnection(socket));
+
+    const socket = io.connect('player');
+    socket.send('joinGame', { username: 'Tester' });
+    server.update(1 / 60);
+    const seen = socket.sent.filter(([event]) => event === 'entitiesEntered').flatMap(([, entities]) => entities.foods.map(food => food.id));
+    assert.ok(seen.length > 0, 'the player should see some food');
+
+    socket.sent = [];
+    assert.equal(server.updateSettings({ maxFood: 10 }), null);
+    assert.equal(server.foods.size, 10);
+
+    const cleared = socket.sent.filter(([event]) => event === 'foodConsumed').map(([, data]) => data);
+    assert.ok(cleared.length > 0, 'food the player saw should be cleared');
+    assert.ok(cleared.every(data => data.playerId === null && !server.foods.has(data.foodId)));
+    assert.deepEqual(
+        cleared.map(data => data.foodId).sort(),
+        seen.filter(id => !server.foods.has(id)).sort()
+    );
+
+    // And no more is spawned past the new limit
+    for (let tick = 0; tick < 120; tick++) server.update(1 / 60);
+    assert.ok(server.foods.size <= 10);
+
+    server.shutdown();
+});
+
+test('bad settings change nothing', () => {
+    const server = new GameServer(new FakeIo(), { seed: 11, autoStart: false });
+    const food = server.foods.size;
+
+    assert.match(server.updateSettings({ maxFood: -1 }), /maxFood/);
+    assert.equal(server.maxFood, 1000);
+    assert.equal(server.foods.size, food);
+
+    server.shutdown();
+});